@@ -1,48 +1,368 @@
 /**
  * API 통신 서비스 클래스
- * 백엔드와의 모든 API 통신을 담당
+ * 백엔드와의 모든 API 통신을 담당 (원격 REST 데이터 소스)
  */
-export class ApiService {
-    constructor(baseUrl = 'https://webifcviewer-1.onrender.com/api') {
+import { DataSource } from './DataSource.js';
+import { GEOMETRY_BINARY_MIME_TYPE, GeometryBinaryDecoder } from './GeometryBinaryFormat.js';
+
+export const DEFAULT_API_BASE_URL = 'https://webifcviewer-1.onrender.com/api';
+export const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024; // 5MB
+export const DEFAULT_GEOMETRY_BATCH_SIZE = 200; // 스트리밍 렌더링 배치당 Geometry 수
+
+export class ApiService extends DataSource {
+    /**
+     * @param {string} baseUrl - API 기본 URL
+     * @param {Object} options - 업로드/전송 옵션
+     * @param {number} options.chunkSize - 청크 크기 (이보다 큰 파일은 청크 업로드)
+     * @param {number} options.maxRetries - 청크당 최대 재시도 횟수
+     * @param {number} options.retryDelay - 첫 재시도 대기 시간(ms), 재시도마다 2배로 증가
+     * @param {boolean} options.binaryGeometry - 바이너리 Geometry 형식 요청 여부 (서버가 지원하지 않으면 JSON 사용)
+     */
+    constructor(baseUrl = DEFAULT_API_BASE_URL, { chunkSize = DEFAULT_CHUNK_SIZE, maxRetries = 5, retryDelay = 500, binaryGeometry = true } = {}) {
+        super();
         this.baseUrl = baseUrl;
+        this.chunkSize = chunkSize;
+        this.maxRetries = maxRetries;
+        this.retryDelay = retryDelay;
+        this.binaryGeometry = binaryGeometry;
+        this.chunkedUploadSupported = true; // 서버가 청크 업로드를 지원하지 않으면 false로 전환
+        this.serverResponded = false; // 서버 응답을 한 번이라도 받았는지 (받은 뒤의 네트워크 오류는 연결 끊김으로 간주)
     }
 
     /**
      * IFC 파일 업로드
+     * 큰 파일은 청크 단위로 나누어 업로드하고, 서버가 지원하지 않으면 단일 업로드로 전환
      * @param {File} file - 업로드할 파일
      * @param {Function} onProgress - 진행률 콜백
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
      * @returns {Promise<Object>} 업로드 응답
      */
-    async uploadFile(file, onProgress) {
+    async uploadFile(file, onProgress, { signal } = {}) {
+        if (file.size > this.chunkSize && this.chunkedUploadSupported) {
+            try {
+                return await this.uploadFileInChunks(file, onProgress, signal);
+            } catch (error) {
+                // 청크 업로드 엔드포인트가 없는 서버 (세션 시작 요청에서만 판단)
+                if (!error.chunkedUploadUnsupported) {
+                    throw error;
+                }
+                console.warn('서버가 청크 업로드를 지원하지 않아 단일 업로드로 전환합니다.');
+                this.chunkedUploadSupported = false;
+            }
+        }
+
         const formData = new FormData();
         formData.append('file', file);
 
-        const response = await fetch(`${this.baseUrl}/Upload`, {
-            method: 'POST',
-            body: formData,
-            onUploadProgress: (progressEvent) => {
-                if (onProgress) {
-                    const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-                    onProgress(percentCompleted);
+        try {
+            return await this.sendRequest('POST', `${this.baseUrl}/Upload`, {
+                body: formData,
+                signal,
+                onUploadProgress: (loaded, total) => {
+                    if (onProgress) {
+                        onProgress(Math.round((loaded * 100) / total));
+                    }
                 }
+            });
+        } catch (error) {
+            if (error.status) {
+                throw new Error(`업로드 실패: ${error.message}`);
             }
-        });
+            throw error;
+        }
+    }
 
-        if (!response.ok) {
-            throw new Error(`업로드 실패: ${response.statusText}`);
+    /**
+     * 청크 업로드
+     * 청크/완료 요청이 404이면 서버에서 세션이 만료된 것이므로 저장된 세션을 지우고 새 세션으로 한 번 더 업로드
+     * (완료 응답을 받지 못하고 재시도한 경우도 서버가 세션을 지웠다면 404)
+     * @param {File} file - 업로드할 파일
+     * @param {Function} onProgress - 진행률 콜백
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<Object>} 업로드 응답
+     */
+    async uploadFileInChunks(file, onProgress, signal) {
+        try {
+            return await this.uploadChunks(file, onProgress, signal);
+        } catch (error) {
+            if (error.status !== 404 || error.chunkedUploadUnsupported) {
+                throw error;
+            }
+
+            console.warn('서버에서 업로드 세션을 찾을 수 없어 처음부터 다시 업로드합니다.');
+            this.clearUploadSession(file);
+            return await this.uploadChunks(file, onProgress, signal);
         }
+    }
 
-        return await response.json();
+    /**
+     * 청크 단위 업로드 (중단된 업로드는 마지막으로 확인된 청크부터 재개)
+     *
+     * 프로토콜:
+     *   POST {baseUrl}/Upload/chunked/init              { fileName, fileSize, chunkSize, totalChunks } → { uploadId }
+     *   GET  {baseUrl}/Upload/chunked/{uploadId}         → { uploadId, receivedChunks }
+     *   PUT  {baseUrl}/Upload/chunked/{uploadId}/{index} (바이너리 청크) → { receivedChunks }
+     *   POST {baseUrl}/Upload/chunked/{uploadId}/complete → 단일 업로드와 동일한 응답
+     *
+     * @param {File} file - 업로드할 파일
+     * @param {Function} onProgress - 진행률 콜백
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<Object>} 업로드 응답
+     */
+    async uploadChunks(file, onProgress, signal) {
+        const totalChunks = Math.ceil(file.size / this.chunkSize);
+        const session = await this.resumeOrCreateUploadSession(file, totalChunks, signal);
+        const uploadUrl = `${this.baseUrl}/Upload/chunked/${session.uploadId}`;
+
+        const reportProgress = (chunkIndex, loadedInChunk) => {
+            if (onProgress) {
+                const loaded = Math.min(file.size, chunkIndex * this.chunkSize + loadedInChunk);
+                onProgress(Math.round((loaded * 100) / file.size));
+            }
+        };
+
+        for (let chunkIndex = session.receivedChunks; chunkIndex < totalChunks; chunkIndex++) {
+            const start = chunkIndex * this.chunkSize;
+            const chunk = file.slice(start, Math.min(start + this.chunkSize, file.size));
+
+            await this.withRetry(() => this.sendRequest('PUT', `${uploadUrl}/${chunkIndex}`, {
+                body: chunk,
+                headers: { 'Content-Type': 'application/octet-stream' },
+                signal,
+                onUploadProgress: (loaded) => reportProgress(chunkIndex, loaded)
+            }), signal);
+
+            reportProgress(chunkIndex + 1, 0);
+        }
+
+        const response = await this.withRetry(() => this.sendRequest('POST', `${uploadUrl}/complete`, { signal }), signal);
+        this.clearUploadSession(file);
+        return response;
+    }
+
+    /**
+     * 저장된 업로드 세션을 재개하거나 새 세션 생성
+     * @param {File} file - 업로드할 파일
+     * @param {number} totalChunks - 전체 청크 수
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<{uploadId: string, receivedChunks: number}>} 업로드 세션
+     */
+    async resumeOrCreateUploadSession(file, totalChunks, signal) {
+        const saved = this.loadUploadSession(file);
+
+        if (saved && saved.chunkSize === this.chunkSize) {
+            try {
+                const status = await this.withRetry(() => this.sendRequest('GET', `${this.baseUrl}/Upload/chunked/${saved.uploadId}`, { signal }), signal, { retryNetworkErrors: false });
+                return { uploadId: saved.uploadId, receivedChunks: status.receivedChunks };
+            } catch (error) {
+                // 서버에서 만료된 세션이면 새로 시작
+                if (error.status !== 404) {
+                    throw error;
+                }
+            }
+        }
+
+        let session;
+        try {
+            session = await this.withRetry(() => this.sendRequest('POST', `${this.baseUrl}/Upload/chunked/init`, {
+                body: JSON.stringify({
+                    fileName: file.name,
+                    fileSize: file.size,
+                    chunkSize: this.chunkSize,
+                    totalChunks
+                }),
+                headers: { 'Content-Type': 'application/json' },
+                signal
+            }), signal, { retryNetworkErrors: false });
+        } catch (error) {
+            // 세션 시작 엔드포인트가 없으면 청크 업로드를 지원하지 않는 서버
+            if (error.status === 404 || error.status === 405 || error.status === 501) {
+                error.chunkedUploadUnsupported = true;
+            }
+            throw error;
+        }
+
+        this.saveUploadSession(file, { uploadId: session.uploadId, chunkSize: this.chunkSize });
+        return { uploadId: session.uploadId, receivedChunks: 0 };
+    }
+
+    /**
+     * 업로드 세션 저장 키 (같은 파일이면 같은 키)
+     * @param {File} file - 파일
+     * @returns {string} localStorage 키
+     */
+    getUploadSessionKey(file) {
+        return `webifcviewer:upload:${this.baseUrl}:${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    /**
+     * 저장된 업로드 세션 조회
+     * @param {File} file - 파일
+     * @returns {Object|null} { uploadId, chunkSize } 또는 null
+     */
+    loadUploadSession(file) {
+        try {
+            return JSON.parse(localStorage.getItem(this.getUploadSessionKey(file)));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 업로드 세션 저장
+     * @param {File} file - 파일
+     * @param {Object} session - { uploadId, chunkSize }
+     */
+    saveUploadSession(file, session) {
+        localStorage.setItem(this.getUploadSessionKey(file), JSON.stringify(session));
+    }
+
+    /**
+     * 업로드 세션 삭제
+     * @param {File} file - 파일
+     */
+    clearUploadSession(file) {
+        localStorage.removeItem(this.getUploadSessionKey(file));
+    }
+
+    /**
+     * 일시적인 오류(네트워크 오류, 408/429/5xx)에 대해 지수 백오프로 재시도
+     * @param {Function} task - Promise를 반환하는 요청 함수
+     * @param {AbortSignal} signal - 취소 신호
+     * @param {Object} options - 재시도 옵션
+     * @param {boolean} options.retryNetworkErrors - 네트워크 오류(TypeError)도 재시도할지 여부
+     *   (세션 시작/재개는 false: 백엔드가 꺼져 있으면 바로 실패해야 로컬 파싱으로 빨리 전환됨)
+     * @returns {Promise<*>} 요청 결과
+     */
+    async withRetry(task, signal, { retryNetworkErrors = true } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await task();
+            } catch (error) {
+                const retryable = (retryNetworkErrors && error instanceof TypeError) || error.status === 408 || error.status === 429 || error.status >= 500;
+                if (!retryable || attempt >= this.maxRetries) {
+                    throw error;
+                }
+
+                const delay = this.retryDelay * Math.pow(2, attempt);
+                console.warn(`요청 실패, ${delay}ms 후 재시도 (${attempt + 1}/${this.maxRetries}):`, error.message);
+                await this.wait(delay, signal);
+            }
+        }
+    }
+
+    /**
+     * 지정 시간 대기 (취소 가능)
+     * @param {number} ms - 대기 시간
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<void>}
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const createAbortError = () => new DOMException('업로드가 취소되었습니다.', 'AbortError');
+            if (signal && signal.aborted) {
+                reject(createAbortError());
+                return;
+            }
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createAbortError());
+            };
+            const timer = setTimeout(() => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+                resolve();
+            }, ms);
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * XMLHttpRequest 요청 (fetch는 업로드 진행률을 제공하지 않음)
+     * HTTP 오류는 status 속성을 가진 Error, 네트워크 오류는 fetch와 동일하게 TypeError로 전달
+     * 서버 응답을 한 번도 받지 못했고 전송도 시작되지 않은 네트워크 오류는 backendUnreachable = true
+     * (업로드 도중 연결이 끊긴 경우와 구분해, 처음부터 백엔드에 연결할 수 없을 때만 로컬 파싱으로 전환하기 위함)
+     * @param {string} method - HTTP 메서드
+     * @param {string} url - 요청 URL
+     * @param {Object} options - 요청 옵션
+     * @param {*} options.body - 요청 본문
+     * @param {Object} options.headers - 요청 헤더
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @param {Function} options.onUploadProgress - (loaded, total) 업로드 진행률 콜백
+     * @returns {Promise<Object>} JSON 응답
+     */
+    sendRequest(method, url, { body = null, headers = {}, signal, onUploadProgress } = {}) {
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('업로드가 취소되었습니다.', 'AbortError'));
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            // 요청이 끝나면 취소 리스너를 제거 (같은 신호로 청크/재시도 요청을 계속 보내므로 쌓이지 않도록)
+            const onAbort = () => xhr.abort();
+            const cleanup = () => {
+                if (signal) {
+                    signal.removeEventListener('abort', onAbort);
+                }
+            };
+            xhr.addEventListener('loadend', cleanup);
+
+            xhr.open(method, url);
+            xhr.responseType = 'json';
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+            let uploadStarted = false;
+            xhr.upload.addEventListener('progress', (progressEvent) => {
+                uploadStarted = uploadStarted || progressEvent.loaded > 0;
+                if (onUploadProgress && progressEvent.lengthComputable) {
+                    onUploadProgress(progressEvent.loaded, progressEvent.total);
+                }
+            });
+
+            xhr.addEventListener('load', () => {
+                this.serverResponded = true;
+                if (xhr.status >= 200 && xhr.status < 300) {
+                    resolve(xhr.response);
+                } else {
+                    const error = new Error(xhr.statusText || `HTTP ${xhr.status}`);
+                    error.status = xhr.status;
+                    reject(error);
+                }
+            });
+
+            xhr.addEventListener('error', () => {
+                const error = new TypeError('업로드 실패: 네트워크 오류');
+                error.backendUnreachable = !this.serverResponded && !uploadStarted;
+                reject(error);
+            });
+            xhr.addEventListener('abort', () => reject(new DOMException('업로드가 취소되었습니다.', 'AbortError')));
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            xhr.send(body);
+        });
     }
 
     /**
      * IFC 파일 파싱
      * @param {string} fileName - 파싱할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
      * @returns {Promise<Object>} 파싱 응답
      */
-    async parseIfcFile(fileName) {
+    async parseIfcFile(fileName, { signal } = {}) {
         const response = await fetch(`${this.baseUrl}/IfcParser/parse/${fileName}`, {
-            method: 'POST'
+            method: 'POST',
+            signal
         });
 
         if (!response.ok) {
@@ -54,10 +374,12 @@ export class ApiService {
 
     /**
      * 업로드된 파일 목록 조회
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
      * @returns {Promise<Object>} 파일 목록
      */
-    async getUploadedFiles() {
-        const response = await fetch(`${this.baseUrl}/IfcParser/files`);
+    async getUploadedFiles({ signal } = {}) {
+        const response = await fetch(`${this.baseUrl}/IfcParser/files`, { signal });
 
         if (!response.ok) {
             throw new Error(`파일 목록 조회 실패: ${response.statusText}`);
@@ -66,21 +388,244 @@ export class ApiService {
         return await response.json();
     }
 
+    /**
+     * 업로드된 파일 삭제
+     * @param {string} fileName - 삭제할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 삭제 응답
+     */
+    async deleteUploadedFile(fileName, { signal } = {}) {
+        const response = await fetch(`${this.baseUrl}/IfcParser/files/${encodeURIComponent(fileName)}`, {
+            method: 'DELETE',
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`파일 삭제 실패: ${response.statusText}`);
+        }
+
+        // 본문 없이 204로 응답하는 서버도 허용
+        return response.status === 204 ? { success: true } : await response.json();
+    }
+
     /**
      * IFC Geometry 추출
+     * 서버가 바이너리 형식을 지원하면 바이너리로, 아니면 JSON으로 받음
      * @param {string} fileName - 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
      * @returns {Promise<Object>} Geometry 데이터
      */
-    async extractGeometry(fileName) {
+    async extractGeometry(fileName, { signal } = {}) {
+        const accept = this.binaryGeometry
+            ? `${GEOMETRY_BINARY_MIME_TYPE}, application/json;q=0.9`
+            : 'application/json';
+        const response = await this.requestGeometry(fileName, accept, signal);
+
+        if (this.getContentType(response).includes(GEOMETRY_BINARY_MIME_TYPE)) {
+            const decoder = new GeometryBinaryDecoder();
+            const geometries = decoder.push(new Uint8Array(await response.arrayBuffer()));
+            decoder.finish();
+            return { success: true, fileName, geometries };
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * IFC Geometry 스트리밍 추출
+     * Accept 헤더로 바이너리 > NDJSON > JSON 순으로 요청하고, 서버가 응답한 Content-Type에 맞게 읽음
+     * - 바이너리: 청크를 받는 대로 완성된 요소부터 디코딩 (GeometryBinaryFormat.js 참고)
+     * - NDJSON: 각 줄은 Geometry 하나, { geometries: [...] } 묶음, 또는 전체 개수를 알려주는 { total }
+     * - JSON: 기존 응답을 받은 뒤 batchSize개씩 나누어 전달
+     * @param {string} fileName - 파일명
+     * @param {Function} onBatch - 배치 콜백 (geometries, { count, progress })
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @param {number} options.batchSize - 배치당 Geometry 수
+     * @returns {Promise<Object>} 추출 결과 ({ success, fileName, count })
+     */
+    async streamGeometry(fileName, onBatch, { signal, batchSize = DEFAULT_GEOMETRY_BATCH_SIZE } = {}) {
+        const accept = this.binaryGeometry
+            ? `${GEOMETRY_BINARY_MIME_TYPE}, application/x-ndjson;q=0.9, application/json;q=0.8`
+            : 'application/x-ndjson, application/json;q=0.9';
+        const response = await this.requestGeometry(fileName, accept, signal);
+        const contentType = this.getContentType(response);
+
+        let source;
+        if (contentType.includes(GEOMETRY_BINARY_MIME_TYPE) && response.body) {
+            source = this.readBinaryGeometries(response.body);
+        } else if (contentType.includes('ndjson') && response.body) {
+            source = this.readNdjsonGeometries(response.body);
+        } else {
+            source = this.readJsonGeometries(response, batchSize);
+        }
+
+        const count = await this.deliverGeometryBatches(source, onBatch, batchSize);
+        return { success: true, fileName, count };
+    }
+
+    /**
+     * Geometry 추출 요청
+     * @param {string} fileName - 파일명
+     * @param {string} accept - Accept 헤더
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<Response>} 응답
+     */
+    async requestGeometry(fileName, accept, signal) {
         const response = await fetch(`${this.baseUrl}/IfcGeometry/extract/${fileName}`, {
-            method: 'POST'
+            method: 'POST',
+            headers: { Accept: accept },
+            signal
         });
 
         if (!response.ok) {
             throw new Error(`Geometry 추출 실패: ${response.statusText}`);
         }
 
-        return await response.json();
+        return response;
+    }
+
+    /**
+     * 응답 Content-Type (소문자)
+     * @param {Response} response - 응답
+     * @returns {string} Content-Type
+     */
+    getContentType(response) {
+        return (response.headers.get('Content-Type') || '').toLowerCase();
+    }
+
+    /**
+     * 읽어들인 Geometry를 batchSize 단위로 전달 (첫 배치는 바로 전달하여 모델이 빨리 보이도록 함)
+     * @param {AsyncIterable<{geometries: Array, total: number|null}>} source - Geometry 청크
+     * @param {Function} onBatch - 배치 콜백 (geometries, { count, progress })
+     * @param {number} batchSize - 배치당 Geometry 수
+     * @returns {Promise<number>} 전달한 Geometry 수
+     */
+    async deliverGeometryBatches(source, onBatch, batchSize) {
+        let batch = [];
+        let count = 0;
+        let total = null;
+
+        const flush = async () => {
+            const geometries = batch;
+            batch = [];
+            count += geometries.length;
+            await onBatch(geometries, { count, progress: total ? Math.min(count / total, 1) : null });
+        };
+
+        for await (const chunk of source) {
+            if (chunk.total) {
+                total = chunk.total;
+            }
+            chunk.geometries.forEach(geometry => batch.push(geometry));
+
+            if (batch.length >= batchSize || (count === 0 && batch.length > 0)) {
+                await flush();
+            }
+        }
+
+        if (batch.length > 0) {
+            await flush();
+        }
+
+        return count;
+    }
+
+    /**
+     * 바이너리 Geometry 스트림 읽기
+     * 읽기를 중간에 멈추면(배치 처리 오류, 취소 등) 응답 스트림도 취소해 다운로드가 계속되지 않도록 함
+     * @param {ReadableStream} body - 응답 본문
+     */
+    async *readBinaryGeometries(body) {
+        const reader = body.getReader();
+        const decoder = new GeometryBinaryDecoder();
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+
+                yield { geometries: decoder.push(value), total: decoder.total };
+            }
+
+            decoder.finish();
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    /**
+     * NDJSON Geometry 스트림 읽기
+     * 읽기를 중간에 멈추면 응답 스트림도 취소 (readBinaryGeometries와 동일)
+     * @param {ReadableStream} body - 응답 본문
+     */
+    async *readNdjsonGeometries(body) {
+        const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) {
+                    break;
+                }
+
+                buffer += value;
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                yield this.parseNdjsonLines(lines);
+            }
+
+            yield this.parseNdjsonLines([buffer]);
+        } finally {
+            reader.cancel().catch(() => {});
+        }
+    }
+
+    /**
+     * NDJSON 줄들을 Geometry 목록으로 변환
+     * @param {Array<string>} lines - NDJSON 줄
+     * @returns {{geometries: Array, total: number|null}} Geometry 청크
+     */
+    parseNdjsonLines(lines) {
+        const geometries = [];
+        let total = null;
+
+        lines.forEach(line => {
+            if (!line.trim()) {
+                return;
+            }
+
+            const record = JSON.parse(line);
+            if (Array.isArray(record.geometries)) {
+                record.geometries.forEach(geometry => geometries.push(geometry));
+            } else if (record.globalId) {
+                geometries.push(record);
+            }
+
+            if (typeof record.total === 'number') {
+                total = record.total;
+            }
+        });
+
+        return { geometries, total };
+    }
+
+    /**
+     * 일반 JSON Geometry 응답을 batchSize개씩 나누어 읽기
+     * @param {Response} response - 응답
+     * @param {number} batchSize - 배치당 Geometry 수
+     */
+    async *readJsonGeometries(response, batchSize) {
+        const geometries = (await response.json()).geometries || [];
+
+        for (let i = 0; i < geometries.length; i += batchSize) {
+            yield { geometries: geometries.slice(i, i + batchSize), total: geometries.length };
+        }
     }
 
     /**
@@ -101,11 +646,14 @@ export class ApiService {
     /**
      * IFC 파일의 속성정보 추출
      * @param {string} fileName - 속성정보를 추출할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
      * @returns {Promise<Object>} 속성정보 응답
      */
-    async extractProperties(fileName) {
+    async extractProperties(fileName, { signal } = {}) {
         const response = await fetch(`${this.baseUrl}/IfcProperty/extract/${fileName}`, {
-            method: 'POST'
+            method: 'POST',
+            signal
         });
 
         if (!response.ok) {
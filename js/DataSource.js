@@ -0,0 +1,102 @@
+/**
+ * 데이터 소스 기본 클래스
+ * 업로드, 파싱, Geometry 추출, 속성정보 추출, 파일 목록 조회/삭제 인터페이스를 정의
+ * ApiService(원격 REST), LocalIfcService(브라우저 파싱), MockDataSource(JSON 픽스처)가 이를 구현
+ */
+export class DataSource {
+    /**
+     * IFC 파일 업로드
+     * @param {File} file - 업로드할 파일
+     * @param {Function} onProgress - 진행률 콜백
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 업로드 응답 ({ fileName, ... })
+     */
+    async uploadFile(file, onProgress, options = {}) {
+        throw this.notImplemented('uploadFile');
+    }
+
+    /**
+     * IFC 파일 파싱
+     * @param {string} fileName - 파싱할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 파싱 응답 ({ success, parseDatas, objectCount, errorMessage })
+     */
+    async parseIfcFile(fileName, options = {}) {
+        throw this.notImplemented('parseIfcFile');
+    }
+
+    /**
+     * 업로드된 파일 목록 조회
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 파일 목록
+     */
+    async getUploadedFiles(options = {}) {
+        throw this.notImplemented('getUploadedFiles');
+    }
+
+    /**
+     * 업로드된 파일 삭제
+     * @param {string} fileName - 삭제할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 삭제 응답 ({ success })
+     */
+    async deleteUploadedFile(fileName, options = {}) {
+        throw this.notImplemented('deleteUploadedFile');
+    }
+
+    /**
+     * IFC Geometry 추출
+     * @param {string} fileName - 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} Geometry 데이터 ({ geometries })
+     */
+    async extractGeometry(fileName, options = {}) {
+        throw this.notImplemented('extractGeometry');
+    }
+
+    /**
+     * IFC Geometry 스트리밍 추출
+     * onBatch가 반환한 Promise가 끝날 때까지 다음 배치를 전달하지 않음
+     * 스트리밍을 지원하지 않는 소스는 extractGeometry 결과를 한 배치로 전달
+     * @param {string} fileName - 파일명
+     * @param {Function} onBatch - 배치 콜백 (geometries, { count, progress }), progress는 0~1 또는 알 수 없으면 null
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 추출 결과 ({ success, fileName, count })
+     */
+    async streamGeometry(fileName, onBatch, options = {}) {
+        const result = await this.extractGeometry(fileName, options);
+        const geometries = result.geometries || [];
+
+        if (geometries.length > 0) {
+            await onBatch(geometries, { count: geometries.length, progress: 1 });
+        }
+
+        return { success: true, fileName, count: geometries.length };
+    }
+
+    /**
+     * IFC 파일의 속성정보 추출
+     * @param {string} fileName - 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 속성정보 응답 ({ success, properties })
+     */
+    async extractProperties(fileName, options = {}) {
+        throw this.notImplemented('extractProperties');
+    }
+
+    /**
+     * 미구현 메서드 오류 생성
+     * @param {string} method - 메서드명
+     * @returns {Error} 오류 객체
+     */
+    notImplemented(method) {
+        return new Error(`데이터 소스가 ${method}()를 지원하지 않습니다.`);
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * 데이터 소스 생성 팩토리
+ * 설정(Vite 환경 변수)과 URL 파라미터로 시작 시 사용할 데이터 소스를 선택
+ *
+ * 환경 변수: VITE_DATA_SOURCE, VITE_API_BASE_URL, VITE_FIXTURE_BASE_URL
+ * URL 파라미터: ?source=api|local|mock&apiBaseUrl=...&fixtureBaseUrl=... (환경 변수보다 우선)
+ */
+import { ApiService } from './ApiService.js';
+import { LocalIfcService } from './LocalIfcService.js';
+import { MockDataSource } from './MockDataSource.js';
+
+export class DataSourceFactory {
+    /**
+     * 데이터 소스 설정 결정
+     * @param {string} search - URL 쿼리 문자열 (기본값: 현재 페이지)
+     * @returns {{type: string, apiBaseUrl: string|undefined, fixtureBaseUrl: string|undefined}} 데이터 소스 설정
+     */
+    static resolveConfig(search = window.location.search) {
+        const env = import.meta.env || {};
+        const params = new URLSearchParams(search);
+
+        return {
+            type: params.get('source') || env.VITE_DATA_SOURCE || 'api',
+            apiBaseUrl: params.get('apiBaseUrl') || env.VITE_API_BASE_URL || undefined,
+            fixtureBaseUrl: params.get('fixtureBaseUrl') || env.VITE_FIXTURE_BASE_URL || undefined
+        };
+    }
+
+    /**
+     * 설정에 맞는 데이터 소스 생성
+     * @param {Object} config - 데이터 소스 설정
+     * @param {string} config.type - 'api' | 'local' | 'mock'
+     * @param {string} [config.apiBaseUrl] - REST API 기본 URL
+     * @param {string} [config.fixtureBaseUrl] - 픽스처 기본 URL
+     * @returns {DataSource} 데이터 소스
+     */
+    static create(config = {}) {
+        switch (config.type) {
+            case 'local':
+                return new LocalIfcService();
+            case 'mock':
+                return new MockDataSource(config.fixtureBaseUrl);
+            case 'api':
+            case undefined:
+                return new ApiService(config.apiBaseUrl);
+            default:
+                console.warn(`알 수 없는 데이터 소스 타입: ${config.type}, 기본 API를 사용합니다.`);
+                return new ApiService(config.apiBaseUrl);
+        }
+    }
+}
@@ -4,7 +4,7 @@
  */
 export class FileValidator {
     constructor() {
-        this.maxFileSize = 100 * 1024 * 1024; // 100MB
+        this.maxFileSize = 2 * 1024 * 1024 * 1024; // 2GB (큰 파일은 청크 단위로 업로드, 브라우저 로컬 파싱은 LocalIfcService에서 더 작게 제한)
         this.allowedFileTypes = ['.ifc'];
     }
 
@@ -0,0 +1,216 @@
+/**
+ * 바이너리 Geometry 전송 형식
+ * JSON 숫자 배열 대신 typed array 버퍼를 그대로 전송하여 크기와 파싱 비용을 줄임
+ *
+ * 모든 값은 little-endian
+ *   파일 헤더 (12 bytes)
+ *     char[4]  magic 'WIFG'
+ *     uint16   version (1)
+ *     uint16   reserved
+ *     uint32   elementCount (알 수 없으면 0)
+ *   요소 레코드 (반복)
+ *     uint16   globalId 길이 (UTF-8 bytes)
+ *     uint16   ifcType 길이 (UTF-8 bytes)
+ *     uint8    flags (bit0: 색상 있음, bit1: 투명도 있음 — 색상이 있으면 투명도도 항상 읽음)
+ *     uint8[3] 색상 RGB
+ *     float32  transparency
+ *     uint32   정점 값 개수 (float 개수, 정점 수 × 3)
+ *     uint32   인덱스 개수
+ *     globalId, ifcType 문자열 후 4 bytes 경계까지 0으로 채움
+ *     float32[] vertices (IFC 좌표계 Z-Up, mm — JSON 형식과 동일)
+ *     uint32[]  faces
+ */
+
+export const GEOMETRY_BINARY_MIME_TYPE = 'application/vnd.webifc.geometry';
+
+const MAGIC = 'WIFG';
+const VERSION = 1;
+const FILE_HEADER_SIZE = 12;
+const RECORD_HEADER_SIZE = 20;
+const FLAG_HAS_COLOR = 1;
+const FLAG_HAS_TRANSPARENCY = 2;
+
+/**
+ * 4 bytes 경계로 올림
+ * @param {number} value - 바이트 수
+ * @returns {number} 정렬된 바이트 수
+ */
+function align4(value) {
+    return (value + 3) & ~3;
+}
+
+/**
+ * Geometry 배열을 바이너리 형식으로 인코딩 (백엔드 구현 참고 및 테스트용)
+ * @param {Array} geometries - Geometry 데이터 배열 ({ globalId, ifcType, vertices, faces, colorHEX, transparency })
+ * @returns {ArrayBuffer} 인코딩된 버퍼
+ */
+export function encodeGeometryBinary(geometries) {
+    const encoder = new TextEncoder();
+    const records = geometries.map(geometry => {
+        const globalId = encoder.encode(geometry.globalId || '');
+        const ifcType = encoder.encode(geometry.ifcType || '');
+        const stringsSize = align4(globalId.length + ifcType.length);
+        const size = RECORD_HEADER_SIZE + stringsSize + geometry.vertices.length * 4 + geometry.faces.length * 4;
+        return { geometry, globalId, ifcType, stringsSize, size };
+    });
+
+    const totalSize = records.reduce((sum, record) => sum + record.size, FILE_HEADER_SIZE);
+    const buffer = new ArrayBuffer(totalSize);
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+
+    bytes.set(encoder.encode(MAGIC), 0);
+    view.setUint16(4, VERSION, true);
+    view.setUint32(8, geometries.length, true);
+
+    let offset = FILE_HEADER_SIZE;
+    records.forEach(({ geometry, globalId, ifcType, stringsSize }) => {
+        const hasColor = Boolean(geometry.colorHEX);
+        const hasTransparency = geometry.transparency !== undefined && geometry.transparency !== null;
+        const color = hasColor ? parseInt(geometry.colorHEX, 16) : 0;
+
+        view.setUint16(offset, globalId.length, true);
+        view.setUint16(offset + 2, ifcType.length, true);
+        view.setUint8(offset + 4, (hasColor ? FLAG_HAS_COLOR : 0) | (hasTransparency ? FLAG_HAS_TRANSPARENCY : 0));
+        view.setUint8(offset + 5, (color >> 16) & 0xff);
+        view.setUint8(offset + 6, (color >> 8) & 0xff);
+        view.setUint8(offset + 7, color & 0xff);
+        view.setFloat32(offset + 8, geometry.transparency || 0, true);
+        view.setUint32(offset + 12, geometry.vertices.length, true);
+        view.setUint32(offset + 16, geometry.faces.length, true);
+        offset += RECORD_HEADER_SIZE;
+
+        bytes.set(globalId, offset);
+        bytes.set(ifcType, offset + globalId.length);
+        offset += stringsSize;
+
+        for (let i = 0; i < geometry.vertices.length; i++, offset += 4) {
+            view.setFloat32(offset, geometry.vertices[i], true);
+        }
+        for (let i = 0; i < geometry.faces.length; i++, offset += 4) {
+            view.setUint32(offset, geometry.faces[i], true);
+        }
+    });
+
+    return buffer;
+}
+
+/**
+ * 바이너리 Geometry 점진적 디코더
+ * 네트워크 청크를 받는 대로 push하면 완성된 요소부터 Geometry 객체로 돌려줌
+ * vertices/faces는 Float32Array/Uint32Array로 반환하여 렌더러에서 다시 복사하지 않음
+ */
+export class GeometryBinaryDecoder {
+    constructor() {
+        this.pending = new Uint8Array(0);
+        this.headerRead = false;
+        this.total = null; // 파일 헤더의 요소 수 (알 수 없으면 null)
+        this.textDecoder = new TextDecoder();
+    }
+
+    /**
+     * 청크 추가 후 완성된 요소 디코딩
+     * @param {Uint8Array} chunk - 수신한 바이트
+     * @returns {Array} 디코딩된 Geometry 데이터 배열
+     */
+    push(chunk) {
+        this.append(chunk);
+
+        if (!this.headerRead) {
+            if (this.pending.length < FILE_HEADER_SIZE) {
+                return [];
+            }
+            this.readFileHeader();
+        }
+
+        const geometries = [];
+        let offset = 0;
+
+        while (this.pending.length - offset >= RECORD_HEADER_SIZE) {
+            const view = new DataView(this.pending.buffer, this.pending.byteOffset + offset, RECORD_HEADER_SIZE);
+            const globalIdLength = view.getUint16(0, true);
+            const ifcTypeLength = view.getUint16(2, true);
+            const vertexCount = view.getUint32(12, true);
+            const indexCount = view.getUint32(16, true);
+            const stringsSize = align4(globalIdLength + ifcTypeLength);
+            const recordSize = RECORD_HEADER_SIZE + stringsSize + (vertexCount + indexCount) * 4;
+
+            if (this.pending.length - offset < recordSize) {
+                break;
+            }
+
+            let cursor = offset + RECORD_HEADER_SIZE;
+            const geometry = {
+                globalId: this.textDecoder.decode(this.pending.subarray(cursor, cursor + globalIdLength)),
+                ifcType: this.textDecoder.decode(this.pending.subarray(cursor + globalIdLength, cursor + globalIdLength + ifcTypeLength))
+            };
+            cursor += stringsSize;
+
+            // slice로 복사하여 4 bytes 정렬된 새 버퍼에 typed array 생성
+            const start = this.pending.byteOffset + cursor;
+            geometry.vertices = new Float32Array(this.pending.buffer.slice(start, start + vertexCount * 4));
+            geometry.faces = new Uint32Array(this.pending.buffer.slice(start + vertexCount * 4, start + (vertexCount + indexCount) * 4));
+
+            const flags = view.getUint8(4);
+            if (flags & FLAG_HAS_COLOR) {
+                const color = (view.getUint8(5) << 16) | (view.getUint8(6) << 8) | view.getUint8(7);
+                geometry.colorHEX = color.toString(16).padStart(6, '0').toUpperCase();
+            }
+            if (flags & (FLAG_HAS_COLOR | FLAG_HAS_TRANSPARENCY)) {
+                geometry.transparency = view.getFloat32(8, true);
+            }
+
+            geometries.push(geometry);
+            offset += recordSize;
+        }
+
+        this.pending = this.pending.subarray(offset);
+        return geometries;
+    }
+
+    /**
+     * 스트림 종료 확인 (남은 바이트가 있으면 잘린 데이터)
+     */
+    finish() {
+        if (!this.headerRead || this.pending.length > 0) {
+            throw new Error('바이너리 Geometry 데이터가 불완전합니다.');
+        }
+    }
+
+    /**
+     * 파일 헤더 읽기
+     */
+    readFileHeader() {
+        const view = new DataView(this.pending.buffer, this.pending.byteOffset, FILE_HEADER_SIZE);
+        const magic = this.textDecoder.decode(this.pending.subarray(0, 4));
+        const version = view.getUint16(4, true);
+
+        if (magic !== MAGIC) {
+            throw new Error('바이너리 Geometry 형식이 아닙니다.');
+        }
+        if (version !== VERSION) {
+            throw new Error(`지원하지 않는 바이너리 Geometry 버전입니다: ${version}`);
+        }
+
+        const elementCount = view.getUint32(8, true);
+        this.total = elementCount > 0 ? elementCount : null;
+        this.headerRead = true;
+        this.pending = this.pending.subarray(FILE_HEADER_SIZE);
+    }
+
+    /**
+     * 남은 바이트 뒤에 청크 이어붙이기
+     * @param {Uint8Array} chunk - 수신한 바이트
+     */
+    append(chunk) {
+        if (this.pending.length === 0) {
+            this.pending = chunk;
+            return;
+        }
+
+        const merged = new Uint8Array(this.pending.length + chunk.length);
+        merged.set(this.pending, 0);
+        merged.set(chunk, this.pending.length);
+        this.pending = merged;
+    }
+}
@@ -0,0 +1,574 @@
+/**
+ * 로컬 IFC 파싱 서비스 클래스
+ * 백엔드 없이 브라우저에서 IFC(STEP) 파일을 직접 읽어
+ * ApiService와 동일한 형태의 응답(parseDatas, geometries, properties)을 생성
+ */
+import * as THREE from 'three';
+import * as WebIFC from 'web-ifc';
+import wasmUrl from 'web-ifc/web-ifc.wasm?url';
+import { DataSource } from './DataSource.js';
+
+// 파일 전체를 메모리에 읽고 web-ifc(WASM 메모리)에서 다시 열므로 백엔드 업로드 한도(2GB)보다 작게 제한
+export const MAX_LOCAL_FILE_SIZE = 512 * 1024 * 1024; // 512MB
+
+export class LocalIfcService extends DataSource {
+    constructor() {
+        super();
+        this.ifcApi = null;
+        this.initPromise = null;
+        this.files = new Map(); // 파일명 → { data, size, uploadedAt }
+        this.models = new Map(); // 파일명 → web-ifc modelID
+
+        // web-ifc 출력 좌표(Y-Up, m)를 백엔드 좌표(IFC Z-Up, mm)로 되돌리는 행렬
+        this.toIfcMatrix = new THREE.Matrix4().set(
+            1000, 0, 0, 0,
+            0, 0, -1000, 0,
+            0, 1000, 0, 0,
+            0, 0, 0, 1
+        );
+    }
+
+    /**
+     * web-ifc 초기화 (최초 1회)
+     * @returns {Promise<WebIFC.IfcAPI>} 초기화된 IfcAPI
+     */
+    async ensureApi() {
+        if (!this.initPromise) {
+            this.ifcApi = new WebIFC.IfcAPI();
+            // 멀티스레드 빌드는 crossOriginIsolated 환경이 필요하므로 단일 스레드 사용
+            this.initPromise = this.ifcApi.Init((path) => path.endsWith('.wasm') ? wasmUrl : path, true);
+        }
+
+        await this.initPromise;
+        return this.ifcApi;
+    }
+
+    /**
+     * IFC 파일 "업로드" (메모리에 보관, MAX_LOCAL_FILE_SIZE를 넘으면 오류)
+     * @param {File} file - 업로드할 파일
+     * @param {Function} onProgress - 진행률 콜백
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 업로드 응답
+     */
+    async uploadFile(file, onProgress, { signal } = {}) {
+        if (file.size > MAX_LOCAL_FILE_SIZE) {
+            throw new Error(`브라우저에서 직접 열 수 있는 최대 크기(${MAX_LOCAL_FILE_SIZE / (1024 * 1024)}MB)를 넘는 파일입니다. 백엔드 서버로 열어주세요.`);
+        }
+
+        const buffer = await file.arrayBuffer();
+        this.throwIfAborted(signal);
+
+        // 같은 이름의 파일이 이미 열려 있다면 닫기
+        this.closeModel(file.name);
+
+        this.files.set(file.name, {
+            data: new Uint8Array(buffer),
+            size: file.size,
+            uploadedAt: new Date().toISOString()
+        });
+
+        if (onProgress) {
+            onProgress(100);
+        }
+
+        return {
+            success: true,
+            fileName: file.name,
+            fileSize: file.size
+        };
+    }
+
+    /**
+     * IFC 파일 파싱 (공간 구조 트리 생성)
+     * @param {string} fileName - 파싱할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 파싱 응답
+     */
+    async parseIfcFile(fileName, { signal } = {}) {
+        const modelID = await this.openModel(fileName);
+        this.throwIfAborted(signal);
+        const api = this.ifcApi;
+
+        // 관계(IfcRelAggregates, IfcRelContainedInSpatialStructure)로 부모 → 자식 맵 구성
+        const childrenMap = new Map();
+        this.collectRelations(modelID, WebIFC.IFCRELAGGREGATES, 'RelatingObject', 'RelatedObjects', childrenMap);
+        this.collectRelations(modelID, WebIFC.IFCRELCONTAINEDINSPATIALSTRUCTURE, 'RelatingStructure', 'RelatedElements', childrenMap);
+
+        const projectIds = api.GetLineIDsWithType(modelID, WebIFC.IFCPROJECT);
+        const parseDatas = [];
+        const counter = { count: 0 };
+
+        for (let i = 0; i < projectIds.size(); i++) {
+            parseDatas.push(this.createTreeNode(modelID, projectIds.get(i), childrenMap, counter, new Set()));
+        }
+
+        if (parseDatas.length === 0) {
+            return {
+                success: false,
+                errorMessage: 'IfcProject를 찾을 수 없습니다.'
+            };
+        }
+
+        return {
+            success: true,
+            fileName,
+            parseDatas,
+            objectCount: counter.count
+        };
+    }
+
+    /**
+     * 업로드된 파일 목록 조회 (메모리에 보관 중인 파일)
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 파일 목록
+     */
+    async getUploadedFiles(options = {}) {
+        const files = [];
+        this.files.forEach((entry, fileName) => {
+            files.push({
+                fileName,
+                size: entry.size,
+                uploadedAt: entry.uploadedAt
+            });
+        });
+
+        return { success: true, files };
+    }
+
+    /**
+     * 업로드된 파일 삭제 (메모리에서 제거하고 열린 모델을 닫음)
+     * @param {string} fileName - 삭제할 파일명
+     * @param {Object} options - 요청 옵션
+     * @returns {Promise<Object>} 삭제 응답
+     */
+    async deleteUploadedFile(fileName, options = {}) {
+        if (!this.files.has(fileName)) {
+            return { success: false, errorMessage: `파일을 찾을 수 없습니다: ${fileName}` };
+        }
+
+        this.closeModel(fileName);
+        this.files.delete(fileName);
+
+        return { success: true };
+    }
+
+    /**
+     * IFC Geometry 추출
+     * @param {string} fileName - 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} Geometry 데이터
+     */
+    async extractGeometry(fileName, { signal } = {}) {
+        const modelID = await this.openModel(fileName);
+        this.throwIfAborted(signal);
+        const geometries = [];
+
+        this.ifcApi.StreamAllMeshes(modelID, (flatMesh) => {
+            this.collectMeshGeometries(modelID, flatMesh, geometries);
+        });
+
+        return {
+            success: true,
+            fileName,
+            geometries
+        };
+    }
+
+    /**
+     * IFC Geometry 스트리밍 추출
+     * 요소를 batchSize개씩 나누어 메시를 만들고, 배치 사이마다 onBatch를 기다려 화면이 멈추지 않도록 함
+     * @param {string} fileName - 파일명
+     * @param {Function} onBatch - 배치 콜백 (geometries, { count, progress })
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @param {number} options.batchSize - 한 번에 처리할 요소 수
+     * @returns {Promise<Object>} 추출 결과 ({ success, fileName, count })
+     */
+    async streamGeometry(fileName, onBatch, { signal, batchSize = 100 } = {}) {
+        const modelID = await this.openModel(fileName);
+        this.throwIfAborted(signal);
+        const expressIDs = this.getMeshElementIDs(modelID);
+        let count = 0;
+
+        for (let i = 0; i < expressIDs.length; i += batchSize) {
+            const geometries = [];
+            this.ifcApi.StreamMeshes(modelID, expressIDs.slice(i, i + batchSize), (flatMesh) => {
+                this.collectMeshGeometries(modelID, flatMesh, geometries);
+            });
+
+            count += geometries.length;
+            if (geometries.length > 0) {
+                await onBatch(geometries, {
+                    count,
+                    progress: Math.min(i + batchSize, expressIDs.length) / expressIDs.length
+                });
+            }
+            this.throwIfAborted(signal);
+        }
+
+        return {
+            success: true,
+            fileName,
+            count
+        };
+    }
+
+    /**
+     * 메시를 가질 수 있는 요소 ID 목록 (StreamAllMeshes와 같이 개구부와 공간은 제외)
+     * @param {number} modelID - 모델 ID
+     * @returns {Array<number>} 요소 expressID 목록
+     */
+    getMeshElementIDs(modelID) {
+        const api = this.ifcApi;
+        const excludedTypes = new Set([WebIFC.IFCOPENINGELEMENT, WebIFC.IFCOPENINGSTANDARDCASE, WebIFC.IFCSPACE]);
+        const ids = api.GetLineIDsWithType(modelID, WebIFC.IFCPRODUCT, true);
+        const expressIDs = [];
+
+        for (let i = 0; i < ids.size(); i++) {
+            const expressID = ids.get(i);
+            if (!excludedTypes.has(api.GetLineType(modelID, expressID))) {
+                expressIDs.push(expressID);
+            }
+        }
+
+        return expressIDs;
+    }
+
+    /**
+     * web-ifc 메시를 백엔드 Geometry 형식(IFC Z-Up, mm)으로 변환해 추가
+     * @param {number} modelID - 모델 ID
+     * @param {Object} flatMesh - web-ifc FlatMesh
+     * @param {Array} geometries - 결과를 추가할 배열
+     */
+    collectMeshGeometries(modelID, flatMesh, geometries) {
+        const api = this.ifcApi;
+        const matrix = new THREE.Matrix4();
+        const point = new THREE.Vector3();
+        const element = api.GetLine(modelID, flatMesh.expressID);
+        const globalId = this.getValue(element.GlobalId);
+        const ifcType = api.GetNameFromTypeCode(element.type);
+        const placedGeometries = flatMesh.geometries;
+
+        for (let i = 0; i < placedGeometries.size(); i++) {
+            const placed = placedGeometries.get(i);
+            const geometry = api.GetGeometry(modelID, placed.geometryExpressID);
+            // 정점 데이터는 [x, y, z, nx, ny, nz] 반복
+            const vertexData = api.GetVertexArray(geometry.GetVertexData(), geometry.GetVertexDataSize());
+            const indexData = api.GetIndexArray(geometry.GetIndexData(), geometry.GetIndexDataSize());
+
+            matrix.fromArray(placed.flatTransformation).premultiply(this.toIfcMatrix);
+
+            const vertices = new Array((vertexData.length / 6) * 3);
+            for (let v = 0, p = 0; v < vertexData.length; v += 6, p += 3) {
+                point.set(vertexData[v], vertexData[v + 1], vertexData[v + 2]).applyMatrix4(matrix);
+                vertices[p] = point.x;
+                vertices[p + 1] = point.y;
+                vertices[p + 2] = point.z;
+            }
+
+            const geometryData = {
+                globalId,
+                ifcType,
+                vertices,
+                faces: Array.from(indexData)
+            };
+
+            // 스타일이 없는 객체는 web-ifc가 불투명 흰색을 주므로 색상을 생략해 타입별 기본 색상 사용
+            const { x: r, y: g, z: b, w: a } = placed.color;
+            if (!(r === 1 && g === 1 && b === 1 && a === 1)) {
+                geometryData.colorHEX = new THREE.Color(r, g, b).getHexString();
+                geometryData.transparency = 1 - a;
+            }
+
+            geometries.push(geometryData);
+
+            geometry.delete();
+        }
+    }
+
+    /**
+     * IFC Geometry 정보 조회
+     * @param {string} fileName - 파일명
+     * @returns {Promise<Object>} Geometry 정보
+     */
+    async getGeometryInfo(fileName) {
+        const modelID = await this.openModel(fileName);
+        let meshCount = 0;
+
+        this.ifcApi.StreamAllMeshes(modelID, () => {
+            meshCount++;
+        });
+
+        return {
+            success: true,
+            fileName,
+            meshCount
+        };
+    }
+
+    /**
+     * IFC 파일의 속성정보 추출
+     * @param {string} fileName - 속성정보를 추출할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 속성정보 응답
+     */
+    async extractProperties(fileName, { signal } = {}) {
+        const modelID = await this.openModel(fileName);
+        this.throwIfAborted(signal);
+        const api = this.ifcApi;
+        const properties = [];
+        const guidCache = new Map(); // expressID → GlobalId
+
+        const getGuid = (expressID) => {
+            if (!guidCache.has(expressID)) {
+                const line = api.GetLine(modelID, expressID);
+                guidCache.set(expressID, line ? this.getValue(line.GlobalId) : '');
+            }
+            return guidCache.get(expressID);
+        };
+
+        // 객체 기본 정보 (프로젝트 및 모든 IfcProduct)
+        const objectIds = [
+            api.GetLineIDsWithType(modelID, WebIFC.IFCPROJECT),
+            api.GetLineIDsWithType(modelID, WebIFC.IFCPRODUCT, true)
+        ];
+        objectIds.forEach(ids => {
+            for (let i = 0; i < ids.size(); i++) {
+                const line = api.GetLine(modelID, ids.get(i));
+                const guid = this.getValue(line.GlobalId);
+                guidCache.set(line.expressID, guid);
+                properties.push(
+                    { guid, title: '기본 정보', subTitle: 'IfcType', value: api.GetNameFromTypeCode(line.type) },
+                    { guid, title: '기본 정보', subTitle: 'GlobalId', value: guid },
+                    { guid, title: '기본 정보', subTitle: 'Name', value: String(this.getValue(line.Name)) }
+                );
+            }
+        });
+
+        // 속성 세트 / 수량 세트
+        this.forEachRelated(modelID, WebIFC.IFCRELDEFINESBYPROPERTIES, 'RelatedObjects', (rel, relatedIds) => {
+            const definition = api.GetLine(modelID, rel.RelatingPropertyDefinition.value);
+            const title = this.getValue(definition.Name) || '기타';
+            const entries = this.getPropertyEntries(modelID, definition);
+
+            relatedIds.forEach(id => {
+                const guid = getGuid(id);
+                entries.forEach(entry => {
+                    properties.push({ guid, title, subTitle: entry.name, value: entry.value });
+                });
+            });
+        });
+
+        // 재료
+        this.forEachRelated(modelID, WebIFC.IFCRELASSOCIATESMATERIAL, 'RelatedObjects', (rel, relatedIds) => {
+            const material = api.GetLine(modelID, rel.RelatingMaterial.value);
+            const materialName = this.getMaterialName(modelID, material);
+            if (!materialName) return;
+
+            relatedIds.forEach(id => {
+                properties.push({ guid: getGuid(id), title: '재료', subTitle: 'Material', value: materialName });
+            });
+        });
+
+        return {
+            success: true,
+            fileName,
+            properties
+        };
+    }
+
+    /**
+     * 파일에 해당하는 모델 열기 (이미 열려 있으면 재사용)
+     * @param {string} fileName - 파일명
+     * @returns {Promise<number>} modelID
+     */
+    async openModel(fileName) {
+        if (this.models.has(fileName)) {
+            return this.models.get(fileName);
+        }
+
+        const entry = this.files.get(fileName);
+        if (!entry) {
+            throw new Error(`파일을 찾을 수 없습니다: ${fileName}`);
+        }
+
+        const api = await this.ensureApi();
+        const modelID = api.OpenModel(entry.data, { COORDINATE_TO_ORIGIN: false });
+        if (modelID < 0) {
+            throw new Error(`IFC 파일을 열 수 없습니다: ${fileName}`);
+        }
+
+        this.models.set(fileName, modelID);
+        return modelID;
+    }
+
+    /**
+     * 모델 닫기
+     * @param {string} fileName - 파일명
+     */
+    closeModel(fileName) {
+        if (this.models.has(fileName)) {
+            this.ifcApi.CloseModel(this.models.get(fileName));
+            this.models.delete(fileName);
+        }
+    }
+
+    /**
+     * 관계 엔티티를 순회하며 부모 → 자식 맵에 추가
+     * @param {number} modelID - 모델 ID
+     * @param {number} relationType - 관계 타입 코드
+     * @param {string} relatingKey - 부모 속성명
+     * @param {string} relatedKey - 자식 목록 속성명
+     * @param {Map<number, number[]>} childrenMap - 부모 → 자식 맵
+     */
+    collectRelations(modelID, relationType, relatingKey, relatedKey, childrenMap) {
+        this.forEachRelated(modelID, relationType, relatedKey, (rel, relatedIds) => {
+            const parentId = rel[relatingKey].value;
+            if (!childrenMap.has(parentId)) {
+                childrenMap.set(parentId, []);
+            }
+            childrenMap.get(parentId).push(...relatedIds);
+        });
+    }
+
+    /**
+     * 특정 타입의 관계 엔티티 순회
+     * @param {number} modelID - 모델 ID
+     * @param {number} relationType - 관계 타입 코드
+     * @param {string} relatedKey - 관련 객체 목록 속성명
+     * @param {Function} callback - (관계 엔티티, 관련 expressID 배열) 콜백
+     */
+    forEachRelated(modelID, relationType, relatedKey, callback) {
+        const api = this.ifcApi;
+        const relIds = api.GetLineIDsWithType(modelID, relationType);
+
+        for (let i = 0; i < relIds.size(); i++) {
+            const rel = api.GetLine(modelID, relIds.get(i));
+            const related = rel[relatedKey];
+            const relatedIds = (Array.isArray(related) ? related : [related])
+                .filter(handle => handle)
+                .map(handle => handle.value);
+            callback(rel, relatedIds);
+        }
+    }
+
+    /**
+     * 트리 노드 생성 (재귀)
+     * @param {number} modelID - 모델 ID
+     * @param {number} expressID - 객체 expressID
+     * @param {Map<number, number[]>} childrenMap - 부모 → 자식 맵
+     * @param {Object} counter - 객체 수 카운터
+     * @param {Set<number>} visited - 순환 참조 방지용
+     * @returns {Object} 트리 노드 { type, name, guid, children }
+     */
+    createTreeNode(modelID, expressID, childrenMap, counter, visited) {
+        const api = this.ifcApi;
+        const line = api.GetLine(modelID, expressID);
+        visited.add(expressID);
+        counter.count++;
+
+        const children = (childrenMap.get(expressID) || [])
+            .filter(childId => !visited.has(childId))
+            .map(childId => this.createTreeNode(modelID, childId, childrenMap, counter, visited));
+
+        return {
+            type: api.GetNameFromTypeCode(line.type),
+            name: this.getValue(line.Name) || '',
+            guid: this.getValue(line.GlobalId) || '',
+            children
+        };
+    }
+
+    /**
+     * 속성 세트 / 수량 세트의 항목 추출
+     * @param {number} modelID - 모델 ID
+     * @param {Object} definition - IfcPropertySet 또는 IfcElementQuantity
+     * @returns {Array<{name: string, value: string}>} 속성 항목
+     */
+    getPropertyEntries(modelID, definition) {
+        const handles = definition.HasProperties || definition.Quantities || [];
+
+        return handles.map(handle => {
+            const item = this.ifcApi.GetLine(modelID, handle.value);
+            let value = item.NominalValue ?? item.EnumerationValues ?? item.ListValues;
+
+            // 수량(IfcQuantityLength 등)은 "...Value" 속성에 값이 있음
+            if (value === undefined) {
+                const valueKey = Object.keys(item).find(key => key.endsWith('Value'));
+                value = valueKey ? item[valueKey] : null;
+            }
+
+            return {
+                name: this.getValue(item.Name),
+                value: String(this.getValue(value))
+            };
+        });
+    }
+
+    /**
+     * 재료 이름 추출 (IfcMaterial, IfcMaterialLayerSetUsage 등)
+     * @param {number} modelID - 모델 ID
+     * @param {Object} material - 재료 엔티티
+     * @returns {string} 재료 이름
+     */
+    getMaterialName(modelID, material) {
+        if (!material) return '';
+
+        if (material.Name) {
+            return this.getValue(material.Name);
+        }
+
+        const api = this.ifcApi;
+        const nested = material.ForLayerSet || material.Materials || material.MaterialLayers || material.MaterialConstituents;
+        const handles = Array.isArray(nested) ? nested : (nested ? [nested] : []);
+
+        return handles
+            .map(handle => {
+                const item = api.GetLine(modelID, handle.value);
+                return item.Material ? this.getMaterialName(modelID, api.GetLine(modelID, item.Material.value)) : this.getMaterialName(modelID, item);
+            })
+            .filter(name => name)
+            .join(', ');
+    }
+
+    /**
+     * 취소 신호 확인 (web-ifc 호출은 동기식이므로 단계 사이에서 확인)
+     * @param {AbortSignal} signal - 취소 신호
+     */
+    throwIfAborted(signal) {
+        if (signal) {
+            signal.throwIfAborted();
+        }
+    }
+
+    /**
+     * web-ifc 값 객체에서 실제 값 추출
+     * @param {*} attribute - IfcLabel 등의 값 객체
+     * @returns {*} 원시 값
+     */
+    getValue(attribute) {
+        if (attribute === null || attribute === undefined) {
+            return '';
+        }
+
+        if (Array.isArray(attribute)) {
+            return attribute.map(item => this.getValue(item)).join(', ');
+        }
+
+        if (typeof attribute === 'object') {
+            if ('_representationValue' in attribute) {
+                return attribute._representationValue;
+            }
+            if ('value' in attribute) {
+                return attribute.value;
+            }
+        }
+
+        return attribute;
+    }
+}
@@ -0,0 +1,151 @@
+/**
+ * 측정 패널 관리 클래스
+ * 측정 도구 선택, 표시 단위(m/mm) 변경, 측정 목록 표시/삭제/CSV 내보내기를 담당
+ */
+import { DOMUtils } from './utils/DOMUtils.js';
+import { MEASUREMENT_TYPES } from './modules/ui/index.js';
+
+const TOOL_HINTS = {
+    distance: '두 점을 클릭하세요.',
+    polyline: '점을 차례로 클릭하고 더블클릭 또는 Enter로 끝내세요.',
+    angle: '시작점, 꼭짓점, 끝점을 클릭하세요.',
+    area: '다각형 꼭짓점을 클릭하고 더블클릭 또는 Enter로 끝내세요.'
+};
+
+export class MeasurementManager {
+    /**
+     * @param {Object} app - WebIFCViewerApp 인스턴스 (threeViewer, showInfo 사용)
+     */
+    constructor(app) {
+        this.app = app;
+        this.viewer = app.threeViewer;
+        this.button = DOMUtils.$('#toggleMeasurementBtn');
+        this.panel = DOMUtils.$('#measurementPanel');
+        this.toolButtons = this.panel.querySelectorAll('[data-measure]');
+        this.unitSelect = DOMUtils.$('#measurementUnit');
+        this.hint = DOMUtils.$('#measurementHint');
+        this.list = DOMUtils.$('#measurementList');
+        this.exportBtn = DOMUtils.$('#measurementExportBtn');
+        this.clearBtn = DOMUtils.$('#measurementClearBtn');
+        this.closeBtn = DOMUtils.$('#measurementCloseBtn');
+
+        this.init();
+    }
+
+    init() {
+        this.button.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.hide());
+        this.toolButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                const mode = button.dataset.measure;
+                this.viewer.setMeasurementMode(this.viewer.getMeasurementMode() === mode ? null : mode);
+            });
+        });
+        this.unitSelect.addEventListener('change', () => this.viewer.setMeasurementUnit(this.unitSelect.value));
+        this.exportBtn.addEventListener('click', () => this.exportCSV());
+        this.clearBtn.addEventListener('click', () => this.viewer.clearMeasurements());
+
+        this.viewer.onMeasurementsChange = () => this.render();
+        this.render();
+    }
+
+    /**
+     * 패널 표시 여부
+     * @returns {boolean} 표시 여부
+     */
+    get isVisible() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * 패널 보이기/숨기기 토글
+     */
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * 패널 표시 (거리 측정으로 시작)
+     */
+    show() {
+        this.panel.classList.remove('hidden');
+        this.button.classList.add('active');
+        if (!this.viewer.getMeasurementMode()) {
+            this.viewer.setMeasurementMode('distance');
+        }
+    }
+
+    /**
+     * 패널 숨기기 (측정 모드 종료, 측정 결과는 유지)
+     */
+    hide() {
+        this.panel.classList.add('hidden');
+        this.button.classList.remove('active');
+        this.viewer.setMeasurementMode(null);
+    }
+
+    /**
+     * 도구 버튼 상태와 측정 목록 렌더링
+     */
+    render() {
+        const mode = this.viewer.getMeasurementMode();
+
+        this.toolButtons.forEach(button => button.classList.toggle('active', button.dataset.measure === mode));
+        this.hint.textContent = mode ? TOOL_HINTS[mode] : '측정 도구를 선택하세요.';
+
+        const measurements = this.viewer.getMeasurements();
+        this.exportBtn.disabled = measurements.length === 0;
+        this.clearBtn.disabled = measurements.length === 0;
+
+        this.list.innerHTML = '';
+        if (measurements.length === 0) {
+            this.list.appendChild(DOMUtils.createElement('li', { className: 'measurement-empty' }, '측정 결과가 없습니다.'));
+            return;
+        }
+
+        measurements.forEach((measurement, index) => this.list.appendChild(this.createMeasurementItem(measurement, index)));
+    }
+
+    /**
+     * 측정 항목 요소 생성
+     * @param {Object} measurement - 측정 정보 ({ id, type, text })
+     * @param {number} index - 표시 순서
+     * @returns {HTMLElement} 항목 요소
+     */
+    createMeasurementItem(measurement, index) {
+        const item = DOMUtils.createElement('li', { className: 'measurement-item' });
+        item.appendChild(DOMUtils.createElement('span', { className: 'measurement-type' }, `${index + 1}. ${MEASUREMENT_TYPES[measurement.type].label}`));
+        item.appendChild(DOMUtils.createElement('span', { className: 'measurement-value' }, measurement.text));
+
+        const deleteBtn = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'measurement-delete',
+            title: '삭제'
+        }, '✕');
+        deleteBtn.addEventListener('click', () => this.viewer.removeMeasurement(measurement.id));
+
+        item.appendChild(deleteBtn);
+        return item;
+    }
+
+    /**
+     * 측정 목록을 CSV 파일로 저장
+     */
+    exportCSV() {
+        // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+        const blob = new Blob(['\uFEFF' + this.viewer.exportMeasurements()], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = DOMUtils.createElement('a', { href: url, download: 'measurements.csv' });
+
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        this.app.showInfo('측정 결과를 내보냈습니다.');
+    }
+}
@@ -0,0 +1,128 @@
+/**
+ * 픽스처(Mock) 데이터 소스 클래스
+ * 디스크의 JSON 픽스처를 응답으로 제공하여 백엔드 없이 UI를 테스트
+ *
+ * 픽스처는 public/fixtures/ 에 두어 개발 서버와 빌드 결과(dist/fixtures/) 모두에서 /fixtures 로 제공
+ *
+ * 픽스처 구조 (baseUrl 기준):
+ *   files.json                    - getUploadedFiles 응답
+ *   {fileName}/parse.json         - parseIfcFile 응답
+ *   {fileName}/geometry.json      - extractGeometry 응답
+ *   {fileName}/properties.json    - extractProperties 응답
+ *
+ * fixtures/models/sample.ifc 를 선택하면 public/fixtures/sample.ifc/ 픽스처가 사용됨
+ */
+import { DataSource } from './DataSource.js';
+
+export class MockDataSource extends DataSource {
+    constructor(baseUrl = '/fixtures') {
+        super();
+        this.baseUrl = baseUrl;
+        this.deletedFiles = new Set(); // 픽스처는 읽기 전용이므로 삭제된 파일명만 기억
+    }
+
+    /**
+     * IFC 파일 업로드 (실제 전송 없이 파일명만 반환)
+     * @param {File} file - 업로드할 파일
+     * @param {Function} onProgress - 진행률 콜백
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 업로드 응답
+     */
+    async uploadFile(file, onProgress, { signal } = {}) {
+        if (signal) {
+            signal.throwIfAborted();
+        }
+
+        if (onProgress) {
+            onProgress(100);
+        }
+
+        return {
+            success: true,
+            fileName: file.name,
+            fileSize: file.size
+        };
+    }
+
+    /**
+     * IFC 파일 파싱
+     * @param {string} fileName - 파싱할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 파싱 응답
+     */
+    async parseIfcFile(fileName, { signal } = {}) {
+        return this.fetchFixture(`${encodeURIComponent(fileName)}/parse.json`, signal);
+    }
+
+    /**
+     * 업로드된 파일 목록 조회
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 파일 목록
+     */
+    async getUploadedFiles({ signal } = {}) {
+        const response = await this.fetchFixture('files.json', signal);
+
+        if (Array.isArray(response.files)) {
+            response.files = response.files.filter(file => !this.deletedFiles.has(file.fileName));
+        }
+
+        return response;
+    }
+
+    /**
+     * 업로드된 파일 삭제 (현재 세션의 목록에서만 제외)
+     * @param {string} fileName - 삭제할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 삭제 응답
+     */
+    async deleteUploadedFile(fileName, { signal } = {}) {
+        if (signal) {
+            signal.throwIfAborted();
+        }
+
+        this.deletedFiles.add(fileName);
+        return { success: true };
+    }
+
+    /**
+     * IFC Geometry 추출
+     * @param {string} fileName - 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} Geometry 데이터
+     */
+    async extractGeometry(fileName, { signal } = {}) {
+        return this.fetchFixture(`${encodeURIComponent(fileName)}/geometry.json`, signal);
+    }
+
+    /**
+     * IFC 파일의 속성정보 추출
+     * @param {string} fileName - 속성정보를 추출할 파일명
+     * @param {Object} options - 요청 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @returns {Promise<Object>} 속성정보 응답
+     */
+    async extractProperties(fileName, { signal } = {}) {
+        return this.fetchFixture(`${encodeURIComponent(fileName)}/properties.json`, signal);
+    }
+
+    /**
+     * 픽스처 JSON 로드
+     * @param {string} path - baseUrl 기준 상대 경로
+     * @param {AbortSignal} signal - 취소 신호
+     * @returns {Promise<Object>} 픽스처 데이터
+     */
+    async fetchFixture(path, signal) {
+        const response = await fetch(`${this.baseUrl}/${path}`, { signal });
+
+        if (!response.ok) {
+            throw new Error(`픽스처 로드 실패: ${path} (${response.status})`);
+        }
+
+        return await response.json();
+    }
+}
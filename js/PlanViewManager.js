@@ -0,0 +1,199 @@
+/**
+ * 층 평면도 보기 관리 클래스
+ * 트리의 IfcBuildingStorey를 높이 순으로 정렬해 한 층씩 위에서 내려다보고, 버튼이나 PageUp/PageDown으로 층을 이동
+ */
+import { DOMUtils } from './utils/DOMUtils.js';
+
+export class PlanViewManager {
+    /**
+     * @param {Object} app - WebIFCViewerApp 인스턴스 (threeViewer, treeManager, showError 사용)
+     */
+    constructor(app) {
+        this.app = app;
+        this.viewer = app.threeViewer;
+        this.button = DOMUtils.$('#togglePlanViewBtn');
+        this.panel = DOMUtils.$('#planViewPanel');
+        this.label = DOMUtils.$('#planViewLabel');
+        this.upBtn = DOMUtils.$('#planViewUpBtn');
+        this.downBtn = DOMUtils.$('#planViewDownBtn');
+        this.exitBtn = DOMUtils.$('#planViewExitBtn');
+
+        this.storeys = []; // 아래층부터 정렬된 층 목록 { guid, name, guids, elevation }
+        this.currentIndex = -1;
+
+        this.init();
+    }
+
+    init() {
+        this.button.addEventListener('click', () => this.toggle());
+        this.upBtn.addEventListener('click', () => this.step(1));
+        this.downBtn.addEventListener('click', () => this.step(-1));
+        this.exitBtn.addEventListener('click', () => this.exit());
+        // window에서 받아 document의 다른 Esc 처리(측정 취소, 메뉴 닫기 등)가 먼저 실행되도록 함
+        window.addEventListener('keydown', (e) => this.onKeyDown(e));
+
+        // 모델을 다시 불러오는 등 뷰어에서 평면도가 끝난 경우도 반영
+        this.viewer.onPlanViewChange = () => this.render();
+        // 평면도 보기 중에 트리에서 층을 선택하면 해당 층으로 전환
+        this.app.treeManager.onStoreyActivated = (guid) => this.onStoreySelected(guid);
+    }
+
+    /**
+     * 평면도 보기 중인지 여부
+     * @returns {boolean} 평면도 보기 여부
+     */
+    get isActive() {
+        return this.viewer.isPlanViewActive();
+    }
+
+    /**
+     * 평면도 보기 토글
+     */
+    toggle() {
+        if (this.isActive) {
+            this.exit();
+        } else {
+            this.enter();
+        }
+    }
+
+    /**
+     * 평면도 보기 시작
+     * @param {string} storeyGuid - 표시할 층 GUID (생략하면 선택한 객체가 속한 층, 없으면 가장 아래층)
+     */
+    enter(storeyGuid) {
+        this.storeys = this.collectStoreys();
+        if (this.storeys.length === 0) {
+            this.app.showError('평면도로 볼 층 정보가 없습니다.');
+            return;
+        }
+
+        const guid = storeyGuid || this.findStoreyOf(this.viewer.eventManager.highlightedGlobalId);
+        const index = this.storeys.findIndex(storey => storey.guid === guid);
+        this.showStorey(index >= 0 ? index : 0);
+    }
+
+    /**
+     * 평면도 보기 종료
+     */
+    exit() {
+        this.viewer.exitPlanView();
+    }
+
+    /**
+     * 층 표시
+     * @param {number} index - 층 인덱스 (아래층부터 0)
+     */
+    showStorey(index) {
+        const storey = this.storeys[index];
+        if (!storey) {
+            return;
+        }
+
+        const previousIndex = this.currentIndex;
+        this.currentIndex = index;
+        if (!this.viewer.enterPlanView(storey.guids)) {
+            this.currentIndex = previousIndex;
+        }
+    }
+
+    /**
+     * 위/아래 층으로 이동
+     * @param {number} delta - 이동할 층 수 (+는 위층)
+     */
+    step(delta) {
+        if (!this.isActive) {
+            return;
+        }
+
+        const index = Math.max(0, Math.min(this.storeys.length - 1, this.currentIndex + delta));
+        if (index !== this.currentIndex) {
+            this.showStorey(index);
+        }
+    }
+
+    /**
+     * 트리에서 층을 선택했을 때 (평면도 보기 중이면 해당 층으로 전환)
+     * @param {string} guid - 층 GUID
+     */
+    onStoreySelected(guid) {
+        if (!this.isActive) {
+            return;
+        }
+
+        const index = this.storeys.findIndex(storey => storey.guid === guid);
+        if (index >= 0) {
+            this.showStorey(index);
+        }
+    }
+
+    /**
+     * 키보드 처리 (PageUp/PageDown: 층 이동, Esc: 종료)
+     * 다른 모드가 이미 처리한 키(preventDefault)는 무시하여 Esc로 측정을 취소할 때 평면도까지 끝나지 않도록 함
+     * @param {KeyboardEvent} event - 키보드 이벤트
+     */
+    onKeyDown(event) {
+        if (!this.isActive || event.defaultPrevented || (event.target.closest && event.target.closest('input, textarea, select'))) {
+            return;
+        }
+
+        if (event.key === 'PageUp') {
+            event.preventDefault();
+            this.step(1);
+        } else if (event.key === 'PageDown') {
+            event.preventDefault();
+            this.step(-1);
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this.exit();
+        }
+    }
+
+    /**
+     * 트리의 층 목록을 요소 높이 순으로 정렬 (형상이 없는 층은 제외)
+     * @returns {Array} 층 목록
+     */
+    collectStoreys() {
+        return this.app.treeManager.getStoreys()
+            .map(storey => {
+                const bounds = this.viewer.modelRenderer.getElementsBoundingBox(storey.guids);
+                return { ...storey, elevation: bounds.isEmpty() ? null : bounds.min.y };
+            })
+            .filter(storey => storey.elevation !== null)
+            .sort((a, b) => a.elevation - b.elevation);
+    }
+
+    /**
+     * 객체가 속한 층 찾기
+     * @param {string|null} globalId - 객체 GUID
+     * @returns {string|null} 층 GUID
+     */
+    findStoreyOf(globalId) {
+        if (!globalId) {
+            return null;
+        }
+
+        const storey = this.storeys.find(item => item.guids.includes(globalId));
+        return storey ? storey.guid : null;
+    }
+
+    /**
+     * 버튼 상태와 층 표시 패널 갱신
+     */
+    render() {
+        const active = this.isActive;
+        this.button.classList.toggle('active', active);
+        this.panel.classList.toggle('hidden', !active);
+
+        if (!active) {
+            this.currentIndex = -1;
+            return;
+        }
+
+        const storey = this.storeys[this.currentIndex];
+        this.label.textContent = `${storey.name} (${this.currentIndex + 1}/${this.storeys.length})`;
+        this.label.title = `바닥 높이 ${storey.elevation.toFixed(2)} m`;
+        this.upBtn.disabled = this.currentIndex >= this.storeys.length - 1;
+        this.downBtn.disabled = this.currentIndex <= 0;
+    }
+}
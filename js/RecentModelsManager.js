@@ -0,0 +1,233 @@
+/**
+ * 최근 모델 패널 관리 클래스
+ * 데이터 소스에 업로드된 파일 목록을 보여주고, 다시 업로드하지 않고 바로 열거나 삭제
+ */
+import { DOMUtils } from './utils/DOMUtils.js';
+
+export class RecentModelsManager {
+    /**
+     * @param {Object} app - WebIFCViewerApp 인스턴스 (dataSource, fileValidator, openUploadedFile 사용)
+     */
+    constructor(app) {
+        this.app = app;
+        this.panel = DOMUtils.$('#recentModelsPanel');
+        this.searchInput = DOMUtils.$('#recentModelsSearch');
+        this.refreshBtn = DOMUtils.$('#recentModelsRefreshBtn');
+        this.closeBtn = DOMUtils.$('#recentModelsCloseBtn');
+        this.list = DOMUtils.$('#recentModelsList');
+
+        this.files = []; // { fileName, size, uploadedAt }
+        this.searchQuery = '';
+        this.abortController = null;
+
+        this.init();
+    }
+
+    init() {
+        this.searchInput.addEventListener('input', () => {
+            this.searchQuery = this.searchInput.value.trim().toLowerCase();
+            this.render();
+        });
+        this.refreshBtn.addEventListener('click', () => this.refresh());
+        this.closeBtn.addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * 패널 표시 여부
+     * @returns {boolean} 표시 여부
+     */
+    get isVisible() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * 패널 보이기/숨기기 토글
+     */
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * 패널 표시 (열 때마다 목록 새로고침)
+     */
+    show() {
+        this.panel.classList.remove('hidden');
+        this.searchInput.focus();
+        this.refresh();
+    }
+
+    /**
+     * 패널 숨기기
+     */
+    hide() {
+        this.panel.classList.add('hidden');
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+    }
+
+    /**
+     * 파일 목록 새로고침
+     */
+    async refresh() {
+        // 이전 조회가 진행 중이면 취소
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        const controller = new AbortController();
+        this.abortController = controller;
+
+        this.renderMessage('목록을 불러오는 중...');
+
+        try {
+            const response = await this.app.dataSource.getUploadedFiles({ signal: controller.signal });
+            this.files = this.normalizeFiles(response);
+            this.render();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return;
+            }
+
+            console.error('파일 목록 조회 오류:', error);
+            this.files = [];
+            this.renderMessage('파일 목록을 불러올 수 없습니다.');
+        } finally {
+            if (this.abortController === controller) {
+                this.abortController = null;
+            }
+        }
+    }
+
+    /**
+     * 파일 목록 응답을 { fileName, size, uploadedAt } 배열로 정규화
+     * 서버에 따라 문자열 배열이나 다른 필드명으로 응답하는 경우도 처리
+     * @param {Object|Array} response - getUploadedFiles 응답
+     * @returns {Array} 최근 업로드 순으로 정렬된 파일 목록
+     */
+    normalizeFiles(response) {
+        const items = Array.isArray(response) ? response : (response && response.files) || [];
+
+        const files = items.map(item => {
+            if (typeof item === 'string') {
+                return { fileName: item, size: null, uploadedAt: null };
+            }
+
+            return {
+                fileName: item.fileName || item.name,
+                size: item.size ?? item.fileSize ?? null,
+                uploadedAt: item.uploadedAt || item.lastModified || item.createdAt || null
+            };
+        }).filter(file => file.fileName);
+
+        return files.sort((a, b) => (Date.parse(b.uploadedAt) || 0) - (Date.parse(a.uploadedAt) || 0));
+    }
+
+    /**
+     * 검색어로 필터링한 파일 목록 렌더링
+     */
+    render() {
+        const files = this.files.filter(file => file.fileName.toLowerCase().includes(this.searchQuery));
+
+        if (files.length === 0) {
+            this.renderMessage(this.files.length === 0 ? '업로드된 파일이 없습니다.' : '검색 결과가 없습니다.');
+            return;
+        }
+
+        this.list.innerHTML = '';
+        files.forEach(file => this.list.appendChild(this.createFileItem(file)));
+    }
+
+    /**
+     * 목록 영역에 안내 메시지 표시
+     * @param {string} message - 메시지
+     */
+    renderMessage(message) {
+        this.list.innerHTML = '';
+        this.list.appendChild(DOMUtils.createElement('li', { className: 'recent-models-empty' }, message));
+    }
+
+    /**
+     * 파일 항목 요소 생성
+     * @param {Object} file - 파일 정보
+     * @returns {HTMLElement} 항목 요소
+     */
+    createFileItem(file) {
+        const item = DOMUtils.createElement('li', { className: 'recent-model-item', title: `${file.fileName} 열기` });
+
+        const info = DOMUtils.createElement('div', { className: 'recent-model-info' });
+        info.appendChild(DOMUtils.createElement('span', { className: 'recent-model-name' }, file.fileName));
+
+        const meta = [];
+        if (file.size !== null) {
+            meta.push(this.app.fileValidator.formatFileSize(file.size));
+        }
+        if (file.uploadedAt) {
+            meta.push(this.formatDate(file.uploadedAt));
+        }
+        info.appendChild(DOMUtils.createElement('span', { className: 'recent-model-meta' }, meta.join(' · ')));
+
+        const deleteBtn = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'recent-model-delete',
+            title: '삭제'
+        }, '🗑');
+
+        item.addEventListener('click', () => this.openFile(file.fileName));
+        deleteBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteFile(file.fileName);
+        });
+
+        item.appendChild(info);
+        item.appendChild(deleteBtn);
+        return item;
+    }
+
+    /**
+     * 업로드된 파일 열기 (업로드 생략, 파싱부터 진행)
+     * @param {string} fileName - 파일명
+     */
+    openFile(fileName) {
+        this.hide();
+        this.app.openUploadedFile(fileName);
+    }
+
+    /**
+     * 업로드된 파일 삭제
+     * @param {string} fileName - 파일명
+     */
+    async deleteFile(fileName) {
+        if (!window.confirm(`'${fileName}' 파일을 삭제하시겠습니까?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.app.dataSource.deleteUploadedFile(fileName);
+
+            if (response && response.success === false) {
+                this.app.showError(`파일 삭제 실패: ${response.errorMessage}`);
+                return;
+            }
+
+            this.app.showSuccess(`파일이 삭제되었습니다. (${fileName})`);
+            await this.refresh();
+        } catch (error) {
+            console.error('파일 삭제 오류:', error);
+            this.app.showError(`파일 삭제 실패: ${error.message}`);
+        }
+    }
+
+    /**
+     * 업로드 일시 표시 형식
+     * @param {string} value - 날짜 문자열
+     * @returns {string} 표시용 문자열
+     */
+    formatDate(value) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? String(value) : date.toLocaleString('ko-KR');
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * 단면 평면 패널 관리 클래스
+ * 툴바 버튼으로 면 선택 모드를 켜고, 만들어진 단면마다 위치 슬라이더/뒤집기/삭제 버튼을 표시
+ */
+import { DOMUtils } from './utils/DOMUtils.js';
+
+export class SectionPlaneManager {
+    /**
+     * @param {Object} app - WebIFCViewerApp 인스턴스 (threeViewer, showError 사용)
+     */
+    constructor(app) {
+        this.app = app;
+        this.viewer = app.threeViewer;
+        this.button = DOMUtils.$('#toggleSectionPlaneBtn');
+        this.panel = DOMUtils.$('#sectionPlanesPanel');
+        this.hint = DOMUtils.$('#sectionPlanesHint');
+        this.clearBtn = DOMUtils.$('#sectionPlanesClearBtn');
+        this.list = DOMUtils.$('#sectionPlanesList');
+
+        this.init();
+    }
+
+    init() {
+        this.button.addEventListener('click', () => this.togglePicking());
+        this.clearBtn.addEventListener('click', () => this.viewer.clearSectionPlanes());
+
+        // Esc로 면 선택 취소
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.viewer.sectionPlanePicking) {
+                e.preventDefault();
+                this.viewer.setSectionPlanePicking(false);
+            }
+        });
+
+        this.viewer.onSectionPlanesChange = () => this.render();
+    }
+
+    /**
+     * 면 선택 모드 토글 (켜진 상태에서 모델 면을 클릭하면 단면 생성)
+     */
+    togglePicking() {
+        if (this.viewer.sectionPlanePicking) {
+            this.viewer.setSectionPlanePicking(false);
+            return;
+        }
+
+        if (!this.viewer.sectionPlanes.canAdd()) {
+            this.app.showError(`단면은 최대 ${this.viewer.sectionPlanes.maxPlanes}개까지 만들 수 있습니다.`);
+            return;
+        }
+
+        this.viewer.setSectionPlanePicking(true);
+    }
+
+    /**
+     * 버튼 상태와 단면 목록 렌더링
+     */
+    render() {
+        const planes = this.viewer.getSectionPlanes();
+        const picking = this.viewer.sectionPlanePicking;
+
+        this.button.classList.toggle('active', picking);
+        this.hint.classList.toggle('hidden', !picking);
+        this.panel.classList.toggle('hidden', planes.length === 0 && !picking);
+
+        this.list.innerHTML = '';
+        planes.forEach((plane, index) => this.list.appendChild(this.createPlaneItem(plane, index)));
+    }
+
+    /**
+     * 단면 항목 요소 생성
+     * @param {Object} plane - 단면 정보 ({ id, color, min, max, value })
+     * @param {number} index - 표시 순서
+     * @returns {HTMLElement} 항목 요소
+     */
+    createPlaneItem(plane, index) {
+        const item = DOMUtils.createElement('li', { className: 'section-plane-item' });
+
+        const swatch = DOMUtils.createElement('span', { className: 'section-plane-swatch' });
+        swatch.style.backgroundColor = `#${plane.color.toString(16).padStart(6, '0')}`;
+
+        const label = DOMUtils.createElement('span', { className: 'section-plane-label' }, `단면 ${index + 1}`);
+
+        const slider = DOMUtils.createElement('input', {
+            type: 'range',
+            className: 'section-plane-slider',
+            title: '단면 위치',
+            min: plane.min,
+            max: plane.max,
+            step: (plane.max - plane.min) / 1000 || 0.001,
+            value: plane.value
+        });
+
+        const flipBtn = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'section-plane-action',
+            title: '방향 뒤집기'
+        }, '⇅');
+
+        const deleteBtn = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'section-plane-action',
+            title: '삭제'
+        }, '✕');
+
+        slider.addEventListener('input', () => this.viewer.setSectionPlaneOffset(plane.id, Number(slider.value)));
+        flipBtn.addEventListener('click', () => {
+            this.viewer.flipSectionPlane(plane.id);
+            this.render(); // 법선이 반대가 되면 위치 범위도 바뀜
+        });
+        deleteBtn.addEventListener('click', () => this.viewer.removeSectionPlane(plane.id));
+
+        item.appendChild(swatch);
+        item.appendChild(label);
+        item.appendChild(slider);
+        item.appendChild(flipBtn);
+        item.appendChild(deleteBtn);
+        return item;
+    }
+}
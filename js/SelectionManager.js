@@ -0,0 +1,220 @@
+/**
+ * 선택 관리 클래스
+ * 3D 뷰어의 선택을 트리/속성정보에 반영하고, 선택 패널에서 현재 선택을 이름 붙인 선택 세트로 저장/적용/삭제
+ * 선택 세트는 모델 파일명별로 localStorage에 저장
+ */
+import { DOMUtils } from './utils/DOMUtils.js';
+
+const STORAGE_PREFIX = 'webifcviewer:selection-sets:';
+
+export class SelectionManager {
+    /**
+     * @param {Object} app - WebIFCViewerApp 인스턴스 (threeViewer, treeManager, currentLoad, showError, showInfo 사용)
+     */
+    constructor(app) {
+        this.app = app;
+        this.viewer = app.threeViewer;
+        this.button = DOMUtils.$('#toggleSelectionBtn');
+        this.panel = DOMUtils.$('#selectionPanel');
+        this.summary = DOMUtils.$('#selectionSummary');
+        this.nameInput = DOMUtils.$('#selectionSetName');
+        this.saveBtn = DOMUtils.$('#selectionSetSaveBtn');
+        this.clearBtn = DOMUtils.$('#selectionClearBtn');
+        this.closeBtn = DOMUtils.$('#selectionCloseBtn');
+        this.list = DOMUtils.$('#selectionSetsList');
+
+        this.init();
+    }
+
+    init() {
+        this.button.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.hide());
+        this.clearBtn.addEventListener('click', () => this.viewer.clearSelection());
+        this.saveBtn.addEventListener('click', () => this.saveCurrentSelection());
+        this.nameInput.addEventListener('input', () => this.render());
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveCurrentSelection();
+            }
+        });
+
+        this.viewer.onSelectionChange = (globalIds, primaryId) => {
+            this.app.treeManager.syncSelection(globalIds, primaryId);
+            this.render();
+        };
+        this.render();
+    }
+
+    /**
+     * 패널 표시 여부
+     * @returns {boolean} 표시 여부
+     */
+    get isVisible() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * 패널 보이기/숨기기 토글
+     */
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * 패널 표시
+     */
+    show() {
+        this.panel.classList.remove('hidden');
+        this.button.classList.add('active');
+        this.render();
+    }
+
+    /**
+     * 패널 숨기기
+     */
+    hide() {
+        this.panel.classList.add('hidden');
+        this.button.classList.remove('active');
+    }
+
+    /**
+     * 현재 모델의 선택 세트 저장 키
+     * @returns {string|null} localStorage 키 (모델이 없으면 null)
+     */
+    getStorageKey() {
+        const fileName = this.app.currentLoad && this.app.currentLoad.fileName;
+        return fileName ? STORAGE_PREFIX + fileName : null;
+    }
+
+    /**
+     * 현재 모델의 선택 세트 목록
+     * @returns {Array} [{ name, globalIds }]
+     */
+    loadSets() {
+        const key = this.getStorageKey();
+        if (!key) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * 현재 모델의 선택 세트 목록 저장
+     * @param {Array} sets - [{ name, globalIds }]
+     */
+    storeSets(sets) {
+        const key = this.getStorageKey();
+        if (!key) {
+            return;
+        }
+
+        if (sets.length > 0) {
+            localStorage.setItem(key, JSON.stringify(sets));
+        } else {
+            localStorage.removeItem(key);
+        }
+    }
+
+    /**
+     * 현재 선택을 입력한 이름으로 저장 (같은 이름이 있으면 덮어씀)
+     */
+    saveCurrentSelection() {
+        const name = this.nameInput.value.trim();
+        const globalIds = this.viewer.getSelection();
+        if (!name || globalIds.length === 0 || !this.getStorageKey()) {
+            return;
+        }
+
+        const sets = this.loadSets();
+        const existing = sets.find(set => set.name === name);
+        if (existing) {
+            existing.globalIds = globalIds;
+        } else {
+            sets.push({ name, globalIds });
+        }
+
+        try {
+            this.storeSets(sets);
+        } catch (error) {
+            console.error('선택 세트 저장 오류:', error);
+            this.app.showError('선택 세트를 저장하지 못했습니다.');
+            return;
+        }
+
+        this.nameInput.value = '';
+        this.app.showInfo(`선택 세트 '${name}'을(를) 저장했습니다. (${globalIds.length}개)`);
+        this.render();
+    }
+
+    /**
+     * 선택 세트 삭제
+     * @param {string} name - 세트 이름
+     */
+    deleteSet(name) {
+        this.storeSets(this.loadSets().filter(set => set.name !== name));
+        this.render();
+    }
+
+    /**
+     * 선택 수, 저장 버튼 상태, 선택 세트 목록 렌더링
+     */
+    render() {
+        const count = this.viewer.getSelection().length;
+        this.summary.textContent = count > 0
+            ? `선택된 객체 ${count}개`
+            : '선택된 객체가 없습니다. (Ctrl/Shift 클릭, Shift 드래그로 여러 개 선택)';
+        this.clearBtn.disabled = count === 0;
+
+        const hasModel = Boolean(this.getStorageKey());
+        this.nameInput.disabled = !hasModel;
+        this.saveBtn.disabled = !hasModel || count === 0 || !this.nameInput.value.trim();
+
+        const sets = this.loadSets();
+        this.list.innerHTML = '';
+        if (sets.length === 0) {
+            this.list.appendChild(DOMUtils.createElement('li', { className: 'selection-set-empty' }, '저장된 선택 세트가 없습니다.'));
+            return;
+        }
+
+        sets.forEach(set => this.list.appendChild(this.createSetItem(set)));
+    }
+
+    /**
+     * 선택 세트 항목 요소 생성
+     * @param {Object} set - 선택 세트 ({ name, globalIds })
+     * @returns {HTMLElement} 항목 요소
+     */
+    createSetItem(set) {
+        const item = DOMUtils.createElement('li', { className: 'selection-set-item' });
+
+        const applyBtn = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'selection-set-name',
+            title: '선택 (Ctrl: 현재 선택에 추가)'
+        }, set.name);
+        applyBtn.addEventListener('click', (e) => {
+            this.viewer.selectElements(set.globalIds, e.ctrlKey || e.metaKey ? 'add' : 'replace');
+        });
+
+        const deleteBtn = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'selection-set-delete',
+            title: '삭제'
+        }, '✕');
+        deleteBtn.addEventListener('click', () => this.deleteSet(set.name));
+
+        item.appendChild(applyBtn);
+        item.appendChild(DOMUtils.createElement('span', { className: 'selection-set-count' }, `${set.globalIds.length}개`));
+        item.appendChild(deleteBtn);
+        return item;
+    }
+}
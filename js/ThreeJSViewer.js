@@ -4,8 +4,22 @@
  */
 import * as THREE from 'three';
 import { SceneManager, CameraManager, EventManager } from './modules/core/index.js';
-import { SimpleOrbitControls } from './modules/camera/index.js';
+import { SimpleOrbitControls, CameraAnimator } from './modules/camera/index.js';
 import { ModelRenderer } from './modules/modeling/index.js';
+import { SectionBox, SectionBoxControls, SectionPlanes, Measurements, MeasurementControls, Selection, BoxSelectionControls, ElementTooltip } from './modules/ui/index.js';
+
+const PLAN_CUT_HEIGHT = 1.2; // 평면도 절단 높이 (층 바닥 기준, m)
+const DEFAULT_FRUSTUM_SIZE = 20; // 모델이 없을 때 직교 카메라 frustum 크기 (m)
+
+// 미리 정의된 시점: 모델 중심에서 카메라를 향하는 방향과 화면 위쪽 (Three.js 좌표, -Z가 IFC +Y)
+const PRESET_VIEWS = {
+    top: { direction: [0, 1, 0], up: [0, 0, -1] },
+    front: { direction: [0, 0, 1], up: [0, 1, 0] },
+    back: { direction: [0, 0, -1], up: [0, 1, 0] },
+    left: { direction: [-1, 0, 0], up: [0, 1, 0] },
+    right: { direction: [1, 0, 0], up: [0, 1, 0] },
+    iso: { direction: [1, 1, 1], up: [0, 1, 0] }
+};
 
 export class ThreeJSViewer {
     constructor(containerId) {
@@ -14,16 +28,37 @@ export class ThreeJSViewer {
         this.camera = null;
         this.renderer = null;
         this.controls = null;
+        this.cameraAnimator = null;
         this.animationId = null;
         
         // 직교 카메라용 frustum 크기
-        this.frustumSize = 20;
+        this.frustumSize = DEFAULT_FRUSTUM_SIZE;
         
         // 매니저들 초기화
         this.sceneManager = null;
         this.cameraManager = null;
         this.eventManager = null;
         this.modelRenderer = null;
+        this.sectionBox = null;
+        this.sectionBoxControls = null;
+        this.sectionPlanes = null;
+        this.sectionPlanePicking = false; // true면 다음 모델 클릭으로 단면 평면 생성
+        this.onSectionPlanesChange = null; // 단면 평면 추가/제거 시 콜백
+        this.planView = null; // 평면도 상태 { globalIds, elevation, cutHeight, bounds, plane, saved }
+        this.onPlanViewChange = null; // 평면도 시작/층 변경/종료 시 콜백
+        this.measurements = null;
+        this.measurementControls = null;
+        this.onMeasurementsChange = null; // 측정 추가/제거, 측정 모드 변경 시 콜백
+        this.selection = null;
+        this.boxSelectionControls = null;
+        this.onSelectionChange = null; // 선택 변경 시 콜백 (globalIds, primaryId)
+        this.onVisibilityChange = null; // 요소 숨김/표시, 반투명 모드 변경 시 콜백
+        this.onContextMenu = null; // 뷰포트 우클릭 시 콜백 (event, globalId)
+        this.elementTooltip = null;
+        this.getElementInfo = null; // 툴팁에 표시할 요소 정보 조회 (globalId) => { type, name } (앱에서 설정)
+        this.hoveredInfo = null; // 마우스를 올린 요소의 툴팁 정보 (같은 요소 위에서는 다시 조회하지 않음)
+        this.getSubtreeIds = null; // 층 등 상위 객체를 하위 객체까지 펼침 (globalIds) => globalIds (앱에서 설정)
+        this.rotationCenter = null; // 선택으로 이동한 뒤의 회전 중심 (null이면 모델 중심)
         
         this.init();
     }
@@ -48,6 +83,20 @@ export class ThreeJSViewer {
         
         // ModelRenderer 초기화 (scene이 설정된 후)
         this.modelRenderer = new ModelRenderer(this.scene);
+        this.sectionBox = new SectionBox(this.scene);
+        this.sectionBoxControls = new SectionBoxControls(this);
+        this.sectionPlanes = new SectionPlanes(this.scene);
+        this.measurements = new Measurements(this.scene, this.container);
+        this.measurementControls = new MeasurementControls(this);
+        this.selection = new Selection(this.modelRenderer);
+        this.boxSelectionControls = new BoxSelectionControls(this);
+        this.elementTooltip = new ElementTooltip(this.container);
+        
+        // 메인 렌더링 후 단면 캡 그리기, 측정 라벨 위치 갱신
+        this.sceneManager.onAfterRender = (renderer, scene, camera) => {
+            this.sectionPlanes.renderCaps(renderer, scene, camera);
+            this.measurements.updateLabels(camera);
+        };
         
         // 카메라 생성
         this.camera = this.cameraManager.createOrthographicCamera(this.frustumSize);
@@ -76,6 +125,9 @@ export class ThreeJSViewer {
         this.controls.maxPolarAngle = Infinity;
         this.controls.minPolarAngle = -Infinity;
         
+        // 카메라 이동 애니메이션 (맞춤, 선택으로 이동, 평면도 전환, 시점 이동)
+        this.cameraAnimator = new CameraAnimator(this.camera, this.controls);
+        
         // 이벤트 리스너 설정
         this.eventManager.setupEventListeners();
         
@@ -88,6 +140,11 @@ export class ThreeJSViewer {
      * 렌더 콜백 함수
      */
     onRender() {
+        // 카메라 이동 애니메이션 진행
+        if (this.cameraAnimator) {
+            this.cameraAnimator.update();
+        }
+        
         // OrbitControls 업데이트
         if (this.controls) {
             this.controls.update();
@@ -217,7 +274,23 @@ export class ThreeJSViewer {
      * IFC 객체들을 모두 제거
      */
     clearIfcObjects() {
-        return this.modelRenderer.clearIfcObjects();
+        if (this.planView) {
+            this.exitPlanView();
+        }
+        // 이전 모델 기준으로 만든 단면 평면도 제거
+        if (this.sectionPlanes.entries.length > 0) {
+            this.clearSectionPlanes();
+        }
+        if (this.measurements.entries.length > 0) {
+            this.clearMeasurements();
+        }
+        this.measurementControls.reset();
+        this.clearSelection();
+        this.rotationCenter = null;
+        
+        const result = this.modelRenderer.clearIfcObjects();
+        this.notifyVisibilityChange();
+        return result;
     }
 
     /**
@@ -227,6 +300,14 @@ export class ThreeJSViewer {
     getModelCenter() {
         return this.modelRenderer.getModelCenter();
     }
+    
+    /**
+     * 카메라 회전 중심 (선택으로 이동했으면 선택 범위 중심, 아니면 모델 중심)
+     * @returns {THREE.Vector3} 회전 중심
+     */
+    getRotationCenter() {
+        return this.rotationCenter || this.getModelCenter();
+    }
 
     /**
      * 원점 (0, 0, 0) 위치 표시
@@ -363,23 +444,53 @@ export class ThreeJSViewer {
      */
     addIfcGeometries(geometries) {
         this.modelRenderer.addIfcGeometries(geometries);
+        this.modelRenderer.optimize();
         
         // 카메라를 전체 모델에 맞게 조정
         this.fitCameraToModel();
     }
 
+    /**
+     * IFC Geometry 배치를 여러 프레임에 나누어 추가 (스트리밍 렌더링용)
+     * @param {Array} geometries - Geometry 데이터 배열
+     * @param {Object} options - 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @param {boolean} options.fitCamera - 추가 후 카메라를 모델에 맞출지 여부 (첫 배치에서만 사용)
+     */
+    async appendIfcGeometries(geometries, { signal, fitCamera = false } = {}) {
+        await this.modelRenderer.addIfcGeometriesProgressively(geometries, { signal });
+        
+        if (fitCamera) {
+            this.fitCameraToModel();
+        }
+    }
+
+    /**
+     * 로드가 끝난 IFC 메시를 InstancedMesh/BatchedMesh로 통합 (스트리밍 렌더링 완료 후 호출)
+     */
+    optimizeIfcObjects() {
+        this.modelRenderer.optimize();
+        this.sectionPlanes.setBounds(this.modelRenderer.getModelBoundingBox());
+    }
+
     /**
      * 카메라를 전체 모델에 맞게 조정
      */
     fitCameraToModel() {
-        const box = new THREE.Box3();
-        this.scene.traverse((object) => {
-            if (object.isMesh) {
-                box.expandByObject(object);
-            }
-        });
+        // 평면도 보기 중에는 현재 층을 위에서 다시 맞춤
+        if (this.planView) {
+            this.fitPlanView();
+            return;
+        }
+        
+        this.rotationCenter = null;
+        
+        // IFC 객체만 (원점 표시, 섹션박스 핸들, 측정 표시, 반투명 메시 등 보조 메시는 제외)
+        const box = this.modelRenderer.getModelBoundingBox();
 
+        // 모델이 없으면 초기 시점으로
         if (box.isEmpty()) {
+            this.resetCamera();
             return;
         }
 
@@ -392,115 +503,773 @@ export class ThreeJSViewer {
         const scaledMaxDim = maxDim * scale;
         const scaledCenter = center.clone().multiplyScalar(scale);
         
-        // CameraManager에 위임
-        this.cameraManager.fitToModel(scaledCenter, box, this.target);
+        this.transitionCamera(() => {
+            // CameraManager에 위임 (비스듬히 보는 시점이므로 위 시점 등에서 바꾼 화면 위쪽은 월드 Y로 복원)
+            this.camera.up.set(0, 1, 0);
+            this.cameraManager.fitToModel(scaledCenter, box, this.target);
+            
+            // frustumSize 고정 설정 (모델에 맞게 한 번만 설정)
+            this.frustumSize = this.cameraManager.getFrustumSize();
+            
+            // 카메라 frustum 업데이트 (일관된 방식으로)
+            this.updateCameraFrustum();
+            
+            // OrbitControls 타겟 설정 (모델 센터로)
+            this.controls.target.copy(scaledCenter);
+        });
         
-        // frustumSize 고정 설정 (모델에 맞게 한 번만 설정)
-        this.frustumSize = this.cameraManager.getFrustumSize();
+        // IFC 로드 후 자동으로 원점 표시
+        this.showOrigin();
+    }
+
+    /**
+     * 요소들이 화면에 꽉 차도록 카메라 이동 (보는 방향은 유지하고, 이후 회전은 요소 중심 기준)
+     * @param {Iterable<string>} globalIds - 요소 globalId 목록
+     * @returns {boolean} 형상이 있는 요소가 있어 이동했으면 true
+     */
+    frameElements(globalIds) {
+        const bounds = this.modelRenderer.getElementsBoundingBox(globalIds);
+        if (bounds.isEmpty()) {
+            return false;
+        }
         
-        // 카메라 frustum 업데이트 (일관된 방식으로)
-        this.updateCameraFrustum();
+        this.transitionCamera(() => {
+            this.restoreWorldUp();
+            this.cameraManager.frameBounds(bounds, this.target);
+            this.frustumSize = this.cameraManager.getFrustumSize();
+            this.updateCameraFrustum();
+            this.controls.target.copy(this.target);
+        });
+        this.rotationCenter = this.target.clone();
+        return true;
+    }
+    
+    /**
+     * 카메라 화면 위쪽을 월드 Y로 복원 (위 시점처럼 수직으로 내려다보는 중이면 그대로 둠)
+     * 위 시점은 -Z를 화면 위쪽으로 쓰므로, 다른 방향으로 맞출 때 그대로 두면 화면이 기울어짐
+     */
+    restoreWorldUp() {
+        const viewDirection = this.camera.getWorldDirection(new THREE.Vector3());
+        if (Math.abs(viewDirection.y) < 0.999) {
+            this.camera.up.set(0, 1, 0);
+        }
+    }
+    
+    /**
+     * 선택된 요소로 카메라 이동 (층 등 상위 객체를 선택했으면 하위 요소 전체)
+     * @returns {boolean} 이동했으면 true
+     */
+    frameSelection() {
+        const globalIds = this.getSelection();
+        return this.frameElements(this.getSubtreeIds ? this.getSubtreeIds(globalIds) : globalIds);
+    }
+
+    /**
+     * 미리 정의된 시점으로 이동 (모델 전체가 화면에 들어오도록 맞춤, 평면도 보기 중이면 종료)
+     * @param {string} name - 시점 이름 ('top', 'front', 'back', 'left', 'right', 'iso')
+     * @returns {boolean} 이동했으면 true (모델이 없거나 알 수 없는 시점이면 false)
+     */
+    setPresetView(name) {
+        const preset = PRESET_VIEWS[name];
+        const bounds = this.modelRenderer.getModelBoundingBox();
+        if (!preset || bounds.isEmpty()) {
+            return false;
+        }
         
-        // OrbitControls 타겟 설정 (모델 센터로)
-        if (this.controls) {
-            this.controls.target.copy(scaledCenter);
-            this.controls.update();
+        if (this.planView) {
+            this.exitPlanView();
         }
         
-        // IFC 로드 후 자동으로 원점 표시
-        this.showOrigin();
+        this.rotationCenter = null;
+        this.transitionCamera(() => {
+            this.camera.up.fromArray(preset.up);
+            this.cameraManager.frameBounds(bounds, this.target, new THREE.Vector3().fromArray(preset.direction));
+            this.frustumSize = this.cameraManager.getFrustumSize();
+            this.updateCameraFrustum();
+            this.controls.target.copy(this.target);
+        });
+        return true;
+    }
+    
+    /**
+     * 현재 카메라 시점 (저장용, 이동 중이면 도착할 시점)
+     * @returns {Object} 시점 { position, target, up, frustumSize, zoom, rotationCenter } (좌표는 배열)
+     */
+    getCameraView() {
+        this.cameraAnimator.finish();
+        
+        return {
+            position: this.camera.position.toArray(),
+            target: this.controls.target.toArray(),
+            up: this.camera.up.toArray(),
+            frustumSize: this.frustumSize,
+            zoom: this.controls.getZoom(),
+            rotationCenter: this.rotationCenter ? this.rotationCenter.toArray() : null
+        };
+    }
+    
+    /**
+     * 저장한 카메라 시점으로 이동 (평면도 보기 중이면 종료)
+     * @param {Object} view - getCameraView 결과
+     */
+    setCameraView(view) {
+        if (this.planView) {
+            this.exitPlanView();
+        }
+        
+        const target = new THREE.Vector3().fromArray(view.target);
+        this.transitionCamera(() => {
+            this.camera.up.fromArray(view.up);
+            this.cameraManager.setPosition(new THREE.Vector3().fromArray(view.position), target);
+            this.frustumSize = view.frustumSize;
+            this.cameraManager.frustumSize = view.frustumSize;
+            this.updateCameraFrustum();
+            
+            this.controls.target.copy(target);
+            this.controls.setZoom(view.zoom);
+        });
+        this.rotationCenter = view.rotationCenter ? new THREE.Vector3().fromArray(view.rotationCenter) : null;
+    }
+    
+    /**
+     * 카메라를 초기 시점으로 (원점을 비스듬히 내려다봄)
+     */
+    resetCamera() {
+        this.rotationCenter = null;
+        this.transitionCamera(() => {
+            this.camera.up.set(0, 1, 0);
+            this.target.set(0, 0, 0);
+            this.cameraManager.reset(this.target);
+            this.frustumSize = DEFAULT_FRUSTUM_SIZE;
+            this.cameraManager.frustumSize = DEFAULT_FRUSTUM_SIZE;
+            this.updateCameraFrustum();
+            this.controls.target.copy(this.target);
+        });
+    }
+    
+    /**
+     * 카메라를 바로 옮기는 대신 애니메이션으로 이동
+     * change에서 카메라/컨트롤 타겟/줌을 끝 상태로 설정하면, 현재 상태로 되돌린 뒤 렌더 프레임마다 끝 상태로 이동
+     * @param {Function} change - 카메라를 끝 상태로 설정하는 함수
+     * @param {Object} options - CameraAnimator.start 옵션 (duration, easing)
+     */
+    transitionCamera(change, options = {}) {
+        const from = this.cameraAnimator.capture();
+        change();
+        this.cameraAnimator.start(from, this.cameraAnimator.capture(), {
+            ...options,
+            // 중간에 멈추면 회전 중심도 멈춘 위치의 타겟으로 (회전 시 화면이 튀지 않도록)
+            onCancel: () => {
+                if (this.rotationCenter) {
+                    this.rotationCenter = this.controls.target.clone();
+                }
+            }
+        });
+    }
+    
+    /**
+     * 진행 중인 카메라 애니메이션을 현재 위치에서 멈춤 (사용자가 카메라를 조작할 때)
+     */
+    stopCameraAnimation() {
+        if (this.cameraAnimator) {
+            this.cameraAnimator.cancel();
+        }
     }
 
     /**
      * 섹션박스 생성
-     * @param {Object} options - 섹션박스 옵션
+     * 박스 밖의 모델은 모든 IFC 재질의 클리핑 평면으로 잘라냄
+     * @param {Object} options - 섹션박스 옵션 (위치/크기를 생략하면 모델 바운딩 박스에 맞춤)
      * @param {THREE.Vector3} options.position - 섹션박스 위치
      * @param {THREE.Vector3} options.size - 섹션박스 크기
      * @param {THREE.Vector3} options.rotation - 섹션박스 회전
      */
     createSectionBox(options = {}) {
-        // 기본값 설정
-        const position = options.position ? 
-            (options.position instanceof THREE.Vector3 ? options.position : new THREE.Vector3(options.position.x, options.position.y, options.position.z)) :
-            new THREE.Vector3(0, 0, 0);
-        const size = options.size ? 
-            (options.size instanceof THREE.Vector3 ? options.size : new THREE.Vector3(options.size.x, options.size.y, options.size.z)) :
-            new THREE.Vector3(10, 10, 10);
-        const rotation = options.rotation ? 
-            (options.rotation instanceof THREE.Vector3 ? options.rotation : new THREE.Vector3(options.rotation.x, options.rotation.y, options.rotation.z)) :
-            new THREE.Vector3(0, 0, 0);
-        
-        // 기존 섹션박스 제거
-        this.clearSectionBox();
-        
-        // 섹션박스 그룹 생성
-        this.sectionBox = new THREE.Group();
-        this.sectionBox.userData = { type: 'sectionBox' };
-        
-        // 6개 면 생성 (각 면마다 다른 색상)
-        const colors = [
-            0xff0000, // X+ (빨강)
-            0x00ff00, // X- (초록)
-            0x0000ff, // Y+ (파랑)
-            0xffff00, // Y- (노랑)
-            0xff00ff, // Z+ (마젠타)
-            0x00ffff  // Z- (시안)
-        ];
+        const modelBox = this.getSectionBoxDefaults();
         
-        const directions = [
-            { axis: 'x', sign: 1, normal: [1, 0, 0] },
-            { axis: 'x', sign: -1, normal: [-1, 0, 0] },
-            { axis: 'y', sign: 1, normal: [0, 1, 0] },
-            { axis: 'y', sign: -1, normal: [0, -1, 0] },
-            { axis: 'z', sign: 1, normal: [0, 0, 1] },
-            { axis: 'z', sign: -1, normal: [0, 0, -1] }
-        ];
+        this.sectionBox.show({
+            position: options.position || modelBox.position,
+            size: options.size || modelBox.size,
+            rotation: options.rotation || new THREE.Vector3(0, 0, 0)
+        });
+        this.updateClippingPlanes();
+    }
+    
+    /**
+     * 섹션박스 제거 (클리핑 해제)
+     */
+    clearSectionBox() {
+        if (!this.sectionBox) {
+            return;
+        }
         
-        directions.forEach((dir, index) => {
-            const geometry = new THREE.PlaneGeometry(
-                dir.axis === 'x' ? size.y : size.x,
-                dir.axis === 'z' ? size.y : size.z
-            );
-            
-            const material = new THREE.MeshBasicMaterial({
-                color: colors[index],
-                transparent: true,
-                opacity: 0.3,
-                side: THREE.DoubleSide
-            });
-            
-            const plane = new THREE.Mesh(geometry, material);
-            
-            // 위치 설정
-            const offset = size.clone().multiplyScalar(0.5);
-            if (dir.axis === 'x') {
-                plane.position.set(dir.sign * offset.x, 0, 0);
-                plane.rotation.y = dir.sign * Math.PI / 2;
-            } else if (dir.axis === 'y') {
-                plane.position.set(0, dir.sign * offset.y, 0);
-                plane.rotation.x = -dir.sign * Math.PI / 2;
-            } else if (dir.axis === 'z') {
-                plane.position.set(0, 0, dir.sign * offset.z);
-            }
+        this.sectionBox.hide();
+        this.sectionBoxControls.reset();
+        this.updateClippingPlanes();
+    }
+    
+    /**
+     * 섹션박스와 단면 평면을 합쳐 IFC 재질과 단면 캡에 클리핑 적용
+     */
+    updateClippingPlanes() {
+        const boxPlanes = this.isSectionBoxActive() ? this.sectionBox.planes : [];
+        const extraPlanes = this.planView ? [...boxPlanes, this.planView.plane] : boxPlanes;
+        
+        this.modelRenderer.setClippingPlanes([...extraPlanes, ...this.sectionPlanes.getPlanes()]);
+        this.sectionPlanes.updateCapClipping(extraPlanes);
+    }
+    
+    /**
+     * 층 평면도 보기
+     * 해당 층 요소만 표시하고, 층 바닥에서 PLAN_CUT_HEIGHT 위를 잘라낸 뒤 위에서 내려다보는 시점으로 전환
+     * 이미 평면도 보기 중이면 층만 바꾸고, 들어오기 전 카메라/표시 상태는 처음 한 번만 저장
+     * @param {string[]} globalIds - 층에 속한 요소 globalId 목록
+     * @returns {boolean} 표시할 요소가 있어 평면도로 전환했으면 true
+     */
+    enterPlanView(globalIds) {
+        const bounds = this.modelRenderer.getElementsBoundingBox(globalIds);
+        if (bounds.isEmpty()) {
+            return false;
+        }
+        
+        // 이동 중에 들어오면 이동이 끝난 시점을 복원 대상으로 저장
+        if (!this.planView) {
+            this.cameraAnimator.finish();
+        }
+        
+        const saved = this.planView ? this.planView.saved : {
+            position: this.camera.position.clone(),
+            up: this.camera.up.clone(),
+            target: this.controls.target.clone(),
+            frustumSize: this.frustumSize,
+            zoom: this.controls.getZoom(),
+            rotationCenter: this.rotationCenter,
+            hiddenIds: new Set(this.modelRenderer.hiddenIds)
+        };
+        
+        // 절단 평면 (법선이 아래를 향해 절단 높이 위쪽이 잘림)
+        const elevation = bounds.min.y;
+        const cutHeight = Math.min(elevation + PLAN_CUT_HEIGHT, bounds.max.y);
+        
+        this.planView = {
+            globalIds: new Set(globalIds),
+            elevation,
+            cutHeight,
+            bounds,
+            plane: new THREE.Plane(new THREE.Vector3(0, -1, 0), cutHeight),
+            saved
+        };
+        
+        // 층 요소만 표시 (평면도 전에 숨겼던 요소는 계속 숨김)
+        this.setUserHiddenElements(saved.hiddenIds);
+        this.notifyVisibilityChange();
+        
+        this.updateClippingPlanes();
+        this.controls.enableRotate = false;
+        this.fitPlanView();
+        
+        if (this.onPlanViewChange) {
+            this.onPlanViewChange();
+        }
+        return true;
+    }
+    
+    /**
+     * 평면도 보기 종료 (들어오기 전 카메라/표시 상태 복원)
+     */
+    exitPlanView() {
+        if (!this.planView) {
+            return;
+        }
+        
+        const { saved } = this.planView;
+        this.planView = null;
+        
+        this.modelRenderer.setHiddenElements(saved.hiddenIds);
+        this.notifyVisibilityChange();
+        this.updateClippingPlanes();
+        
+        this.transitionCamera(() => {
+            this.camera.up.copy(saved.up);
+            this.camera.position.copy(saved.position);
+            this.camera.lookAt(saved.target);
+            this.frustumSize = saved.frustumSize;
+            this.cameraManager.frustumSize = saved.frustumSize;
+            this.updateCameraFrustum();
             
-            this.sectionBox.add(plane);
+            this.controls.target.copy(saved.target);
+            this.controls.setZoom(saved.zoom);
         });
+        this.controls.enableRotate = true;
+        this.rotationCenter = saved.rotationCenter;
         
-        // 섹션박스 위치 및 회전 설정
-        this.sectionBox.position.copy(position);
-        this.sectionBox.rotation.set(rotation.x, rotation.y, rotation.z);
+        if (this.onPlanViewChange) {
+            this.onPlanViewChange();
+        }
+    }
+    
+    /**
+     * 평면도 보기 중인지 여부
+     * @returns {boolean} 평면도 보기 여부
+     */
+    isPlanViewActive() {
+        return this.planView !== null;
+    }
+    
+    /**
+     * 현재 층 범위에 맞춰 위에서 내려다보는 시점 설정
+     */
+    fitPlanView() {
+        this.transitionCamera(() => {
+            this.cameraManager.setTopView(this.planView.bounds, this.target);
+            this.frustumSize = this.cameraManager.getFrustumSize();
+            this.controls.target.copy(this.target);
+        });
+    }
+    
+    /**
+     * 섹션박스 활성 여부
+     * @returns {boolean} 활성 여부
+     */
+    isSectionBoxActive() {
+        return Boolean(this.sectionBox && this.sectionBox.active);
+    }
+    
+    /**
+     * 섹션박스 범위 설정 (활성화되어 있지 않으면 생성)
+     * @param {THREE.Vector3} min - 최소점 (m)
+     * @param {THREE.Vector3} max - 최대점 (m)
+     */
+    setSectionBoxExtents(min, max) {
+        if (!this.isSectionBoxActive()) {
+            this.createSectionBox();
+        }
+        this.sectionBox.setExtents(min, max);
+    }
+    
+    /**
+     * 섹션박스 범위 조회
+     * @returns {{min: THREE.Vector3, max: THREE.Vector3, rotation: THREE.Euler}|null} 범위 (비활성이면 null)
+     */
+    getSectionBoxExtents() {
+        return this.isSectionBoxActive() ? this.sectionBox.getExtents() : null;
+    }
+    
+    /**
+     * 섹션박스를 모델 바운딩 박스로 초기화 (회전 해제)
+     */
+    resetSectionBox() {
+        this.createSectionBox();
+    }
+    
+    /**
+     * 섹션박스 기본 위치/크기 (모델 바운딩 박스, 모델이 없으면 원점 기준 10m)
+     * @returns {{position: THREE.Vector3, size: THREE.Vector3}} 기본값
+     */
+    getSectionBoxDefaults() {
+        const box = this.modelRenderer.getModelBoundingBox();
+        
+        if (box.isEmpty()) {
+            return { position: new THREE.Vector3(0, 0, 0), size: new THREE.Vector3(10, 10, 10) };
+        }
         
-        this.scene.add(this.sectionBox);
+        // 바깥 면이 경계에서 잘리지 않도록 약간 여유를 둠
+        box.expandByScalar(0.01);
+        return {
+            position: box.getCenter(new THREE.Vector3()),
+            size: box.getSize(new THREE.Vector3())
+        };
+    }
+    
+    /**
+     * 단면 평면 선택 모드 시작/종료 (켜져 있으면 다음 모델 클릭 위치의 면에 평면 생성)
+     * @param {boolean} enabled - 선택 모드 여부
+     */
+    setSectionPlanePicking(enabled) {
+        if (enabled && this.measurementControls.isActive()) {
+            this.setMeasurementMode(null);
+        }
         
+        this.sectionPlanePicking = enabled && this.sectionPlanes.canAdd();
+        this.container.style.cursor = this.sectionPlanePicking ? 'crosshair' : '';
+        this.notifySectionPlanesChange();
     }
     
     /**
-     * 섹션박스 제거
+     * 단면 평면 추가 (법선 쪽이 남고 반대쪽이 잘림)
+     * @param {THREE.Vector3} point - 평면 위의 점 (m)
+     * @param {THREE.Vector3} normal - 남길 쪽 법선
+     * @returns {number|null} 평면 ID (최대 개수를 넘으면 null)
      */
-    clearSectionBox() {
-        if (this.sectionBox) {
-            this.scene.remove(this.sectionBox);
-            this.sectionBox = null;
+    addSectionPlane(point, normal) {
+        this.sectionPlanes.setBounds(this.modelRenderer.getModelBoundingBox());
+        const entry = this.sectionPlanes.add(point, normal);
+        if (!entry) {
+            return null;
+        }
+        
+        this.updateClippingPlanes();
+        this.notifySectionPlanesChange();
+        return entry.id;
+    }
+    
+    /**
+     * 클릭한 면에 맞춰 단면 평면 추가 (면 앞쪽, 즉 카메라 쪽을 잘라냄)
+     * @param {Object} intersect - Raycaster 교차 결과
+     * @returns {number|null} 평면 ID
+     */
+    addSectionPlaneFromIntersection(intersect) {
+        this.sectionPlanePicking = false;
+        this.container.style.cursor = '';
+        
+        if (!intersect.face) {
+            this.notifySectionPlanesChange();
+            return null;
+        }
+        
+        // 인스턴스/배치 객체는 요소별 행렬까지 적용
+        const matrix = this.modelRenderer.getIntersectionMatrix(intersect);
+        const normal = intersect.face.normal.clone().transformDirection(matrix).negate();
+        return this.addSectionPlane(intersect.point, normal);
+    }
+    
+    /**
+     * 단면 평면 제거
+     * @param {number} id - 평면 ID
+     */
+    removeSectionPlane(id) {
+        this.sectionPlanes.remove(id);
+        this.updateClippingPlanes();
+        this.notifySectionPlanesChange();
+    }
+    
+    /**
+     * 모든 단면 평면 제거
+     */
+    clearSectionPlanes() {
+        this.sectionPlanes.clear();
+        this.sectionPlanePicking = false;
+        this.updateClippingPlanes();
+        this.notifySectionPlanesChange();
+    }
+    
+    /**
+     * 단면 평면 방향 뒤집기
+     * @param {number} id - 평면 ID
+     */
+    flipSectionPlane(id) {
+        this.sectionPlanes.flip(id);
+    }
+    
+    /**
+     * 단면 평면을 법선 방향으로 이동
+     * @param {number} id - 평면 ID
+     * @param {number} offset - 법선 방향 위치 (m)
+     */
+    setSectionPlaneOffset(id, offset) {
+        this.sectionPlanes.setOffset(id, offset);
+    }
+    
+    /**
+     * 단면 평면 목록
+     * @returns {Array} [{ id, color, min, max, value }]
+     */
+    getSectionPlanes() {
+        return this.sectionPlanes.entries.map(entry => ({
+            id: entry.id,
+            color: entry.color,
+            ...this.sectionPlanes.getOffsetRange(entry.id)
+        }));
+    }
+    
+    /**
+     * 단면 평면 변경 알림
+     */
+    notifySectionPlanesChange() {
+        if (this.onSectionPlanesChange) {
+            this.onSectionPlanesChange();
+        }
+    }
+    
+    /**
+     * 측정 모드 설정 (켜져 있으면 모델 클릭이 선택 대신 측정 점 추가)
+     * @param {string|null} mode - 'distance', 'polyline', 'angle', 'area' 또는 null(종료)
+     */
+    setMeasurementMode(mode) {
+        if (mode && this.sectionPlanePicking) {
+            this.setSectionPlanePicking(false);
+        }
+        
+        this.measurementControls.setMode(mode);
+        this.notifyMeasurementsChange();
+    }
+    
+    /**
+     * 현재 측정 모드
+     * @returns {string|null} 측정 종류 또는 null
+     */
+    getMeasurementMode() {
+        return this.measurementControls.mode;
+    }
+    
+    /**
+     * 측정 추가
+     * @param {string} type - 측정 종류
+     * @param {THREE.Vector3[]} points - 측정 점 (m)
+     * @returns {number} 측정 ID
+     */
+    addMeasurement(type, points) {
+        const entry = this.measurements.add(type, points);
+        this.notifyMeasurementsChange();
+        return entry.id;
+    }
+    
+    /**
+     * 측정 제거
+     * @param {number} id - 측정 ID
+     */
+    removeMeasurement(id) {
+        this.measurements.remove(id);
+        this.notifyMeasurementsChange();
+    }
+    
+    /**
+     * 모든 측정 제거
+     */
+    clearMeasurements() {
+        this.measurements.clear();
+        this.notifyMeasurementsChange();
+    }
+    
+    /**
+     * 측정 표시 단위 설정
+     * @param {string} unit - 'm' 또는 'mm'
+     */
+    setMeasurementUnit(unit) {
+        this.measurements.setUnit(unit);
+        this.notifyMeasurementsChange();
+    }
+    
+    /**
+     * 측정 목록
+     * @returns {Array} [{ id, type, value, text }] (text는 현재 단위로 표시한 값)
+     */
+    getMeasurements() {
+        return this.measurements.entries.map(entry => ({
+            id: entry.id,
+            type: entry.type,
+            value: entry.value,
+            text: this.measurements.formatValue(entry.type, entry.value)
+        }));
+    }
+    
+    /**
+     * 측정 목록 CSV
+     * @returns {string} CSV 문자열
+     */
+    exportMeasurements() {
+        return this.measurements.toCSV();
+    }
+    
+    /**
+     * 측정 변경 알림
+     */
+    notifyMeasurementsChange() {
+        if (this.onMeasurementsChange) {
+            this.onMeasurementsChange();
+        }
+    }
+    
+    /**
+     * 요소 선택
+     * @param {Iterable<string>} globalIds - 객체 GUID 목록
+     * @param {string} mode - 'replace'(새로 선택), 'add'(추가), 'toggle'(선택/해제 전환), 'remove'(해제)
+     */
+    selectElements(globalIds, mode = 'replace') {
+        if (this.selection.select(globalIds, mode)) {
+            this.notifySelectionChange();
+        }
+    }
+    
+    /**
+     * 선택 해제
+     */
+    clearSelection() {
+        if (this.selection.clear()) {
+            this.notifySelectionChange();
+        }
+    }
+    
+    /**
+     * 선택된 객체 GUID 목록 (선택한 순서)
+     * @returns {string[]} GUID 배열
+     */
+    getSelection() {
+        return this.selection.getIds();
+    }
+    
+    /**
+     * 요소 숨기기 (숨긴 요소는 선택에서도 해제)
+     * @param {Iterable<string>} globalIds - 객체 GUID 목록
+     */
+    hideElements(globalIds) {
+        const ids = [...globalIds];
+        this.setUserHiddenElements([...this.getUserHiddenIds(), ...ids]);
+        this.selectElements(ids, 'remove');
+        this.notifyVisibilityChange();
+    }
+    
+    /**
+     * 숨긴 요소 다시 표시
+     * @param {Iterable<string>} globalIds - 객체 GUID 목록
+     */
+    showElements(globalIds) {
+        const ids = new Set(globalIds);
+        this.setUserHiddenElements([...this.getUserHiddenIds()].filter(globalId => !ids.has(globalId)));
+        this.notifyVisibilityChange();
+    }
+    
+    /**
+     * 지정한 요소만 표시하고 나머지는 숨기기
+     * @param {Iterable<string>} globalIds - 표시할 객체 GUID 목록
+     */
+    isolateElements(globalIds) {
+        const ids = new Set(globalIds);
+        const hiddenIds = [...this.modelRenderer.elements.keys()].filter(globalId => !ids.has(globalId));
+        this.setUserHiddenElements(hiddenIds);
+        this.selectElements(hiddenIds, 'remove');
+        this.notifyVisibilityChange();
+    }
+    
+    /**
+     * 모든 요소 표시 (반투명 모드도 해제, 평면도 보기 중에는 현재 층의 요소만)
+     */
+    showAllElements() {
+        this.setUserHiddenElements([]);
+        this.modelRenderer.clearGhost();
+        this.notifyVisibilityChange();
+    }
+    
+    /**
+     * 지정한 요소만 그대로 두고 나머지는 반투명하게 표시
+     * @param {Iterable<string>} globalIds - 그대로 표시할 객체 GUID 목록
+     */
+    ghostOtherElements(globalIds) {
+        this.modelRenderer.setGhostedExcept(globalIds);
+        this.notifyVisibilityChange();
+    }
+    
+    /**
+     * 반투명 모드 해제
+     */
+    clearGhost() {
+        this.modelRenderer.clearGhost();
+        this.notifyVisibilityChange();
+    }
+    
+    /**
+     * 반투명 모드인지 여부
+     * @returns {boolean} 반투명 모드 여부
+     */
+    isGhostActive() {
+        return this.modelRenderer.ghostKeepIds !== null;
+    }
+    
+    /**
+     * 형상이 있는 요소인지 여부
+     * @param {string} globalId - 객체 GUID
+     * @returns {boolean} 렌더링된 요소면 true
+     */
+    hasElement(globalId) {
+        return this.modelRenderer.elements.has(globalId);
+    }
+    
+    /**
+     * 숨긴 요소인지 여부
+     * @param {string} globalId - 객체 GUID
+     * @returns {boolean} 숨김 여부
+     */
+    isElementHidden(globalId) {
+        return this.modelRenderer.hiddenIds.has(globalId);
+    }
+    
+    /**
+     * 사용자가 숨긴 요소가 있는지 여부 (평면도 보기에서 층 밖이라 숨긴 요소는 제외)
+     * @returns {boolean} 숨긴 요소 여부
+     */
+    hasHiddenElements() {
+        return this.getUserHiddenIds().size > 0;
+    }
+    
+    /**
+     * 사용자가 숨긴 요소 (평면도 보기 중이면 층 밖이라 숨긴 요소는 빼고, 종료 시 복원할 숨김 상태)
+     * @returns {Set<string>} 숨긴 객체 GUID 집합
+     */
+    getUserHiddenIds() {
+        return this.planView ? this.planView.saved.hiddenIds : this.modelRenderer.hiddenIds;
+    }
+    
+    /**
+     * 사용자가 숨긴 요소 설정
+     * 평면도 보기 중에는 종료 시 복원할 숨김 상태에 반영하고, 현재 층 밖의 요소는 계속 숨김
+     * @param {Iterable<string>} globalIds - 숨길 객체 GUID 목록
+     */
+    setUserHiddenElements(globalIds) {
+        if (!this.planView) {
+            this.modelRenderer.setHiddenElements(globalIds);
+            return;
+        }
+        
+        const { globalIds: storeyIds, saved } = this.planView;
+        saved.hiddenIds = new Set(globalIds);
+        this.modelRenderer.setHiddenElements([...this.modelRenderer.elements.keys()]
+            .filter(globalId => !storeyIds.has(globalId) || saved.hiddenIds.has(globalId)));
+    }
+    
+    /**
+     * 표시 상태 변경 알림
+     */
+    notifyVisibilityChange() {
+        if (this.onVisibilityChange) {
+            this.onVisibilityChange();
+        }
+    }
+    
+    /**
+     * 마우스를 올린 요소 표시 (은은한 색상과 툴팁)
+     * @param {string|null} globalId - 객체 GUID (null이면 해제)
+     * @param {MouseEvent} event - 툴팁 위치를 정할 마우스 이벤트
+     */
+    setHoveredElement(globalId, event) {
+        this.modelRenderer.setHoveredElement(globalId);
+        
+        if (!globalId) {
+            this.hoveredInfo = null;
+            this.elementTooltip.hide();
+            return;
+        }
+        
+        // 요소가 바뀔 때만 정보 조회 (트리/속성정보가 없으면 Geometry의 IFC 타입만 표시)
+        if (!this.hoveredInfo || this.hoveredInfo.globalId !== globalId) {
+            const info = (this.getElementInfo && this.getElementInfo(globalId)) || {};
+            const refs = this.modelRenderer.elements.get(globalId);
+            this.hoveredInfo = {
+                type: info.type || (refs ? refs[0].ifcType : ''),
+                name: info.name || '',
+                globalId
+            };
+        }
+        
+        const rect = this.container.getBoundingClientRect();
+        this.elementTooltip.show(this.hoveredInfo, event.clientX - rect.left, event.clientY - rect.top);
+    }
+    
+    /**
+     * 선택 변경 알림
+     */
+    notifySelectionChange() {
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.selection.getIds(), this.selection.primaryId);
         }
     }
     
@@ -509,8 +1278,8 @@ export class ThreeJSViewer {
      * @param {THREE.Vector3} position - 새로운 위치
      */
     updateSectionBoxPosition(position) {
-        if (this.sectionBox) {
-            this.sectionBox.position.copy(position);
+        if (this.isSectionBoxActive()) {
+            this.sectionBox.setBox({ position });
         }
     }
     
@@ -519,37 +1288,11 @@ export class ThreeJSViewer {
      * @param {THREE.Vector3} size - 새로운 크기
      */
     updateSectionBoxSize(size) {
-        if (this.sectionBox) {
-            // 기존 섹션박스 제거 후 새로 생성
-            const currentPosition = this.sectionBox.position.clone();
-            const currentRotation = this.sectionBox.rotation.clone();
-            this.clearSectionBox();
-            
-            const sizeVector = size instanceof THREE.Vector3 ? size : new THREE.Vector3(size.x, size.y, size.z);
-            const rotationVector = new THREE.Vector3(currentRotation.x, currentRotation.y, currentRotation.z);
-            
-            this.createSectionBox({ 
-                position: currentPosition, 
-                size: sizeVector, 
-                rotation: rotationVector 
-            });
-        }
-se((object) => {
-            if (object.isMesh && object.userData.globalId) {
-                objectsToRemove.push(object);
-            }
-        });
-        
-        objectsToRemove.forEach(object => {
-            this.scene.remove(object);
-            if (object.geometry) object.geometry.dispose();
-            if (object.material) object.material.dispose();
-        });
-        
+        if (this.isSectionBoxActive()) {
+            this.sectionBox.setBox({ size });
+        }
     }
 
-
-
     /**
      * 윤곽선 표시/숨김 토글
      * @param {boolean} show - 윤곽선 표시 여부
@@ -592,5 +1335,29 @@ se((object) => {
         if (this.eventManager) {
             this.eventManager.removeAllEventListeners();
         }
+        
+        if (this.modelRenderer) {
+            this.modelRenderer.dispose();
+        }
+        
+        if (this.sectionBox) {
+            this.sectionBox.dispose();
+        }
+        
+        if (this.sectionPlanes) {
+            this.sectionPlanes.dispose();
+        }
+        
+        if (this.measurements) {
+            this.measurements.dispose();
+        }
+        
+        if (this.boxSelectionControls) {
+            this.boxSelectionControls.dispose();
+        }
+        
+        if (this.elementTooltip) {
+            this.elementTooltip.dispose();
+        }
     }
 }
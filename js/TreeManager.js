@@ -1,18 +1,64 @@
 import { DOMUtils } from './utils/DOMUtils.js';
 import { EventManager } from './utils/EventManager.js';
 
+// 공간 구조 객체 (층/재료/속성값 그룹의 '없음' 항목에서 제외)
+const SPATIAL_STRUCTURE_TYPES = new Set(['IfcProject', 'IfcSite', 'IfcBuilding', 'IfcBuildingStorey']);
+const SEARCH_DELAY = 200; // 검색어 입력 후 트리 필터링까지 대기 시간 (ms)
+const ROW_HEIGHT = 56; // 트리 행 높이 (px, 가상 스크롤 계산용으로 고정)
+const ROW_INDENT = 16; // 단계별 들여쓰기 (px)
+const OVERSCAN_ROWS = 10; // 스크롤 시 빈 화면이 보이지 않도록 화면 밖에 미리 그릴 행 수
+const TYPEAHEAD_RESET = 500; // 이름 입력 찾기에서 입력을 이어 붙이는 시간 (ms)
+
 /**
  * IFC 트리 구조 관리 클래스
  * 트리 UI 생성, 표시, 제어를 담당
+ * 펼침/선택/표시/검색 상태는 데이터로 관리하고, 펼쳐진 노드를 평탄화한 행 중 화면에 보이는 행만 DOM으로 그림 (가상 스크롤)
+ * 키보드 포커스는 트리 영역이 갖고, 포커스된 행은 aria-activedescendant로 알림 (ARIA treeview)
  */
 export class TreeManager {
     constructor() {
         this.treeContent = DOMUtils.$('#treeContent');
         this.expandAllBtn = DOMUtils.$('#expandAllBtn');
         this.collapseAllBtn = DOMUtils.$('#collapseAllBtn');
+        this.groupSelect = DOMUtils.$('#treeGroupSelect');
+        this.groupPropertySelect = DOMUtils.$('#treeGroupPropertySelect');
+        this.searchInput = DOMUtils.$('#treeSearchInput');
+        this.searchRegexBtn = DOMUtils.$('#treeSearchRegexBtn');
+        this.searchCount = DOMUtils.$('#treeSearchCount');
+        this.searchPrevBtn = DOMUtils.$('#treeSearchPrevBtn');
+        this.searchNextBtn = DOMUtils.$('#treeSearchNextBtn');
+        this.searchSelectBtn = DOMUtils.$('#treeSearchSelectBtn');
+        this.searchTypes = DOMUtils.$('#treeSearchTypes');
         
         this.eventManager = new EventManager();
         this.nodeCache = new Map(); // 노드 캐시
+        this.propertiesGuid = null; // 속성정보를 표시 중인 객체 GUID
+        this.nodesByGuid = new Map(); // GUID → 트리 데이터 노드 (툴팁 등 정보 조회용)
+        this.propertiesByGuid = new Map(); // GUID → 속성정보 항목 배열 (propertyIndexSource로 만든 색인)
+        this.propertyIndexSource = null; // 색인을 만든 속성정보 배열 (바뀌면 다시 색인)
+        this.spatialData = null; // 파서가 반환한 공간 구조 트리
+        this.treeData = null; // 현재 표시 중인 트리 (공간 구조 또는 그룹)
+        this.groupMode = 'spatial'; // 'spatial', 'type', 'storey', 'material', 'property'
+        this.parentNodes = new Map(); // 표시 중인 트리 노드 → 부모 노드
+        this.displayNodesByGuid = new Map(); // GUID → 표시 중인 트리에서 처음 나오는 노드
+        this.expandedNodes = new Set(); // 펼친 노드
+        this.rows = []; // 펼쳐진 노드를 평탄화한 행 [{ node, depth }]
+        this.treeViewport = null; // 전체 행 높이를 가진 스크롤 영역 (화면에 보이는 행만 자식으로 가짐)
+        this.renderFrame = null;
+        this.selectedGuids = new Set(); // 선택된 객체 GUID
+        this.selectingFromTree = false; // 트리에서 선택 중이면 선택된 노드로 스크롤하지 않음
+        this.visibilityStates = new Map(); // 노드 → 'visible', 'hidden', 'mixed' (3D 표시 상태)
+        this.focusedNode = null; // 키보드 포커스 노드
+        this.typeahead = ''; // 이름 입력 찾기 입력
+        this.typeaheadTimer = null;
+        this.searchRegex = false; // 검색어를 정규식으로 해석
+        this.searchTypeFilter = new Set(); // 선택한 타입 칩 (비어 있으면 모든 타입)
+        this.searchHits = []; // 검색 결과 노드 (트리 순서)
+        this.searchIndex = -1; // 이동 중인 검색 결과 위치
+        this.searchMatches = new Map(); // 검색 결과 노드 → 이름의 일치 구간
+        this.searchVisibleNodes = null; // 검색 결과와 그 상위 노드 (검색 중이 아니면 null)
+        this.searchTimer = null;
+        this.onStoreyActivated = null; // 층 노드를 선택했을 때 콜백 (guid), 평면도 층 전환용
         
         this.initializeEventListeners();
     }
@@ -24,6 +70,41 @@ export class TreeManager {
     initializeEventListeners() {
         this.eventManager.addEventListener(this.expandAllBtn, 'click', () => this.expandAllNodes());
         this.eventManager.addEventListener(this.collapseAllBtn, 'click', () => this.collapseAllNodes());
+        this.eventManager.addEventListener(this.groupSelect, 'change', () => this.setGroupMode(this.groupSelect.value));
+        this.eventManager.addEventListener(this.groupPropertySelect, 'change', () => this.renderTree());
+        
+        // 행은 스크롤할 때마다 다시 그리므로 트리 영역에 한 번만 등록 (이벤트 위임)
+        this.eventManager.addEventListener(this.treeContent, 'click', (e) => this.onTreeClick(e));
+        this.eventManager.addEventListener(this.treeContent, 'change', (e) => this.onTreeChange(e));
+        this.eventManager.addEventListener(this.treeContent, 'contextmenu', (e) => this.onTreeContextMenu(e));
+        this.eventManager.addEventListener(this.treeContent, 'dblclick', (e) => this.onTreeDoubleClick(e));
+        this.eventManager.addEventListener(this.treeContent, 'scroll', () => this.scheduleRender());
+        this.eventManager.addEventListener(this.treeContent, 'keydown', (e) => this.onTreeKeyDown(e));
+        
+        // 사이드바 크기가 바뀌면 보이는 행 수가 달라짐
+        if (window.ResizeObserver) {
+            this.resizeObserver = new ResizeObserver(() => this.scheduleRender());
+            this.resizeObserver.observe(this.treeContent);
+        }
+        
+        // 검색
+        this.eventManager.addEventListener(this.searchInput, 'input', () => this.scheduleSearch());
+        this.eventManager.addEventListener(this.searchInput, 'keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.stepSearch(e.shiftKey ? -1 : 1);
+            } else if (e.key === 'Escape') {
+                this.clearSearch();
+            }
+        });
+        this.eventManager.addEventListener(this.searchRegexBtn, 'click', () => {
+            this.searchRegex = !this.searchRegex;
+            this.searchRegexBtn.classList.toggle('active', this.searchRegex);
+            this.applySearch();
+        });
+        this.eventManager.addEventListener(this.searchPrevBtn, 'click', () => this.stepSearch(-1));
+        this.eventManager.addEventListener(this.searchNextBtn, 'click', () => this.stepSearch(1));
+        this.eventManager.addEventListener(this.searchSelectBtn, 'click', () => this.selectSearchHits());
     }
 
     /**
@@ -31,45 +112,396 @@ export class TreeManager {
      * @param {Array} parseDatas - 파싱된 트리 데이터
      */
     displayTreeStructure(parseDatas) {
-        // 트리구조 데이터 저장
-        this.treeData = parseDatas;
+        // 공간 구조 저장 (그룹 트리도 이 데이터에서 만듦)
+        this.spatialData = parseDatas;
+        this.indexNodes(parseDatas || []);
+        this.renderTree();
+    }
+
+    /**
+     * 트리 구성 변경
+     * @param {string} mode - 'spatial'(공간 구조), 'type'(IFC 타입), 'storey'(층), 'material'(재료), 'property'(속성값)
+     */
+    setGroupMode(mode) {
+        this.groupMode = mode;
+        this.groupSelect.value = mode;
+        this.groupPropertySelect.classList.toggle('hidden', mode !== 'property');
+        this.renderTree();
+    }
+
+    /**
+     * 현재 구성으로 트리 다시 그리기 (선택/표시 상태 유지)
+     */
+    renderTree() {
+        const treeData = this.buildTreeData();
+        this.treeData = treeData;
+        this.indexTreeData(treeData || []);
+        this.expandedNodes.clear();
+        this.focusedNode = null;
+        this.treeContent.innerHTML = '';
+        this.treeViewport = null;
+        this.rows = [];
+        this.updateSearchTypes();
         
-        if (!parseDatas || parseDatas.length === 0) {
-            this.treeContent.innerHTML = '<p class="no-data">표시할 데이터가 없습니다.</p>';
+        if (!treeData || treeData.length === 0) {
+            const waiting = !treeData && this.spatialData && this.spatialData.length > 0;
+            const message = waiting ? '속성정보를 불러온 뒤 표시됩니다.' : '표시할 데이터가 없습니다.';
+            this.treeContent.appendChild(DOMUtils.createElement('p', { className: 'no-data' }, message));
+            this.applySearch();
             return;
         }
 
-        this.treeContent.innerHTML = '';
-        const treeList = document.createElement('ul');
-        treeList.className = 'tree-node';
+        this.treeViewport = DOMUtils.createElement('div', { className: 'tree-viewport', role: 'none' });
+        this.treeContent.appendChild(this.treeViewport);
+        this.treeContent.scrollTop = 0;
+        
+        this.updateVisibilityStates();
+        const viewer = window.webIFCViewerApp && window.webIFCViewerApp.threeViewer;
+        if (viewer) {
+            this.syncSelection(viewer.getSelection(), viewer.selection.primaryId);
+        }
+        this.applySearch();
+    }
+
+    /**
+     * 표시 중인 트리의 부모 노드와 GUID 색인
+     * @param {Array} treeData - 표시 중인 트리 데이터
+     */
+    indexTreeData(treeData) {
+        this.parentNodes.clear();
+        this.displayNodesByGuid.clear();
+        
+        const visit = (node, parent) => {
+            this.parentNodes.set(node, parent);
+            if (node.guid && !this.displayNodesByGuid.has(node.guid)) {
+                this.displayNodesByGuid.set(node.guid, node);
+            }
+            (node.children || []).forEach(child => visit(child, node));
+        };
+        treeData.forEach(node => visit(node, null));
+    }
+
+    /**
+     * 현재 구성의 트리 데이터 생성
+     * 그룹 노드는 { type, name, group: true, children }, 그 아래 객체는 자식 없는 복사본
+     * @returns {Array|null} 트리 데이터 (속성정보가 필요한데 아직 없으면 null)
+     */
+    buildTreeData() {
+        const roots = this.spatialData || [];
+        
+        switch (this.groupMode) {
+            case 'type':
+                return this.groupByType(roots);
+            case 'storey':
+                return this.groupByStorey(roots);
+            case 'material':
+                return this.groupByPropertyValue(roots, '재료', 'Material');
+            case 'property': {
+                if (!this.groupPropertySelect.value) {
+                    return this.getPropertyItems() && roots.length > 0 ? [] : null;
+                }
+                const [title, subTitle] = JSON.parse(this.groupPropertySelect.value);
+                return this.groupByPropertyValue(roots, title, subTitle);
+            }
+            default:
+                return roots;
+        }
+    }
+
+    /**
+     * 그룹 노드 생성
+     * @param {string} type - 배지에 표시할 텍스트
+     * @param {string} name - 그룹 이름
+     * @param {Array} children - 그룹에 속한 노드
+     * @returns {Object} 그룹 노드
+     */
+    createGroupNode(type, name, children) {
+        return { type, name, group: true, children };
+    }
 
-        parseDatas.forEach(node => {
-            const treeItem = this.createTreeNode(node);
-            treeList.appendChild(treeItem);
+    /**
+     * GUID가 있는 모든 노드를 트리 순서대로 수집 (자식 없는 복사본, 중복 제외)
+     * @param {Array} nodes - 트리 데이터 노드
+     * @returns {Array} [{ type, name, guid }]
+     */
+    collectElementNodes(nodes) {
+        const result = [];
+        const seen = new Set();
+        
+        const visit = (node) => {
+            if (node.guid && !seen.has(node.guid)) {
+                seen.add(node.guid);
+                result.push({ type: node.type, name: node.name, guid: node.guid });
+            }
+            (node.children || []).forEach(visit);
+        };
+        nodes.forEach(visit);
+        return result;
+    }
+
+    /**
+     * IFC 타입별 그룹 (타입 이름순)
+     * @param {Array} roots - 공간 구조 트리
+     * @returns {Array} 그룹 트리
+     */
+    groupByType(roots) {
+        const groups = new Map();
+        this.collectElementNodes(roots).forEach(node => {
+            if (!groups.has(node.type)) {
+                groups.set(node.type, []);
+            }
+            groups.get(node.type).push(node);
+        });
+        
+        return [...groups.keys()].sort().map(type => {
+            const children = groups.get(type);
+            return this.createGroupNode(type, `${children.length}개`, children);
         });
+    }
+
+    /**
+     * 층별 그룹 (층 순서, 층에 속하지 않은 객체는 마지막에)
+     * 층 그룹 노드는 층 GUID를 가지므로 선택/평면도 전환은 공간 구조 트리와 같게 동작
+     * @param {Array} roots - 공간 구조 트리
+     * @returns {Array} 그룹 트리
+     */
+    groupByStorey(roots) {
+        const groups = [];
+        const assigned = new Set();
+        
+        const visit = (node) => {
+            if (node.type === 'IfcBuildingStorey') {
+                assigned.add(node.guid);
+                const children = this.collectElementNodes(node.children || []).filter(child => !assigned.has(child.guid));
+                children.forEach(child => assigned.add(child.guid));
+                groups.push({ type: node.type, name: `${node.name || node.guid} (${children.length}개)`, guid: node.guid, children });
+                return;
+            }
+            (node.children || []).forEach(visit);
+        };
+        roots.forEach(visit);
+        
+        const rest = this.collectElementNodes(roots)
+            .filter(node => !assigned.has(node.guid) && !SPATIAL_STRUCTURE_TYPES.has(node.type));
+        if (rest.length > 0) {
+            groups.push(this.createGroupNode('IfcBuildingStorey', `층 없음 (${rest.length}개)`, rest));
+        }
+        return groups;
+    }
+
+    /**
+     * 속성값별 그룹 (값 순서, 값이 여러 개면 각 그룹에 포함, 값이 없는 객체는 마지막에)
+     * @param {Array} roots - 공간 구조 트리
+     * @param {string} title - 속성 그룹 (예: '재료', 'Pset_WallCommon')
+     * @param {string} subTitle - 속성 이름 (예: 'Material', 'IsExternal')
+     * @returns {Array|null} 그룹 트리 (속성정보가 없으면 null)
+     */
+    groupByPropertyValue(roots, title, subTitle) {
+        const items = this.getPropertyItems();
+        if (!items) {
+            return null;
+        }
+        
+        const valuesByGuid = new Map();
+        items.forEach(item => {
+            if (item.title !== title || item.subTitle !== subTitle || item.value === null || item.value === undefined || item.value === '') {
+                return;
+            }
+            if (!valuesByGuid.has(item.guid)) {
+                valuesByGuid.set(item.guid, new Set());
+            }
+            valuesByGuid.get(item.guid).add(String(item.value));
+        });
+        
+        const groups = new Map();
+        const none = [];
+        this.collectElementNodes(roots).forEach(node => {
+            const values = valuesByGuid.get(node.guid);
+            if (values) {
+                values.forEach(value => {
+                    if (!groups.has(value)) {
+                        groups.set(value, []);
+                    }
+                    groups.get(value).push(node);
+                });
+            } else if (!SPATIAL_STRUCTURE_TYPES.has(node.type)) {
+                none.push(node);
+            }
+        });
+        
+        const result = [...groups.keys()]
+            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(value => this.createGroupNode(subTitle, `${value} (${groups.get(value).length}개)`, groups.get(value)));
+        if (none.length > 0) {
+            result.push(this.createGroupNode(subTitle, `값 없음 (${none.length}개)`, none));
+        }
+        return result;
+    }
 
-        this.treeContent.appendChild(treeList);
+    /**
+     * 현재 모델의 속성정보 항목
+     * @returns {Array|null} [{ guid, title, subTitle, value }] (아직 없으면 null)
+     */
+    getPropertyItems() {
+        const app = window.webIFCViewerApp;
+        return app && app.ifcPropertyData ? app.ifcPropertyData.properties || [] : null;
     }
 
     /**
-     * 트리 노드 생성
-     * @param {Object} node - 노드 데이터
+     * 속성정보가 바뀌면 속성값 그룹 목록을 갱신하고, 속성정보로 구성한 트리를 다시 그리기
+     */
+    updatePropertyGroups() {
+        const keys = new Map(); // JSON [title, subTitle] → 표시 이름
+        (this.getPropertyItems() || []).forEach(item => {
+            if (item.title === '기본 정보') {
+                return;
+            }
+            const key = JSON.stringify([item.title, item.subTitle]);
+            if (!keys.has(key)) {
+                keys.set(key, `${item.title} / ${item.subTitle}`);
+            }
+        });
+        
+        const current = this.groupPropertySelect.value;
+        this.groupPropertySelect.innerHTML = '';
+        [...keys]
+            .sort((a, b) => a[1].localeCompare(b[1]))
+            .forEach(([value, label]) => {
+                this.groupPropertySelect.appendChild(DOMUtils.createElement('option', { value }, label));
+            });
+        if (keys.has(current)) {
+            this.groupPropertySelect.value = current;
+        }
+        
+        if (this.groupMode === 'material' || this.groupMode === 'property') {
+            this.renderTree();
+        }
+    }
+
+    /**
+     * 펼쳐진 노드를 평탄화해 행 목록을 다시 만들고 그리기
+     * 검색 중이면 검색 결과와 그 상위 노드만 포함
+     */
+    refreshRows() {
+        const rows = [];
+        
+        const visit = (node, depth) => {
+            if (this.searchVisibleNodes && !this.searchVisibleNodes.has(node)) {
+                return;
+            }
+            rows.push({ node, depth });
+            if (this.expandedNodes.has(node)) {
+                node.children.forEach(child => visit(child, depth + 1));
+            }
+        };
+        (this.treeData || []).forEach(node => visit(node, 0));
+        
+        this.rows = rows;
+        this.renderRows();
+    }
+
+    /**
+     * 다음 프레임에 보이는 행 다시 그리기 (스크롤/크기 변경 이벤트를 한 번으로 모음)
+     */
+    scheduleRender() {
+        if (this.renderFrame !== null) {
+            return;
+        }
+        this.renderFrame = requestAnimationFrame(() => {
+            this.renderFrame = null;
+            this.renderRows();
+        });
+    }
+
+    /**
+     * 화면에 보이는 행(과 앞뒤 여유 행)만 DOM으로 그리기
+     */
+    renderRows() {
+        if (!this.treeViewport) {
+            return;
+        }
+        
+        this.treeViewport.style.height = `${this.rows.length * ROW_HEIGHT}px`;
+        
+        const scrollTop = this.treeContent.scrollTop - this.treeViewport.offsetTop;
+        const first = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN_ROWS);
+        const last = Math.min(this.rows.length, Math.ceil((scrollTop + this.treeContent.clientHeight) / ROW_HEIGHT) + OVERSCAN_ROWS);
+        
+        const fragment = document.createDocumentFragment();
+        let focusedId = null;
+        for (let index = first; index < last; index++) {
+            const item = this.createRowElement(this.rows[index], index);
+            if (this.rows[index].node === this.focusedNode) {
+                focusedId = item.id;
+            }
+            fragment.appendChild(item);
+        }
+        this.treeViewport.replaceChildren(fragment);
+        
+        if (focusedId) {
+            this.treeContent.setAttribute('aria-activedescendant', focusedId);
+        } else {
+            this.treeContent.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    /**
+     * 트리 행 요소 생성
+     * @param {{node: Object, depth: number}} row - 행 (트리 데이터 노드와 깊이)
+     * @param {number} index - 행 위치
      * @returns {HTMLElement} 생성된 트리 아이템 요소
      */
-    createTreeNode(node) {
-        const li = document.createElement('li');
-        li.className = 'tree-item';
-        li.setAttribute('data-type', node.type);
-        li.dataset.guid = node.guid || ''; // GUID 저장
+    createRowElement(row, index) {
+        const { node, depth } = row;
+        const hasChildren = Boolean(node.children && node.children.length > 0);
+        const expanded = this.expandedNodes.has(node);
+        const visibility = this.visibilityStates.get(node) || 'visible';
+        
+        const selected = Boolean(node.guid && this.selectedGuids.has(node.guid));
+        
+        const item = document.createElement('div');
+        item.className = selected ? 'tree-item selected' : 'tree-item';
+        item.classList.toggle('focused', node === this.focusedNode);
+        item.id = `tree-row-${index}`;
+        item.setAttribute('role', 'treeitem');
+        item.setAttribute('aria-level', depth + 1);
+        item.setAttribute('aria-setsize', this.getSiblings(node).length);
+        item.setAttribute('aria-posinset', this.getSiblings(node).indexOf(node) + 1);
+        item.setAttribute('aria-selected', selected);
+        if (hasChildren) {
+            item.setAttribute('aria-expanded', expanded);
+        }
+        item.setAttribute('data-type', node.type);
+        item.dataset.guid = node.guid || ''; // GUID 저장
+        item.dataset.index = index;
+        item.style.top = `${index * ROW_HEIGHT}px`;
+        item.style.height = `${ROW_HEIGHT}px`;
+        item.style.paddingLeft = `${depth * ROW_INDENT}px`;
+        item.style.backgroundSize = `${depth * ROW_INDENT}px 100%`;
 
         const content = document.createElement('div');
         content.className = 'tree-item-content';
+        content.classList.toggle('expanded', expanded);
+        content.classList.toggle('hidden-in-3d', visibility === 'hidden');
+        content.classList.toggle('search-match', this.searchMatches.has(node));
+        content.classList.toggle('search-current', node === this.searchHits[this.searchIndex]);
 
         // 토글 버튼 (자식이 있는 경우에만)
         const toggle = document.createElement('div');
-        toggle.className = node.children && node.children.length > 0 ? 'tree-toggle collapsed' : 'tree-toggle leaf';
+        toggle.className = hasChildren ? (expanded ? 'tree-toggle expanded' : 'tree-toggle collapsed') : 'tree-toggle leaf';
         content.appendChild(toggle);
 
+        // 표시 체크박스 (하위 객체 전체를 3D에서 숨기기/표시)
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'tree-visibility';
+        checkbox.checked = visibility !== 'hidden';
+        checkbox.indeterminate = visibility === 'mixed';
+        checkbox.title = '3D 표시';
+        checkbox.tabIndex = -1; // 키보드 포커스는 트리 영역이 관리
+        checkbox.setAttribute('aria-label', '3D 표시');
+        content.appendChild(checkbox);
+
         // 타입 컨테이너 (라운드 네모 + 텍스트 오버랩)
         const typeContainer = document.createElement('div');
         typeContainer.className = 'tree-type-container';
@@ -87,44 +519,637 @@ export class TreeManager {
 
         typeContainer.appendChild(typeWrapper);
 
-        // 이름 (아래쪽, Guid 제외)
+        // 이름 (아래쪽, Guid 제외, 검색어와 일치하는 부분 강조)
         const name = document.createElement('div');
         name.className = 'tree-name';
-        name.textContent = node.name || '';
+        this.highlightName(name, node.name || '', this.searchMatches.get(node) || []);
         typeContainer.appendChild(name);
 
         content.appendChild(typeContainer);
+        item.appendChild(content);
+        return item;
+    }
 
-        // 클릭 이벤트 추가
-        content.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.toggleNode(li);
-            
-            // 객체 클릭 시 하이라이트 및 속성정보 표시
+    /**
+     * 이벤트가 일어난 행의 트리 데이터 노드
+     * @param {Event} event - DOM 이벤트
+     * @returns {Object|null} 트리 데이터 노드
+     */
+    getEventNode(event) {
+        const item = event.target.closest('.tree-item');
+        const row = item ? this.rows[Number(item.dataset.index)] : null;
+        return row ? row.node : null;
+    }
+
+    /**
+     * 행 클릭: 펼치기/접기, 선택, 평면도 층 전환
+     * @param {MouseEvent} e - 마우스 이벤트
+     */
+    onTreeClick(e) {
+        const node = this.getEventNode(e);
+        // 표시 체크박스는 change에서 처리
+        if (!node || e.target.classList.contains('tree-visibility')) {
+            return;
+        }
+        
+        // Ctrl/Shift 클릭은 다중 선택만 하고 펼치기/접기는 하지 않음
+        const mode = this.getSelectionMode(e);
+        this.focusedNode = node;
+        if (mode === 'replace') {
+            this.toggleNode(node);
+        }
+        
+        // 더블클릭의 두 번째 클릭은 선택을 다시 바꾸지 않음 (Ctrl 더블클릭이 선택을 두 번 전환하지 않도록)
+        if (e.detail > 1) {
+            return;
+        }
+        this.activateNode(node, mode);
+    }
+
+    /**
+     * 마우스/키 이벤트의 선택 방식 (Ctrl: 전환, Shift: 추가)
+     * @param {MouseEvent|KeyboardEvent} e - 이벤트
+     * @returns {string} 'replace', 'add', 'toggle'
+     */
+    getSelectionMode(e) {
+        return e.ctrlKey || e.metaKey ? 'toggle' : (e.shiftKey ? 'add' : 'replace');
+    }
+
+    /**
+     * 노드 선택 (3D 하이라이트와 속성정보 표시, 평면도 층 전환)
+     * @param {Object} node - 트리 데이터 노드
+     * @param {string} mode - 'replace', 'add', 'toggle'
+     */
+    activateNode(node, mode) {
+        // 객체 클릭 시 하이라이트 및 속성정보 표시 (그룹은 그룹에 속한 객체 전체 선택)
+        if (node.guid) {
+            this.selectNode(node.guid, mode);
+        } else if (node.group) {
+            this.selectNodes([...this.collectSubtreeGuids(node, new Set())], mode);
+        }
+        
+        // 평면도 보기 중에 층을 클릭하면 해당 층으로 전환
+        if (node.type === 'IfcBuildingStorey' && this.onStoreyActivated) {
+            this.onStoreyActivated(node.guid);
+        }
+    }
+
+    /**
+     * 트리 키보드 조작
+     * 위/아래: 이동, 오른쪽: 펼치기/첫 자식으로, 왼쪽: 접기/부모로, Home/End: 처음/끝, PageUp/PageDown: 한 화면씩,
+     * Enter: 선택 (Ctrl: 전환, Shift: 추가), 글자 입력: 이름으로 찾기
+     * @param {KeyboardEvent} e - 키보드 이벤트
+     */
+    onTreeKeyDown(e) {
+        if (this.rows.length === 0) {
+            return;
+        }
+        
+        const index = this.getFocusIndex();
+        const node = this.rows[index].node;
+        const hasChildren = node.children && node.children.length > 0;
+        const pageRows = Math.max(1, Math.floor(this.treeContent.clientHeight / ROW_HEIGHT) - 1);
+        
+        switch (e.key) {
+            case 'ArrowDown':
+                this.focusRow(index + 1);
+                break;
+            case 'ArrowUp':
+                this.focusRow(index - 1);
+                break;
+            case 'ArrowRight':
+                if (hasChildren && !this.expandedNodes.has(node)) {
+                    this.setNodeExpanded(node, true);
+                } else if (hasChildren) {
+                    this.focusRow(index + 1);
+                }
+                break;
+            case 'ArrowLeft':
+                if (this.expandedNodes.has(node)) {
+                    this.setNodeExpanded(node, false);
+                } else if (this.parentNodes.get(node)) {
+                    this.focusNode(this.parentNodes.get(node));
+                }
+                break;
+            case 'Home':
+                this.focusRow(0);
+                break;
+            case 'End':
+                this.focusRow(this.rows.length - 1);
+                break;
+            case 'PageDown':
+                this.focusRow(index + pageRows);
+                break;
+            case 'PageUp':
+                this.focusRow(index - pageRows);
+                break;
+            case 'Enter':
+                this.activateNode(node, this.getSelectionMode(e));
+                break;
+            default:
+                if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey || (e.key === ' ' && !this.typeahead)) {
+                    return;
+                }
+                this.findByTypeahead(e.key);
+        }
+        // 트리에서 처리한 키는 뷰어 단축키(F: 선택으로 이동, PageUp/PageDown: 층 이동 등)로 넘기지 않음
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    /**
+     * 키보드 포커스가 있는 행 위치 (포커스 노드가 접혀 안 보이면 보이는 상위 노드, 없으면 첫 행)
+     * @returns {number} 행 위치
+     */
+    getFocusIndex() {
+        for (let node = this.focusedNode; node; node = this.parentNodes.get(node)) {
+            const index = this.rows.findIndex(row => row.node === node);
+            if (index >= 0) {
+                return index;
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * 행으로 키보드 포커스 이동 (범위를 벗어나면 처음/끝 행)
+     * @param {number} index - 행 위치
+     */
+    focusRow(index) {
+        const row = this.rows[Math.min(Math.max(index, 0), this.rows.length - 1)];
+        if (row) {
+            this.focusNode(row.node);
+        }
+    }
+
+    /**
+     * 노드로 키보드 포커스 이동 (보이도록 필요한 만큼만 스크롤)
+     * @param {Object} node - 트리 데이터 노드
+     */
+    focusNode(node) {
+        this.focusedNode = node;
+        if (!this.revealNode(node, false)) {
+            this.renderRows();
+        }
+    }
+
+    /**
+     * 이름 입력 찾기: 입력한 글자로 시작하는 다음 행으로 이동 (이름이 없으면 타입으로)
+     * @param {string} key - 입력한 글자
+     */
+    findByTypeahead(key) {
+        clearTimeout(this.typeaheadTimer);
+        this.typeaheadTimer = setTimeout(() => {
+            this.typeahead = '';
+        }, TYPEAHEAD_RESET);
+        
+        // 같은 글자를 반복하면 그 글자로 시작하는 행을 차례로 이동
+        const repeated = this.typeahead.length > 0 && [...this.typeahead].every(char => char === key.toLowerCase());
+        this.typeahead = repeated ? key.toLowerCase() : this.typeahead + key.toLowerCase();
+        
+        const start = this.getFocusIndex();
+        const count = this.rows.length;
+        const offset = this.typeahead.length === 1 ? 1 : 0; // 이어 입력 중이면 현재 행부터
+        for (let i = 0; i < count; i++) {
+            const row = this.rows[(start + offset + i) % count];
+            const label = (row.node.name || row.node.type || '').toLowerCase();
+            if (label.startsWith(this.typeahead)) {
+                this.focusNode(row.node);
+                return;
+            }
+        }
+    }
+
+    /**
+     * 같은 부모를 가진 노드 목록 (aria-setsize/posinset 계산용)
+     * @param {Object} node - 트리 데이터 노드
+     * @returns {Array} 형제 노드 (자신 포함)
+     */
+    getSiblings(node) {
+        const parent = this.parentNodes.get(node);
+        return parent ? parent.children : this.treeData || [];
+    }
+
+    /**
+     * 행 더블클릭: 선택된 객체(층 등은 하위 객체 포함)로 카메라 이동
+     * 첫 클릭에서 이미 노드를 선택했으므로, Ctrl/Shift 더블클릭이면 함께 선택된 객체까지 화면에 맞춤
+     * @param {MouseEvent} e - 마우스 이벤트
+     */
+    onTreeDoubleClick(e) {
+        const node = this.getEventNode(e);
+        const viewer = window.webIFCViewerApp && window.webIFCViewerApp.threeViewer;
+        if (!node || !viewer || e.target.classList.contains('tree-visibility')) {
+            return;
+        }
+        
+        viewer.frameSelection();
+    }
+
+    /**
+     * 표시 체크박스 변경
+     * @param {Event} e - change 이벤트
+     */
+    onTreeChange(e) {
+        const node = this.getEventNode(e);
+        if (node && e.target.classList.contains('tree-visibility')) {
+            this.setNodeVisible(node, e.target.checked);
+        }
+    }
+
+    /**
+     * 우클릭: 선택되어 있지 않으면 선택한 뒤 숨기기/선택만 보기 메뉴 표시
+     * @param {MouseEvent} e - 마우스 이벤트
+     */
+    onTreeContextMenu(e) {
+        const node = this.getEventNode(e);
+        if (!node) {
+            return;
+        }
+        
+        e.preventDefault();
+        const guids = node.guid ? [node.guid] : [...this.collectSubtreeGuids(node, new Set())];
+        if (guids.length === 0 || !window.webIFCViewerApp || !window.webIFCViewerApp.visibilityManager) {
+            return;
+        }
+        
+        if (!guids.every(guid => this.selectedGuids.has(guid))) {
+            this.selectNodes(guids);
+        }
+        window.webIFCViewerApp.visibilityManager.openContextMenu(e.clientX, e.clientY);
+    }
+
+    /**
+     * GUID로 트리 데이터 노드를 찾을 수 있도록 색인
+     * @param {Array} parseDatas - 파싱된 트리 데이터
+     */
+    indexNodes(parseDatas) {
+        this.nodesByGuid.clear();
+        
+        const visit = (node) => {
             if (node.guid) {
-                this.selectNode(li, node.guid);
+                this.nodesByGuid.set(node.guid, node);
             }
-        });
+            (node.children || []).forEach(visit);
+        };
+        parseDatas.forEach(visit);
+    }
+
+    /**
+     * 객체의 IFC 타입과 이름 (트리 데이터에 없으면 속성정보의 '기본 정보'에서 조회)
+     * @param {string} guid - 객체 GUID
+     * @returns {{type: string, name: string}|null} 객체 정보 (찾지 못하면 null)
+     */
+    getElementInfo(guid) {
+        const node = this.nodesByGuid.get(guid);
+        const info = { type: node ? node.type : '', name: node ? node.name || '' : '' };
+        
+        if (!info.type || !info.name) {
+            this.findPropertiesByGuid(guid)
+                .filter(item => item.title === '기본 정보')
+                .forEach(item => {
+                    if (item.subTitle === 'IfcType' && !info.type) {
+                        info.type = item.value;
+                    } else if (item.subTitle === 'Name' && !info.name) {
+                        info.name = item.value;
+                    }
+                });
+        }
+        
+        return info.type || info.name ? info : null;
+    }
+
+    /**
+     * 객체와 그 하위 객체 전체의 GUID (트리에 없는 GUID는 그대로 포함)
+     * @param {Iterable<string>} guids - 객체 GUID 목록
+     * @returns {string[]} 중복 없는 GUID 배열
+     */
+    getSubtreeGuids(guids) {
+        const result = new Set();
+        
+        for (const guid of guids) {
+            const node = this.nodesByGuid.get(guid);
+            if (node) {
+                this.collectSubtreeGuids(node, result);
+            } else {
+                result.add(guid);
+            }
+        }
+        return [...result];
+    }
+
+    /**
+     * 노드와 하위 노드의 GUID 수집
+     * @param {Object} node - 트리 데이터 노드
+     * @param {Set<string>} result - GUID를 담을 집합
+     * @returns {Set<string>} result
+     */
+    collectSubtreeGuids(node, result) {
+        if (node.guid) {
+            result.add(node.guid);
+        }
+        (node.children || []).forEach(child => this.collectSubtreeGuids(child, result));
+        return result;
+    }
+
+    /**
+     * 노드 아래 객체 전체를 3D에서 표시/숨김
+     * @param {Object} node - 트리 데이터 노드
+     * @param {boolean} visible - 표시 여부
+     */
+    setNodeVisible(node, visible) {
+        const viewer = window.webIFCViewerApp && window.webIFCViewerApp.threeViewer;
+        if (!viewer) {
+            return;
+        }
+        
+        const guids = this.collectSubtreeGuids(node, new Set());
+        if (visible) {
+            viewer.showElements(guids);
+        } else {
+            viewer.hideElements(guids);
+        }
+    }
+
+    /**
+     * 3D 표시 상태를 체크박스에 반영
+     */
+    syncVisibility() {
+        this.updateVisibilityStates();
+        this.renderRows();
+    }
 
-        li.appendChild(content);
+    /**
+     * 노드별 3D 표시 상태 계산
+     * 형상이 있는 하위 요소가 모두 보이면 'visible', 모두 숨겨졌으면 'hidden', 섞여 있으면 'mixed'
+     */
+    updateVisibilityStates() {
+        this.visibilityStates.clear();
+        const viewer = window.webIFCViewerApp && window.webIFCViewerApp.threeViewer;
+        if (!viewer || !this.treeData) {
+            return;
+        }
+        
+        const visit = (node) => {
+            let visible = 0;
+            let hidden = 0;
+            if (node.guid && viewer.hasElement(node.guid)) {
+                if (viewer.isElementHidden(node.guid)) {
+                    hidden++;
+                } else {
+                    visible++;
+                }
+            }
+            (node.children || []).forEach(child => {
+                const counts = visit(child);
+                visible += counts.visible;
+                hidden += counts.hidden;
+            });
+            
+            if (hidden > 0) {
+                this.visibilityStates.set(node, visible > 0 ? 'mixed' : 'hidden');
+            }
+            return { visible, hidden };
+        };
+        this.treeData.forEach(visit);
+    }
 
-        // 자식 노드들
-        if (node.children && node.children.length > 0) {
-            const childrenContainer = document.createElement('ul');
-            childrenContainer.className = 'tree-children hidden';
+    /**
+     * 검색어 입력이 멈추면 검색 (입력마다 트리 전체를 다시 훑지 않도록)
+     */
+    scheduleSearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => this.applySearch(), SEARCH_DELAY);
+    }
 
-            node.children.forEach(child => {
-                const childItem = this.createTreeNode(child);
-                childrenContainer.appendChild(childItem);
+    /**
+     * 검색어와 타입 칩으로 검색 조건 함수 생성
+     * @returns {Function|null} (node) => { hit, ranges } 를 반환하는 함수 (검색 조건이 없거나 잘못된 정규식이면 null)
+     */
+    getSearchMatcher() {
+        const query = this.searchInput.value.trim();
+        const types = this.searchTypeFilter;
+        this.searchInput.classList.remove('invalid');
+        if (!query && types.size === 0) {
+            return null;
+        }
+        
+        let pattern = null;
+        if (query) {
+            try {
+                const source = this.searchRegex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                pattern = new RegExp(source, 'gi');
+            } catch (error) {
+                this.searchInput.classList.add('invalid');
+                return null;
+            }
+        }
+        
+        return (node) => {
+            if (!node.guid || (types.size > 0 && !types.has(node.type))) {
+                return { hit: false, ranges: [] };
+            }
+            if (!pattern) {
+                return { hit: true, ranges: [] };
+            }
+            
+            const ranges = this.findMatchRanges(pattern, node.name || '');
+            const hit = ranges.length > 0 || this.findMatchRanges(pattern, node.type || '').length > 0 || this.findMatchRanges(pattern, node.guid).length > 0;
+            return { hit, ranges };
+        };
+    }
+
+    /**
+     * 문자열에서 검색어와 일치하는 구간 찾기
+     * @param {RegExp} pattern - 전역(g) 정규식
+     * @param {string} text - 검색할 문자열
+     * @returns {Array} [[시작, 끝]] 구간 목록
+     */
+    findMatchRanges(pattern, text) {
+        const ranges = [];
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            // 빈 문자열과 일치하는 정규식(예: 'a*')이 멈추지 않도록 한 칸 이동
+            if (match[0].length === 0) {
+                pattern.lastIndex++;
+                continue;
+            }
+            ranges.push([match.index, match.index + match[0].length]);
+        }
+        return ranges;
+    }
+
+    /**
+     * 검색 적용: 일치하는 노드와 그 상위 노드만 표시하고, 상위 노드를 펼치고, 이름의 일치 부분을 강조
+     */
+    applySearch() {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = null;
+        const matcher = this.getSearchMatcher();
+        const hits = [];
+        this.searchMatches.clear();
+        this.searchVisibleNodes = matcher ? new Set() : null;
+        
+        const visit = (node) => {
+            const result = matcher(node);
+            if (result.hit) {
+                hits.push(node);
+                this.searchMatches.set(node, result.ranges);
+            }
+            
+            let childVisible = false;
+            (node.children || []).forEach(child => {
+                childVisible = visit(child) || childVisible;
             });
+            if (childVisible) {
+                this.expandedNodes.add(node);
+            }
+            
+            const visible = result.hit || childVisible;
+            if (visible) {
+                this.searchVisibleNodes.add(node);
+            }
+            return visible;
+        };
+        if (matcher) {
+            (this.treeData || []).forEach(visit);
+        }
+        
+        this.searchHits = hits;
+        this.searchIndex = -1;
+        this.updateSearchStatus();
+        this.refreshRows();
+    }
+
+    /**
+     * 이름 요소에 일치 구간을 <mark>로 강조
+     * @param {HTMLElement} element - 이름 요소
+     * @param {string} text - 이름
+     * @param {Array} ranges - [[시작, 끝]] 구간 목록
+     */
+    highlightName(element, text, ranges) {
+        let last = 0;
+        ranges.forEach(([start, end]) => {
+            element.appendChild(document.createTextNode(text.slice(last, start)));
+            element.appendChild(DOMUtils.createElement('mark', {}, text.slice(start, end)));
+            last = end;
+        });
+        element.appendChild(document.createTextNode(text.slice(last)));
+    }
 
-            li.appendChild(childrenContainer);
+    /**
+     * 검색 결과 수와 이동/선택 버튼 상태 갱신
+     */
+    updateSearchStatus() {
+        const count = this.searchHits.length;
+        const active = Boolean(this.searchInput.value.trim()) || this.searchTypeFilter.size > 0;
+        this.searchCount.textContent = !active ? '' : (this.searchIndex >= 0 ? `${this.searchIndex + 1}/${count}` : `${count}개`);
+        this.searchPrevBtn.disabled = count === 0;
+        this.searchNextBtn.disabled = count === 0;
+        this.searchSelectBtn.disabled = count === 0;
+    }
 
-            // 토글 이벤트
-            content.addEventListener('click', () => this.toggleNode(content, childrenContainer, toggle));
+    /**
+     * 다음/이전 검색 결과로 이동 (트리에서 보이도록 스크롤하고 선택)
+     * @param {number} direction - 1(다음) 또는 -1(이전)
+     */
+    stepSearch(direction) {
+        // 입력 대기 중인 검색어가 있으면 먼저 적용
+        if (this.searchTimer) {
+            this.applySearch();
+        }
+        const count = this.searchHits.length;
+        if (count === 0) {
+            return;
+        }
+        
+        this.searchIndex = this.searchIndex < 0 && direction < 0 ? count - 1 : (this.searchIndex + direction + count) % count;
+        const node = this.searchHits[this.searchIndex];
+        this.revealNode(node);
+        this.selectNode(node.guid);
+        this.updateSearchStatus();
+    }
+
+    /**
+     * 검색 결과 전체를 3D에서 선택
+     */
+    selectSearchHits() {
+        if (this.searchHits.length > 0) {
+            this.selectNodes(this.searchHits.map(node => node.guid));
         }
+    }
 
-        return li;
+    /**
+     * 검색어와 타입 칩 초기화
+     */
+    clearSearch() {
+        this.searchInput.value = '';
+        this.searchTypeFilter.clear();
+        this.searchTypes.querySelectorAll('.tree-search-chip.active').forEach(chip => chip.classList.remove('active'));
+        this.applySearch();
+    }
+
+    /**
+     * 현재 트리에 있는 IFC 타입으로 타입 칩 목록 갱신 (이미 선택한 칩은 유지)
+     */
+    updateSearchTypes() {
+        const counts = new Map();
+        this.collectElementNodes(this.treeData || []).forEach(node => {
+            counts.set(node.type, (counts.get(node.type) || 0) + 1);
+        });
+        
+        this.searchTypeFilter.forEach(type => {
+            if (!counts.has(type)) {
+                this.searchTypeFilter.delete(type);
+            }
+        });
+        
+        this.searchTypes.innerHTML = '';
+        [...counts.keys()].sort().forEach(type => {
+            const chip = DOMUtils.createElement('button', {
+                type: 'button',
+                className: this.searchTypeFilter.has(type) ? 'tree-search-chip active' : 'tree-search-chip',
+                title: `${type} (${counts.get(type)}개)`
+            }, type.replace(/^Ifc/, ''));
+            chip.style.borderColor = this.getTypeColor(type);
+            chip.addEventListener('click', () => {
+                if (this.searchTypeFilter.has(type)) {
+                    this.searchTypeFilter.delete(type);
+                } else {
+                    this.searchTypeFilter.add(type);
+                }
+                chip.classList.toggle('active', this.searchTypeFilter.has(type));
+                this.applySearch();
+            });
+            this.searchTypes.appendChild(chip);
+        });
+    }
+
+    /**
+     * 층(IfcBuildingStorey) 목록 (트리 순서)
+     * @returns {Array} [{ guid, name, guids }] - guids는 층 아래 모든 하위 객체의 GUID
+     */
+    getStoreys() {
+        const storeys = [];
+        
+        const collectGuids = (node, guids) => {
+            if (node.guid) {
+                guids.push(node.guid);
+            }
+            (node.children || []).forEach(child => collectGuids(child, guids));
+            return guids;
+        };
+        
+        const findStoreys = (node) => {
+            if (node.type === 'IfcBuildingStorey') {
+                storeys.push({ guid: node.guid, name: node.name || node.guid, guids: collectGuids(node, []) });
+                return;
+            }
+            (node.children || []).forEach(findStoreys);
+        };
+        
+        (this.spatialData || []).forEach(findStoreys);
+        return storeys;
     }
 
     /**
@@ -175,106 +1200,148 @@ export class TreeManager {
 
     /**
      * 노드 펼치기/접기 토글
+     * @param {Object} node - 트리 데이터 노드
      */
-    toggleNode(liElement) {
-        const content = liElement.querySelector('.tree-item-content');
-        const childrenContainer = liElement.querySelector('.tree-children');
-        const toggle = liElement.querySelector('.tree-toggle');
-        
+    toggleNode(node) {
+        this.setNodeExpanded(node, !this.expandedNodes.has(node));
+    }
+
+    /**
+     * 노드 펼치기/접기
+     * @param {Object} node - 트리 데이터 노드
+     * @param {boolean} expanded - 펼칠지 여부
+     */
+    setNodeExpanded(node, expanded) {
         // 자식이 없는 경우 토글하지 않음
-        if (!childrenContainer || !toggle || toggle.classList.contains('leaf')) {
+        if (!node.children || node.children.length === 0 || this.expandedNodes.has(node) === expanded) {
             return;
         }
         
-        const isExpanded = !childrenContainer.classList.contains('hidden');
-        
-        if (isExpanded) {
-            childrenContainer.classList.add('hidden');
-            toggle.classList.remove('expanded');
-            toggle.classList.add('collapsed');
-            content.classList.remove('expanded');
+        if (expanded) {
+            this.expandedNodes.add(node);
         } else {
-            childrenContainer.classList.remove('hidden');
-            toggle.classList.remove('collapsed');
-            toggle.classList.add('expanded');
-            content.classList.add('expanded');
+            this.expandedNodes.delete(node);
         }
+        this.refreshRows();
     }
 
     /**
-     * 모든 노드 펼치기
+     * 노드가 보이도록 상위 노드를 펼치고 스크롤
+     * @param {Object} node - 트리 데이터 노드
+     * @param {boolean} center - 화면 밖에 있으면 가운데로 스크롤 (false면 화면 가장자리까지만)
+     * @returns {boolean} 검색 필터에 가려져 보일 수 없으면 false
      */
-    expandAllNodes() {
-        const toggles = this.treeContent.querySelectorAll('.tree-toggle');
-        const childrenContainers = this.treeContent.querySelectorAll('.tree-children');
-        const contents = this.treeContent.querySelectorAll('.tree-item-content');
-
-        toggles.forEach(toggle => {
-            if (!toggle.classList.contains('leaf')) {
-                toggle.classList.remove('collapsed');
-                toggle.classList.add('expanded');
+    revealNode(node, center = true) {
+        if (this.searchVisibleNodes && !this.searchVisibleNodes.has(node)) {
+            return false;
+        }
+        
+        for (let parent = this.parentNodes.get(node); parent; parent = this.parentNodes.get(parent)) {
+            this.expandedNodes.add(parent);
+        }
+        this.refreshRows();
+        
+        const index = this.rows.findIndex(row => row.node === node);
+        if (index < 0 || !this.treeViewport) {
+            return false;
+        }
+        
+        // 이미 화면 안에 있으면 그대로
+        const top = this.treeViewport.offsetTop + index * ROW_HEIGHT;
+        const { scrollTop, clientHeight } = this.treeContent;
+        if (top < scrollTop || top + ROW_HEIGHT > scrollTop + clientHeight) {
+            if (center) {
+                this.treeContent.scrollTop = top - (clientHeight - ROW_HEIGHT) / 2;
+            } else {
+                this.treeContent.scrollTop = top < scrollTop ? top : top + ROW_HEIGHT - clientHeight;
             }
-        });
-
-        childrenContainers.forEach(container => {
-            container.classList.remove('hidden');
-        });
+            this.renderRows();
+        }
+        return true;
+    }
 
-        contents.forEach(content => {
-            if (content.querySelector('.tree-toggle.expanded')) {
-                content.classList.add('expanded');
+    /**
+     * 모든 노드 펼치기
+     */
+    expandAllNodes() {
+        const visit = (node) => {
+            if (node.children && node.children.length > 0) {
+                this.expandedNodes.add(node);
+                node.children.forEach(visit);
             }
-        });
+        };
+        (this.treeData || []).forEach(visit);
+        this.refreshRows();
     }
 
     /**
      * 모든 노드 접기
      */
     collapseAllNodes() {
-        const toggles = this.treeContent.querySelectorAll('.tree-toggle');
-        const childrenContainers = this.treeContent.querySelectorAll('.tree-children');
-        const contents = this.treeContent.querySelectorAll('.tree-item-content');
-
-        toggles.forEach(toggle => {
-            if (!toggle.classList.contains('leaf')) {
-                toggle.classList.remove('expanded');
-                toggle.classList.add('collapsed');
-            }
-        });
-
-        childrenContainers.forEach(container => {
-            container.classList.add('hidden');
-        });
-
-        contents.forEach(content => {
-            content.classList.remove('expanded');
-        });
+        this.expandedNodes.clear();
+        this.refreshRows();
     }
 
     /**
      * 노드 선택 및 하이라이트
-     * @param {HTMLElement} nodeElement - 선택된 노드 요소
+     * 3D 뷰어의 선택을 바꾸고, 노드 표시와 속성정보는 syncSelection에서 갱신
      * @param {string} guid - 선택된 객체의 GUID
+     * @param {string} mode - 'replace', 'add', 'toggle'
      */
-    selectNode(nodeElement, guid) {
-        // 기존 선택 제거
-        this.clearSelection();
+    selectNode(guid, mode = 'replace') {
+        this.selectNodes([guid], mode);
+    }
+
+    /**
+     * 여러 노드 선택 (그룹 노드 클릭 등)
+     * @param {string[]} guids - 선택할 객체 GUID 목록
+     * @param {string} mode - 'replace', 'add', 'toggle'
+     */
+    selectNodes(guids, mode = 'replace') {
+        if (window.webIFCViewerApp && window.webIFCViewerApp.threeViewer) {
+            this.selectingFromTree = true;
+            window.webIFCViewerApp.threeViewer.selectElements(guids, mode);
+            this.selectingFromTree = false;
+            return;
+        }
         
-        // 새 노드 선택
-        nodeElement.classList.add('selected');
+        // 3D 뷰어가 없으면 트리에서만 선택
+        this.syncSelection(guids, guids[guids.length - 1] || null);
+    }
+
+    /**
+     * 선택된 객체들을 트리에 표시하고, 대표 객체가 바뀌면 속성정보 갱신
+     * 뷰포트에서 선택했으면 대표 객체 노드가 보이도록 펼치고 스크롤
+     * @param {string[]} guids - 선택된 객체 GUID 목록
+     * @param {string|null} primaryGuid - 속성정보를 표시할 객체 GUID
+     */
+    syncSelection(guids, primaryGuid) {
+        this.selectedGuids = new Set(guids);
+        const node = primaryGuid && primaryGuid !== this.propertiesGuid && !this.selectingFromTree
+            ? this.displayNodesByGuid.get(primaryGuid)
+            : null;
+        if (!node || !this.revealNode(node)) {
+            this.renderRows();
+        }
+        
+        if (primaryGuid === this.propertiesGuid) {
+            return;
+        }
         
-        // 속성정보 요청
-        this.requestProperties(guid);
+        this.propertiesGuid = primaryGuid;
+        if (primaryGuid) {
+            this.requestProperties(primaryGuid);
+        } else {
+            this.showEmptyProperties();
+        }
     }
 
     /**
      * 선택 상태 초기화
      */
     clearSelection() {
-        const selectedNodes = this.treeContent.querySelectorAll('.tree-item.selected');
-        selectedNodes.forEach(node => {
-            node.classList.remove('selected');
-        });
+        this.selectedGuids.clear();
+        this.renderRows();
     }
 
     /**
@@ -307,16 +1374,26 @@ export class TreeManager {
      * @returns {Array} 속성정보 배열
      */
     findPropertiesByGuid(guid) {
-        if (window.webIFCViewerApp && window.webIFCViewerApp.ifcPropertyData) {
-            const allProperties = window.webIFCViewerApp.ifcPropertyData.properties || [];
-            
-            // 해당 GUID의 모든 속성정보 필터링
-            const guidProperties = allProperties.filter(item => item.guid === guid);
-            
-            return guidProperties;
+        const items = this.getPropertyItems();
+        if (!items) {
+            this.propertiesByGuid.clear();
+            this.propertyIndexSource = null;
+            return [];
+        }
+        
+        // 마우스 올림 툴팁 등에서 자주 호출되므로 속성정보가 바뀔 때 한 번만 GUID별로 색인
+        if (this.propertyIndexSource !== items) {
+            this.propertiesByGuid.clear();
+            items.forEach(item => {
+                if (!this.propertiesByGuid.has(item.guid)) {
+                    this.propertiesByGuid.set(item.guid, []);
+                }
+                this.propertiesByGuid.get(item.guid).push(item);
+            });
+            this.propertyIndexSource = items;
         }
         
-        return [];
+        return this.propertiesByGuid.get(guid) || [];
     }
 
 
@@ -331,26 +1408,18 @@ export class TreeManager {
     }
 
     /**
-     * GUID로 노드 찾기 및 선택
+     * GUID로 노드 찾기 및 선택 (검색 필터에 가려져 있으면 검색을 지우고 노드가 보이도록 스크롤)
      * @param {string} guid - 찾을 GUID
      */
     selectNodeByGuid(guid) {
-        const nodeElement = this.treeContent.querySelector(`[data-guid="${guid}"]`);
-        if (nodeElement) {
-            this.selectNode(nodeElement, guid);
+        const node = this.displayNodesByGuid.get(guid);
+        if (node && this.searchVisibleNodes && !this.searchVisibleNodes.has(node)) {
+            this.clearSearch();
         }
         
-        // 3D 모델에서도 하이라이트
-        this.highlightObjectIn3D(guid);
-    }
-    
-    /**
-     * 3D 모델에서 객체 하이라이트
-     * @param {string} guid - 객체 GUID
-     */
-    highlightObjectIn3D(guid) {
-        if (window.webIFCViewerApp && window.webIFCViewerApp.threeViewer && window.webIFCViewerApp.threeViewer.eventManager) {
-            window.webIFCViewerApp.threeViewer.eventManager.highlightObject(guid);
+        this.selectNode(guid);
+        if (node) {
+            this.revealNode(node);
         }
     }
 
@@ -0,0 +1,208 @@
+/**
+ * 시점 관리 클래스
+ * 시점 패널에서 미리 정의된 시점(위, 앞, 뒤, 왼쪽, 오른쪽, 등각)으로 이동하고,
+ * 현재 카메라 시점을 이름 붙여 저장/적용/삭제 (이동은 카메라 애니메이션으로 진행)
+ * 저장한 시점은 모델 파일명별로 localStorage에 저장
+ */
+import { DOMUtils } from './utils/DOMUtils.js';
+
+const STORAGE_PREFIX = 'webifcviewer:viewpoints:';
+
+export class ViewpointManager {
+    /**
+     * @param {Object} app - WebIFCViewerApp 인스턴스 (threeViewer, currentLoad, showError, showInfo 사용)
+     */
+    constructor(app) {
+        this.app = app;
+        this.viewer = app.threeViewer;
+        this.button = DOMUtils.$('#toggleViewpointsBtn');
+        this.panel = DOMUtils.$('#viewpointPanel');
+        this.closeBtn = DOMUtils.$('#viewpointCloseBtn');
+        this.presetButtons = this.panel.querySelectorAll('[data-view]');
+        this.nameInput = DOMUtils.$('#viewpointName');
+        this.saveBtn = DOMUtils.$('#viewpointSaveBtn');
+        this.list = DOMUtils.$('#viewpointList');
+
+        this.init();
+    }
+
+    init() {
+        this.button.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.hide());
+        this.presetButtons.forEach(button => {
+            button.addEventListener('click', () => this.viewer.setPresetView(button.dataset.view));
+        });
+        this.saveBtn.addEventListener('click', () => this.saveCurrentView());
+        this.nameInput.addEventListener('input', () => this.render());
+        this.nameInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                this.saveCurrentView();
+            }
+        });
+        this.render();
+    }
+
+    /**
+     * 패널 표시 여부
+     * @returns {boolean} 표시 여부
+     */
+    get isVisible() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    /**
+     * 패널 보이기/숨기기 토글
+     */
+    toggle() {
+        if (this.isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    /**
+     * 패널 표시
+     */
+    show() {
+        this.panel.classList.remove('hidden');
+        this.button.classList.add('active');
+        this.render();
+    }
+
+    /**
+     * 패널 숨기기
+     */
+    hide() {
+        this.panel.classList.add('hidden');
+        this.button.classList.remove('active');
+    }
+
+    /**
+     * 현재 모델의 시점 저장 키
+     * @returns {string|null} localStorage 키 (모델이 없으면 null)
+     */
+    getStorageKey() {
+        const fileName = this.app.currentLoad && this.app.currentLoad.fileName;
+        return fileName ? STORAGE_PREFIX + fileName : null;
+    }
+
+    /**
+     * 현재 모델의 저장된 시점 목록
+     * @returns {Array} [{ name, view }]
+     */
+    loadViewpoints() {
+        const key = this.getStorageKey();
+        if (!key) {
+            return [];
+        }
+
+        try {
+            return JSON.parse(localStorage.getItem(key)) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * 현재 모델의 시점 목록 저장
+     * @param {Array} viewpoints - [{ name, view }]
+     */
+    storeViewpoints(viewpoints) {
+        const key = this.getStorageKey();
+        if (!key) {
+            return;
+        }
+
+        if (viewpoints.length > 0) {
+            localStorage.setItem(key, JSON.stringify(viewpoints));
+        } else {
+            localStorage.removeItem(key);
+        }
+    }
+
+    /**
+     * 현재 카메라 시점을 입력한 이름으로 저장 (같은 이름이 있으면 덮어씀)
+     */
+    saveCurrentView() {
+        const name = this.nameInput.value.trim();
+        if (!name || !this.getStorageKey()) {
+            return;
+        }
+
+        const view = this.viewer.getCameraView();
+        const viewpoints = this.loadViewpoints();
+        const existing = viewpoints.find(viewpoint => viewpoint.name === name);
+        if (existing) {
+            existing.view = view;
+        } else {
+            viewpoints.push({ name, view });
+        }
+
+        try {
+            this.storeViewpoints(viewpoints);
+        } catch (error) {
+            console.error('시점 저장 오류:', error);
+            this.app.showError('시점을 저장하지 못했습니다.');
+            return;
+        }
+
+        this.nameInput.value = '';
+        this.app.showInfo(`시점 '${name}'을(를) 저장했습니다.`);
+        this.render();
+    }
+
+    /**
+     * 저장된 시점 삭제
+     * @param {string} name - 시점 이름
+     */
+    deleteViewpoint(name) {
+        this.storeViewpoints(this.loadViewpoints().filter(viewpoint => viewpoint.name !== name));
+        this.render();
+    }
+
+    /**
+     * 저장 버튼 상태와 저장된 시점 목록 렌더링
+     */
+    render() {
+        const hasModel = Boolean(this.getStorageKey());
+        this.nameInput.disabled = !hasModel;
+        this.saveBtn.disabled = !hasModel || !this.nameInput.value.trim();
+
+        const viewpoints = this.loadViewpoints();
+        this.list.innerHTML = '';
+        if (viewpoints.length === 0) {
+            this.list.appendChild(DOMUtils.createElement('li', { className: 'selection-set-empty' }, '저장된 시점이 없습니다.'));
+            return;
+        }
+
+        viewpoints.forEach(viewpoint => this.list.appendChild(this.createViewpointItem(viewpoint)));
+    }
+
+    /**
+     * 저장된 시점 항목 요소 생성
+     * @param {Object} viewpoint - 저장된 시점 ({ name, view })
+     * @returns {HTMLElement} 항목 요소
+     */
+    createViewpointItem(viewpoint) {
+        const item = DOMUtils.createElement('li', { className: 'selection-set-item' });
+
+        const applyBtn = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'selection-set-name',
+            title: '이 시점으로 이동'
+        }, viewpoint.name);
+        applyBtn.addEventListener('click', () => this.viewer.setCameraView(viewpoint.view));
+
+        const deleteBtn = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'selection-set-delete',
+            title: '삭제'
+        }, '✕');
+        deleteBtn.addEventListener('click', () => this.deleteViewpoint(viewpoint.name));
+
+        item.appendChild(applyBtn);
+        item.appendChild(deleteBtn);
+        return item;
+    }
+}
@@ -0,0 +1,139 @@
+/**
+ * 요소 표시 관리 클래스
+ * 뷰포트/트리 우클릭 메뉴에서 선택 숨기기, 선택만 보기, 나머지 반투명, 모두 보기를 실행
+ * 트리에서 층/건물 등 상위 객체를 선택했으면 하위 객체 전체에 적용
+ * 어디서 바꾸든 표시 상태를 트리 체크박스에 반영
+ */
+import { DOMUtils } from './utils/DOMUtils.js';
+
+export class VisibilityManager {
+    /**
+     * @param {Object} app - WebIFCViewerApp 인스턴스 (threeViewer, treeManager 사용)
+     */
+    constructor(app) {
+        this.app = app;
+        this.viewer = app.threeViewer;
+        this.menu = DOMUtils.$('#elementContextMenu');
+
+        this.init();
+    }
+
+    init() {
+        this.viewer.onContextMenu = (event) => this.openContextMenu(event.clientX, event.clientY);
+        this.viewer.onVisibilityChange = () => this.app.treeManager.syncVisibility();
+
+        // 메뉴 밖을 누르거나 Esc, 창 크기 변경 시 닫기
+        document.addEventListener('mousedown', (e) => {
+            if (!this.menu.contains(e.target)) {
+                this.closeContextMenu();
+            }
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !this.menu.classList.contains('hidden')) {
+                e.preventDefault();
+                this.closeContextMenu();
+            }
+        });
+        window.addEventListener('resize', () => this.closeContextMenu());
+        window.addEventListener('blur', () => this.closeContextMenu());
+    }
+
+    /**
+     * 메뉴를 적용할 객체 GUID (선택된 객체와 그 하위 객체)
+     * @returns {string[]} GUID 배열
+     */
+    getTargetIds() {
+        return this.app.treeManager.getSubtreeGuids(this.viewer.getSelection());
+    }
+
+    /**
+     * 선택된 객체 숨기기
+     */
+    hideSelected() {
+        this.viewer.hideElements(this.getTargetIds());
+    }
+
+    /**
+     * 선택된 객체만 표시
+     */
+    isolateSelected() {
+        this.viewer.isolateElements(this.getTargetIds());
+    }
+
+    /**
+     * 선택된 객체 외에는 반투명하게 표시
+     */
+    ghostOthers() {
+        this.viewer.ghostOtherElements(this.getTargetIds());
+    }
+
+    /**
+     * 모든 객체 표시 (반투명 모드 해제 포함)
+     */
+    showAll() {
+        this.viewer.showAllElements();
+    }
+
+    /**
+     * 우클릭 메뉴 열기 (현재 선택/표시 상태에 맞게 항목 구성)
+     * @param {number} x - 화면 X (px)
+     * @param {number} y - 화면 Y (px)
+     */
+    openContextMenu(x, y) {
+        const hasSelection = this.viewer.getSelection().length > 0;
+        const ghostActive = this.viewer.isGhostActive();
+        const items = [
+            { label: '선택으로 이동 (F)', disabled: !hasSelection, action: () => this.viewer.frameSelection() },
+            null,
+            { label: '선택 숨기기', disabled: !hasSelection, action: () => this.hideSelected() },
+            { label: '선택만 보기', disabled: !hasSelection, action: () => this.isolateSelected() },
+            ghostActive
+                ? { label: '반투명 해제', disabled: false, action: () => this.viewer.clearGhost() }
+                : { label: '나머지 반투명', disabled: !hasSelection, action: () => this.ghostOthers() },
+            null,
+            { label: '모두 보기', disabled: !this.viewer.hasHiddenElements() && !ghostActive, action: () => this.showAll() }
+        ];
+
+        this.menu.innerHTML = '';
+        items.forEach(item => this.menu.appendChild(item ? this.createMenuItem(item) : DOMUtils.createElement('li', {
+            className: 'context-menu-separator',
+            role: 'separator'
+        })));
+        this.menu.classList.remove('hidden');
+
+        // 화면 밖으로 나가지 않도록 위치 조정
+        const left = Math.min(x, window.innerWidth - this.menu.offsetWidth - 4);
+        const top = Math.min(y, window.innerHeight - this.menu.offsetHeight - 4);
+        this.menu.style.left = `${Math.max(0, left)}px`;
+        this.menu.style.top = `${Math.max(0, top)}px`;
+    }
+
+    /**
+     * 우클릭 메뉴 닫기
+     */
+    closeContextMenu() {
+        this.menu.classList.add('hidden');
+    }
+
+    /**
+     * 메뉴 항목 요소 생성
+     * @param {Object} item - 항목 ({ label, disabled, action })
+     * @returns {HTMLElement} 항목 요소
+     */
+    createMenuItem(item) {
+        const li = DOMUtils.createElement('li', { role: 'none' });
+        const button = DOMUtils.createElement('button', {
+            type: 'button',
+            className: 'context-menu-item',
+            role: 'menuitem'
+        }, item.label);
+        button.disabled = item.disabled;
+        button.addEventListener('click', () => {
+            this.closeContextMenu();
+            item.action();
+        });
+
+        li.appendChild(button);
+        return li;
+    }
+}
@@ -0,0 +1,185 @@
+/**
+ * 카메라 애니메이션 모듈
+ * 카메라 위치/방향, 타겟, 직교 카메라 줌(원근 카메라는 시야각)을 시작 상태에서 끝 상태로 부드럽게 이동
+ * 방향은 쿼터니언 구면 보간, 타겟 기준 거리는 선형 보간, 직교 줌은 배율이 일정하게 변하도록 기하 보간
+ * 뷰어의 렌더 루프에서 update를 호출해 진행하며, 사용자가 마우스로 조작하면 현재 위치에서 멈춤
+ */
+import * as THREE from 'three';
+
+const DEFAULT_DURATION = 500; // 기본 애니메이션 시간 (ms)
+
+/**
+ * 천천히 시작해서 천천히 끝나는 이징
+ * @param {number} t - 진행률 (0~1)
+ * @returns {number} 보간 비율 (0~1)
+ */
+export function easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+export class CameraAnimator {
+    /**
+     * @param {THREE.Camera} camera - 움직일 카메라
+     * @param {SimpleOrbitControls} controls - 타겟을 함께 갱신할 컨트롤
+     */
+    constructor(camera, controls) {
+        this.camera = camera;
+        this.controls = controls;
+        this.animation = null; // { from, to, startTime, duration, easing, onCancel }
+    }
+
+    /**
+     * 애니메이션 진행 중인지 여부
+     * @returns {boolean} 진행 여부
+     */
+    isActive() {
+        return this.animation !== null;
+    }
+
+    /**
+     * 현재 카메라 상태 저장
+     * @returns {Object} 카메라 상태 { position, quaternion, up, target, zoom, fov }
+     */
+    capture() {
+        return {
+            position: this.camera.position.clone(),
+            quaternion: this.camera.quaternion.clone(),
+            up: this.camera.up.clone(),
+            target: this.controls.target.clone(),
+            zoom: this.camera.isOrthographicCamera ? this.camera.top : null,
+            fov: this.camera.isPerspectiveCamera ? this.camera.fov : null
+        };
+    }
+
+    /**
+     * 애니메이션 시작 (진행 중인 애니메이션은 현재 위치에서 이어서 시작)
+     * 카메라는 즉시 시작 상태로 돌아가고, 이후 렌더 프레임마다 끝 상태로 이동
+     * @param {Object} from - 시작 상태 (capture 결과)
+     * @param {Object} to - 끝 상태 (capture 결과)
+     * @param {Object} options - 옵션
+     * @param {number} options.duration - 애니메이션 시간 (ms, 0이면 바로 끝 상태로)
+     * @param {Function} options.easing - 이징 함수 (t) => 비율
+     * @param {Function} options.onCancel - 사용자 조작으로 중간에 멈췄을 때 콜백
+     */
+    start(from, to, { duration = DEFAULT_DURATION, easing = easeInOutCubic, onCancel = null } = {}) {
+        this.animation = null;
+
+        // 모션 줄이기 설정을 켠 사용자는 애니메이션 없이 이동
+        const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        if (duration <= 0 || reduceMotion) {
+            this.applyState(to);
+            return;
+        }
+
+        this.animation = {
+            from,
+            to,
+            // 카메라 기준 좌표로 본 타겟→카메라 오프셋 (카메라가 타겟을 정확히 보지 않아도 보간 가능)
+            fromOffset: from.position.clone().sub(from.target).applyQuaternion(from.quaternion.clone().invert()),
+            toOffset: to.position.clone().sub(to.target).applyQuaternion(to.quaternion.clone().invert()),
+            startTime: performance.now(),
+            duration,
+            easing,
+            onCancel
+        };
+        this.applyState(from);
+    }
+
+    /**
+     * 애니메이션 한 프레임 진행 (렌더 루프에서 호출)
+     * @param {number} time - 현재 시각 (ms)
+     */
+    update(time = performance.now()) {
+        const animation = this.animation;
+        if (!animation) {
+            return;
+        }
+
+        const t = Math.min((time - animation.startTime) / animation.duration, 1);
+        if (t >= 1) {
+            this.finish();
+            return;
+        }
+
+        const { from, to } = animation;
+        const k = animation.easing(t);
+
+        this.camera.quaternion.slerpQuaternions(from.quaternion, to.quaternion, k);
+        this.controls.target.lerpVectors(from.target, to.target, k);
+        this.camera.position.lerpVectors(animation.fromOffset, animation.toOffset, k)
+            .applyQuaternion(this.camera.quaternion)
+            .add(this.controls.target);
+
+        this.camera.up.lerpVectors(from.up, to.up, k);
+        if (this.camera.up.lengthSq() < 1e-6) {
+            this.camera.up.copy(to.up);
+        }
+        this.camera.up.normalize();
+
+        if (this.camera.isOrthographicCamera) {
+            this.setOrthographicZoom(from.zoom * Math.pow(to.zoom / from.zoom, k));
+        } else if (this.camera.isPerspectiveCamera) {
+            this.camera.fov = THREE.MathUtils.lerp(from.fov, to.fov, k);
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * 애니메이션을 현재 위치에서 멈춤 (사용자 조작 시)
+     */
+    cancel() {
+        const animation = this.animation;
+        if (!animation) {
+            return;
+        }
+
+        this.animation = null;
+        if (animation.onCancel) {
+            animation.onCancel();
+        }
+    }
+
+    /**
+     * 애니메이션을 바로 끝 상태로 완료
+     */
+    finish() {
+        const animation = this.animation;
+        if (!animation) {
+            return;
+        }
+
+        this.animation = null;
+        this.applyState(animation.to);
+    }
+
+    /**
+     * 카메라 상태 적용
+     * @param {Object} state - 카메라 상태 (capture 결과)
+     */
+    applyState(state) {
+        this.camera.position.copy(state.position);
+        this.camera.quaternion.copy(state.quaternion);
+        this.camera.up.copy(state.up);
+        this.controls.target.copy(state.target);
+
+        if (this.camera.isOrthographicCamera) {
+            this.setOrthographicZoom(state.zoom);
+        } else if (this.camera.isPerspectiveCamera) {
+            this.camera.fov = state.fov;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+
+    /**
+     * 직교 카메라 줌 설정 (화면 비율은 현재 카메라 기준으로 유지)
+     * @param {number} zoom - frustum 높이의 절반 (camera.top)
+     */
+    setOrthographicZoom(zoom) {
+        const aspect = (this.camera.right - this.camera.left) / (this.camera.top - this.camera.bottom);
+        this.camera.top = zoom;
+        this.camera.bottom = -zoom;
+        this.camera.left = -zoom * aspect;
+        this.camera.right = zoom * aspect;
+        this.camera.updateProjectionMatrix();
+    }
+}
@@ -29,6 +29,7 @@ export class SimpleOrbitControls {
         };
         
         // 설정
+        this.enabled = true; // false면 마우스 회전/팬을 시작하지 않음 (섹션박스 핸들 드래그 등)
         this.enableDamping = true;
         this.dampingFactor = 0.05;
         this.enableZoom = true;
@@ -56,8 +57,13 @@ export class SimpleOrbitControls {
     }
     
     onMouseDown(event) {
+        if (!this.enabled) return;
+        
         event.preventDefault();
         
+        // 카메라 이동 애니메이션 중이면 현재 위치에서 멈추고 사용자 조작을 따름
+        this.viewer.stopCameraAnimation();
+        
         switch (event.button) {
             case this.mouseButtons.LEFT:
                 this.state.leftButton = true;
@@ -95,7 +101,7 @@ export class SimpleOrbitControls {
         // 좌클릭으로 회전 (범위 제한 있지만 범위로 돌아올 수 있도록 허용)
         if (this.state.leftButton && this.enableRotate) {
             // 현재 카메라의 phi 각도 확인
-            const modelCenter = this.viewer.getModelCenter();
+            const modelCenter = this.viewer.getRotationCenter();
             const spherical = new THREE.Spherical();
             spherical.setFromVector3(this.camera.position.clone().sub(modelCenter));
             
@@ -140,6 +146,13 @@ export class SimpleOrbitControls {
         this.state.panMode = false;
     }
     
+    /**
+     * 진행 중인 회전/팬 취소 (박스 선택 등 다른 조작이 드래그를 가져갈 때)
+     */
+    cancel() {
+        this.onMouseUp();
+    }
+    
     onKeyUp(event) {
         // Shift 키를 놓으면 panMode 상태 초기화
         if (event.key === 'Shift') {
@@ -151,6 +164,7 @@ export class SimpleOrbitControls {
         if (!this.enableZoom) return;
         
         event.preventDefault();
+        this.viewer.stopCameraAnimation();
         
         if (this.camera.isOrthographicCamera) {
             this.zoomOrthographic(event.deltaY);
@@ -185,7 +199,7 @@ export class SimpleOrbitControls {
     }
     
     rotate(deltaX, deltaY) {
-        const modelCenter = this.viewer.getModelCenter();
+        const modelCenter = this.viewer.getRotationCenter();
         
         // 구면 좌표계 사용 (카메라 중심 회전)
         const spherical = new THREE.Spherical();
@@ -211,7 +225,8 @@ export class SimpleOrbitControls {
         newPosition.setFromSpherical(spherical).add(modelCenter);
         this.camera.position.copy(newPosition);
         
-        // 카메라는 모델 센터를 바라봄
+        // 카메라는 모델 센터를 바라봄 (월드 Y축 기준 회전이므로 위 시점 등에서 바꾼 화면 위쪽도 Y로 복원)
+        this.camera.up.set(0, 1, 0);
         this.camera.lookAt(modelCenter);
         
         // 타겟도 모델 센터로 설정
@@ -2,3 +2,4 @@
  * 카메라 모듈 인덱스
  */
 export { SimpleOrbitControls } from './SimpleOrbitControls.js';
+export { CameraAnimator, easeInOutCubic } from './CameraAnimator.js';
@@ -139,6 +139,79 @@ export class CameraManager {
         }
     }
     
+    /**
+     * 위에서 내려다보는 평면도 시점으로 전환 (화면 위쪽이 IFC +Y 방향)
+     * @param {THREE.Box3} bounds - 화면에 맞출 범위
+     * @param {THREE.Vector3} target - 카메라 타겟 (중심점으로 설정됨)
+     */
+    setTopView(bounds, target) {
+        if (!this.camera || bounds.isEmpty()) return;
+        
+        const center = bounds.getCenter(new THREE.Vector3());
+        const size = bounds.getSize(new THREE.Vector3());
+        const distance = Math.max(size.x, size.y, size.z) * 3;
+        
+        // Three.js -Z가 IFC +Y이므로 up을 -Z로 두어 북쪽이 위로 오게 함
+        this.camera.up.set(0, 0, -1);
+        this.camera.position.set(center.x, center.y + Math.max(distance, 10), center.z);
+        this.camera.lookAt(center);
+        target.copy(center);
+        
+        if (this.camera.isOrthographicCamera) {
+            const rect = this.container.getBoundingClientRect();
+            const aspect = rect.width > 0 && rect.height > 0 ? rect.width / rect.height : 16 / 9;
+            
+            // 평면 범위(X, Z)가 모두 들어오도록 높이 기준 frustumSize 설정
+            this.frustumSize = Math.max(size.z, size.x / aspect, 1) * 1.1;
+            
+            const halfHeight = this.frustumSize * 0.5;
+            const halfWidth = halfHeight * aspect;
+            
+            this.camera.left = -halfWidth;
+            this.camera.right = halfWidth;
+            this.camera.top = halfHeight;
+            this.camera.bottom = -halfHeight;
+            this.camera.updateProjectionMatrix();
+        }
+    }
+    
+    /**
+     * 범위가 화면에 꽉 차도록 카메라 이동 (선택 요소로 이동, 미리 정의된 시점 등)
+     * 범위의 외접구 기준으로 맞추므로 이후 회전해도 화면 밖으로 나가지 않음
+     * @param {THREE.Box3} bounds - 화면에 맞출 범위
+     * @param {THREE.Vector3} target - 카메라 타겟 (중심점으로 설정됨)
+     * @param {THREE.Vector3} direction - 중심에서 카메라를 향하는 방향 (생략하면 현재 보는 방향 유지)
+     */
+    frameBounds(bounds, target, direction = null) {
+        if (!this.camera || bounds.isEmpty()) return;
+        
+        const sphere = bounds.getBoundingSphere(new THREE.Sphere());
+        const radius = Math.max(sphere.radius, 0.5); // 아주 작은 요소도 최소 1m 범위로
+        const rect = this.container.getBoundingClientRect();
+        const aspect = rect.width > 0 && rect.height > 0 ? rect.width / rect.height : 16 / 9;
+        
+        const viewDirection = direction ? direction.clone() : this.camera.position.clone().sub(target);
+        if (viewDirection.lengthSq() === 0) {
+            viewDirection.set(1, 1, 1);
+        }
+        viewDirection.normalize();
+        
+        let distance;
+        if (this.camera.isOrthographicCamera) {
+            // 직교 카메라는 거리와 무관하게 frustumSize로 크기를 맞추고, 거리는 잘리지 않을 만큼만
+            this.frustumSize = radius * 2 * Math.max(1, 1 / aspect) * 1.2;
+            distance = Math.max(direction ? 0 : this.camera.position.distanceTo(target), radius * 3);
+        } else {
+            const halfFov = THREE.MathUtils.degToRad(this.camera.fov) / 2;
+            const halfFovX = Math.atan(Math.tan(halfFov) * aspect);
+            distance = radius / Math.sin(Math.min(halfFov, halfFovX)) * 1.1;
+        }
+        
+        this.camera.position.copy(sphere.center).addScaledVector(viewDirection, distance);
+        this.camera.lookAt(sphere.center);
+        target.copy(sphere.center);
+    }
+    
     /**
      * 카메라 위치 설정
      * @param {THREE.Vector3} position - 카메라 위치
@@ -4,6 +4,8 @@
  */
 import * as THREE from 'three';
 
+const HOVER_INTERVAL = 50; // 마우스 올림 레이캐스트 최소 간격 (ms)
+
 export class EventManager {
     constructor(container, viewer) {
         this.container = container;
@@ -14,6 +16,21 @@ export class EventManager {
         this.isDragging = false;
         this.dragThreshold = 5; // 5픽셀 이상 움직이면 드래그로 간주
         this.mouseDownPosition = { x: 0, y: 0 };
+        this.rightMouseDownPosition = { x: 0, y: 0 }; // 우클릭 드래그(팬)와 메뉴 열기 구분용
+        
+        this.raycaster = new THREE.Raycaster();
+        
+        // 마우스 올림 (레이캐스트는 HOVER_INTERVAL마다 마지막 위치로 한 번만)
+        this.hoverEvent = null;
+        this.hoverTimer = null;
+    }
+    
+    /**
+     * 현재 하이라이트된(마지막으로 선택한) 객체 GUID
+     * @returns {string|null} 객체 GUID
+     */
+    get highlightedGlobalId() {
+        return this.viewer.selection ? this.viewer.selection.primaryId : null;
     }
     
     /**
@@ -28,7 +45,9 @@ export class EventManager {
         this.addEventListener(this.container, 'mousemove', (e) => this.onMouseMove(e));
         this.addEventListener(this.container, 'mouseup', (e) => this.onMouseUp(e));
         this.addEventListener(this.container, 'wheel', (e) => this.onWheel(e));
-        this.addEventListener(this.container, 'contextmenu', (e) => e.preventDefault());
+        this.addEventListener(this.container, 'dblclick', (e) => this.onDoubleClick(e));
+        this.addEventListener(this.container, 'mouseleave', () => this.clearHover());
+        this.addEventListener(this.container, 'contextmenu', (e) => this.onContextMenu(e));
         
         // 키보드 이벤트
         this.addEventListener(document, 'keydown', (e) => this.onKeyDown(e));
@@ -65,11 +84,24 @@ export class EventManager {
      * @param {MouseEvent} event - 마우스 이벤트
      */
     onMouseDown(event) {
+        // 섹션박스 핸들을 누른 경우 카메라 조작 대신 핸들 드래그
+        if (this.viewer.sectionBoxControls && this.viewer.sectionBoxControls.onMouseDown(event)) {
+            return;
+        }
+        
+        // Shift + 드래그는 카메라 조작 대신 박스 선택
+        if (this.viewer.boxSelectionControls && this.viewer.boxSelectionControls.onMouseDown(event)) {
+            return;
+        }
+        
         // 좌클릭인 경우에만 드래그 상태 추적
         if (event.button === 0) {
             this.isDragging = false;
             this.mouseDownPosition.x = event.clientX;
             this.mouseDownPosition.y = event.clientY;
+        } else if (event.button === 2) {
+            this.rightMouseDownPosition.x = event.clientX;
+            this.rightMouseDownPosition.y = event.clientY;
         }
         
         if (this.viewer.controls) {
@@ -82,6 +114,23 @@ export class EventManager {
      * @param {MouseEvent} event - 마우스 이벤트
      */
     onMouseMove(event) {
+        // 섹션박스 핸들 드래그 중이면 카메라 조작 생략
+        if (this.viewer.sectionBoxControls && this.viewer.sectionBoxControls.onMouseMove(event)) {
+            return;
+        }
+        
+        // 박스 선택 중이면 카메라 조작 생략
+        if (this.viewer.boxSelectionControls && this.viewer.boxSelectionControls.onMouseMove(event)) {
+            return;
+        }
+        
+        this.scheduleHover(event);
+        
+        // 측정 모드: 스냅 위치 미리보기 (카메라 조작은 계속 가능)
+        if (this.viewer.measurementControls) {
+            this.viewer.measurementControls.onMouseMove(event);
+        }
+        
         // 좌클릭 상태에서만 드래그 상태 확인
         if (event.buttons === 1 && !this.isDragging) {
             const deltaX = Math.abs(event.clientX - this.mouseDownPosition.x);
@@ -102,8 +151,12 @@ export class EventManager {
      * @param {MouseEvent} event - 마우스 이벤트
      */
     onMouseUp(event) {
+        // 섹션박스 핸들 드래그를 끝낸 경우는 클릭으로 처리하지 않음
+        const handledBySectionBox = this.viewer.sectionBoxControls && this.viewer.sectionBoxControls.onMouseUp(event);
+        const handledByBoxSelection = this.viewer.boxSelectionControls && this.viewer.boxSelectionControls.onMouseUp(event);
+        
         // 좌클릭이고 드래그가 아닌 경우에만 클릭으로 처리
-        if (event.button === 0 && !this.isDragging) {
+        if (event.button === 0 && !this.isDragging && !handledBySectionBox && !handledByBoxSelection) {
             this.handleModelClick(event);
         }
         
@@ -115,6 +168,44 @@ export class EventManager {
         }
     }
     
+    /**
+     * 더블클릭 이벤트
+     * @param {MouseEvent} event - 마우스 이벤트
+     */
+    onDoubleClick(event) {
+        // 측정 모드: 연속 거리/면적 측정 끝내기
+        if (this.viewer.measurementControls && this.viewer.measurementControls.onDoubleClick(event)) {
+            event.preventDefault();
+            return;
+        }
+        
+        // 더블클릭한 요소(두 번의 클릭으로 선택됨)로 카메라 이동
+        this.viewer.frameSelection();
+    }
+    
+    /**
+     * 우클릭 메뉴 이벤트
+     * 브라우저 메뉴 대신 커서 아래 요소를 (선택되어 있지 않으면) 선택하고 뷰어의 onContextMenu 호출
+     * 우클릭 드래그로 화면을 이동한 경우는 무시
+     * @param {MouseEvent} event - 마우스 이벤트
+     */
+    onContextMenu(event) {
+        event.preventDefault();
+        
+        const deltaX = Math.abs(event.clientX - this.rightMouseDownPosition.x);
+        const deltaY = Math.abs(event.clientY - this.rightMouseDownPosition.y);
+        if (deltaX > this.dragThreshold || deltaY > this.dragThreshold || !this.viewer.onContextMenu) {
+            return;
+        }
+        
+        const globalId = this.findGlobalId(this.pickModel(event));
+        if (globalId && !this.viewer.selection.has(globalId)) {
+            this.selectObjectByGuid(globalId);
+        }
+        
+        this.viewer.onContextMenu(event, globalId);
+    }
+    
     /**
      * 휠 이벤트
      * @param {WheelEvent} event - 휠 이벤트
@@ -123,6 +214,45 @@ export class EventManager {
         if (this.viewer.controls) {
             this.viewer.controls.onWheel(event);
         }
+        
+        // 확대/축소 후 커서 아래 요소가 바뀔 수 있음
+        this.scheduleHover(event);
+    }
+    
+    /**
+     * 마우스 올림 처리 예약 (연속 이동 중에는 HOVER_INTERVAL마다 마지막 위치만 처리)
+     * @param {MouseEvent} event - 마우스 이벤트
+     */
+    scheduleHover(event) {
+        this.hoverEvent = event;
+        if (this.hoverTimer !== null) return;
+        
+        this.hoverTimer = setTimeout(() => {
+            this.hoverTimer = null;
+            this.updateHover(this.hoverEvent);
+        }, HOVER_INTERVAL);
+    }
+    
+    /**
+     * 커서 아래 요소를 미리 강조하고 툴팁 표시
+     * 카메라 조작 중, 측정 모드, 섹션박스 핸들 위에서는 표시하지 않음
+     * @param {MouseEvent} event - 마우스 이벤트
+     */
+    updateHover(event) {
+        const busy = event.buttons !== 0
+            || (this.viewer.measurementControls && this.viewer.measurementControls.isActive())
+            || (this.viewer.sectionBoxControls && this.viewer.sectionBoxControls.hoveredFace !== null);
+        
+        this.viewer.setHoveredElement(busy ? null : this.findGlobalId(this.pickModel(event)), event);
+    }
+    
+    /**
+     * 마우스 올림 해제 (뷰어 밖으로 나간 경우 등)
+     */
+    clearHover() {
+        clearTimeout(this.hoverTimer);
+        this.hoverTimer = null;
+        this.viewer.setHoveredElement(null);
     }
     
     /**
@@ -130,6 +260,17 @@ export class EventManager {
      * @param {KeyboardEvent} event - 키보드 이벤트
      */
     onKeyDown(event) {
+        // 입력 중인 키는 뷰어 단축키로 처리하지 않음
+        const isTyping = event.target.closest && event.target.closest('input, textarea, select');
+        if (this.viewer.measurementControls && !isTyping) {
+            this.viewer.measurementControls.onKeyDown(event);
+        }
+        
+        // F: 선택된 요소로 카메라 이동
+        if (!isTyping && (event.key === 'f' || event.key === 'F') && !event.ctrlKey && !event.metaKey && !event.altKey) {
+            this.viewer.frameSelection();
+        }
+        
         if (this.viewer.controls && this.viewer.controls.onKeyDown) {
             this.viewer.controls.onKeyDown(event);
         }
@@ -155,6 +296,8 @@ export class EventManager {
             });
         });
         this.eventListeners.clear();
+        clearTimeout(this.hoverTimer);
+        this.hoverTimer = null;
     }
     
     /**
@@ -164,23 +307,42 @@ export class EventManager {
     handleModelClick(event) {
         if (!this.viewer.camera || !this.viewer.scene) return;
         
-        // 마우스 좌표를 정규화된 디바이스 좌표로 변환
-        const rect = this.container.getBoundingClientRect();
-        const mouse = new THREE.Vector2();
-        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        const modelRenderer = this.viewer.modelRenderer;
+        if (!modelRenderer) return;
+        
+        // 측정 모드: 클릭 위치를 측정 점으로 추가
+        if (this.viewer.measurementControls && this.viewer.measurementControls.isActive()) {
+            this.viewer.measurementControls.onClick(event);
+            return;
+        }
         
-        // 레이캐스터 생성
-        const raycaster = new THREE.Raycaster();
-        raycaster.setFromCamera(mouse, this.viewer.camera);
+        const intersects = this.pickModel(event);
         
-        // IFC 객체들과 교차점 계산 (모든 자식 객체 포함)
-        const ifcObjects = this.viewer.scene.children.filter(child => 
-            child.userData && child.userData.globalId
-        );
+        // 단면 평면 선택 모드: 가장 가까운 요소의 면에 평면 생성
+        if (this.viewer.sectionPlanePicking) {
+            const nearest = intersects.find(intersect => modelRenderer.getGlobalIdFromIntersection(intersect));
+            if (nearest) {
+                this.viewer.addSectionPlaneFromIntersection(nearest);
+            }
+            return;
+        }
         
-        // 더 정확한 교차점 계산을 위해 recursive: true 사용
-        const intersects = raycaster.intersectObjects(ifcObjects, true);
+        const selectedGlobalId = this.findGlobalId(intersects);
+        if (selectedGlobalId) {
+            this.selectObjectByGuid(selectedGlobalId, this.getSelectionMode(event));
+        } else if (!event.ctrlKey && !event.metaKey && !event.shiftKey) {
+            // 빈 곳 클릭: 선택 해제
+            this.clearHighlight();
+        }
+    }
+    
+    /**
+     * 교차 결과에서 선택할 요소 GUID 찾기 (창문 등 투명한 요소보다 불투명한 요소 우선)
+     * @param {Array} intersects - pickModel 결과
+     * @returns {string|null} 객체 GUID
+     */
+    findGlobalId(intersects) {
+        const modelRenderer = this.viewer.modelRenderer;
         
         // 투명한 객체도 선택할 수 있도록 정렬
         intersects.sort((a, b) => {
@@ -193,183 +355,92 @@ export class EventManager {
             return a.distance - b.distance;
         });
         
-        if (intersects.length > 0) {
-            // 창문이나 투명한 객체를 우선적으로 선택
-            let selectedGlobalId = null;
-            
-            // 먼저 불투명한 객체 찾기
-            for (const intersect of intersects) {
-                const globalId = this.findGlobalId(intersect.object);
-                if (globalId && (!intersect.object.material || !intersect.object.material.transparent)) {
-                    selectedGlobalId = globalId;
-                    break;
-                }
-            }
-            
-            // 불투명한 객체가 없으면 투명한 객체 선택
-            if (!selectedGlobalId) {
-                for (const intersect of intersects) {
-                    const globalId = this.findGlobalId(intersect.object);
-                    if (globalId) {
-                        selectedGlobalId = globalId;
-                        break;
-                    }
-                }
-            }
-            
-            if (selectedGlobalId) {
-                this.selectObjectByGuid(selectedGlobalId);
+        // 먼저 불투명한 객체 찾기
+        for (const intersect of intersects) {
+            const globalId = modelRenderer.getGlobalIdFromIntersection(intersect);
+            if (globalId && (!intersect.object.material || !intersect.object.material.transparent)) {
+                return globalId;
             }
         }
-    }
-    
-    /**
-     * 객체에서 GUID 찾기
-     * @param {THREE.Object3D} object - Three.js 객체
-     * @returns {string|null} GUID 또는 null
-     */
-    findGlobalId(object) {
-        let current = object;
-        while (current) {
-            if (current.userData && current.userData.globalId) {
-                return current.userData.globalId;
+        
+        // 불투명한 객체가 없으면 투명한 객체 선택
+        for (const intersect of intersects) {
+            const globalId = modelRenderer.getGlobalIdFromIntersection(intersect);
+            if (globalId) {
+                return globalId;
             }
-            current = current.parent;
         }
+        
         return null;
     }
     
     /**
-     * GUID로 객체 선택
-     * @param {string} globalId - 객체 GUID
+     * 클릭 수정 키에 따른 선택 방식 (Ctrl/Cmd: 선택 전환, Shift: 추가)
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {string} 'toggle', 'add', 'replace'
      */
-    selectObjectByGuid(globalId) {
-        // 3D 모델에서 객체 하이라이트
-        this.highlightObject(globalId);
-        
-        // 전역 앱 인스턴스에서 트리 매니저 호출
-        if (window.webIFCViewerApp && window.webIFCViewerApp.treeManager) {
-            window.webIFCViewerApp.treeManager.selectNodeByGuid(globalId);
-        }
+    getSelectionMode(event) {
+        if (event.ctrlKey || event.metaKey) return 'toggle';
+        if (event.shiftKey) return 'add';
+        return 'replace';
     }
     
     /**
-     * 3D 모델에서 객체 하이라이트
-     * @param {string} globalId - 객체 GUID
+     * 마우스 위치의 IFC 렌더링 객체 교차점 계산 (개별 메시, InstancedMesh, BatchedMesh)
+     * 섹션박스/단면 평면으로 잘려 보이지 않는 부분은 제외
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {Array} 거리순 Raycaster 교차 결과
      */
-    highlightObject(globalId) {
-        if (!this.viewer.scene) return;
+    pickModel(event) {
+        const modelRenderer = this.viewer.modelRenderer;
+        if (!this.viewer.camera || !modelRenderer) return [];
         
-        // 이전 하이라이트 제거
-        this.clearHighlight();
+        // 마우스 좌표를 정규화된 디바이스 좌표로 변환
+        const rect = this.container.getBoundingClientRect();
+        const mouse = new THREE.Vector2();
+        mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
         
-        // 해당 GUID의 모든 객체 찾기
-        const targetObjects = this.findAllObjectsByGlobalId(globalId);
+        this.raycaster.setFromCamera(mouse, this.viewer.camera);
         
-        if (targetObjects.length > 0) {
-            // 모든 객체에 하이라이트 효과 적용
-            targetObjects.forEach(targetObject => {
-                this.highlightSingleObject(targetObject);
-            });
-        }
+        return this.raycaster.intersectObjects(modelRenderer.getPickableObjects(), false)
+            .filter(intersect => !modelRenderer.isPointClipped(intersect.point));
     }
     
     /**
-     * 단일 객체 하이라이트
-     * @param {THREE.Object3D} targetObject - 대상 객체
+     * GUID로 객체 선택 (트리 선택과 속성정보는 뷰어의 onSelectionChange로 갱신)
+     * @param {string} globalId - 객체 GUID
+     * @param {string} mode - 'replace', 'add', 'toggle'
      */
-    highlightSingleObject(targetObject) {
-        // 하이라이트 효과 적용
-        targetObject.userData.isHighlighted = true;
-        
-        // 원본 재질 저장
-        if (!targetObject.userData.originalMaterial) {
-            targetObject.userData.originalMaterial = targetObject.material.clone();
-        }
-        
-        // 현재 윤곽선 상태 확인
-        const isWireframeActive = this.viewer.modelRenderer ? this.viewer.modelRenderer.showWireframe : false;
-        
-        if (isWireframeActive) {
-            // 윤곽선이 활성화된 상태: 색상만 변경
-            const highlightMaterial = targetObject.material.clone();
-            highlightMaterial.color = new THREE.Color(0x00ff88); // 초록색
-            targetObject.material = highlightMaterial;
-        } else {
-            // 윤곽선이 비활성화된 상태: 색상만 변경
-            const highlightMaterial = targetObject.material.clone();
-            highlightMaterial.color = new THREE.Color(0x00ff88); // 초록색
-            targetObject.material = highlightMaterial;
-        }
+    selectObjectByGuid(globalId, mode = 'replace') {
+        this.viewer.selectElements([globalId], mode);
     }
     
-    
     /**
-     * GUID로 3D 객체 찾기 (첫 번째만)
+     * 3D 모델에서 객체 하이라이트 (기존 선택은 해제)
+     * 요소가 InstancedMesh/BatchedMesh로 통합되어 있어도 globalId 단위로 색상 변경
      * @param {string} globalId - 객체 GUID
-     * @returns {THREE.Object3D|null} 찾은 객체 또는 null
      */
-    findObjectByGlobalId(globalId) {
-        const findInChildren = (object) => {
-            if (object.userData && object.userData.globalId === globalId) {
-                return object;
-            }
-            
-            for (const child of object.children) {
-                const found = findInChildren(child);
-                if (found) return found;
-            }
-            
-            return null;
-        };
-        
-        return findInChildren(this.viewer.scene);
+    highlightObject(globalId) {
+        this.viewer.selectElements([globalId]);
     }
     
     /**
-     * GUID로 3D 객체 모두 찾기
-     * @param {string} globalId - 객체 GUID
-     * @returns {THREE.Object3D[]} 찾은 객체 배열
+     * 모든 하이라이트 제거
      */
-    findAllObjectsByGlobalId(globalId) {
-        const foundObjects = [];
-        
-        const findInChildren = (object) => {
-            if (object.userData && object.userData.globalId === globalId) {
-                foundObjects.push(object);
-            }
-            
-            for (const child of object.children) {
-                findInChildren(child);
-            }
-        };
-        
-        findInChildren(this.viewer.scene);
-        return foundObjects;
+    clearHighlight() {
+        this.viewer.clearSelection();
     }
     
     /**
-     * 모든 하이라이트 제거
+     * GUID로 객체 표시/숨김
+     * @param {string} globalId - 객체 GUID
+     * @param {boolean} visible - 표시 여부
      */
-    clearHighlight() {
-        if (!this.viewer.scene) return;
-        
-        const clearInChildren = (object) => {
-            if (object.userData && object.userData.isHighlighted) {
-                object.userData.isHighlighted = false;
-                
-                // 원본 재질 복원
-                if (object.userData.originalMaterial) {
-                    object.material = object.userData.originalMaterial;
-                }
-            }
-            
-            for (const child of object.children) {
-                clearInChildren(child);
-            }
-        };
+    setObjectVisible(globalId, visible) {
+        if (!this.viewer.modelRenderer) return;
         
-        clearInChildren(this.viewer.scene);
+        this.viewer.modelRenderer.setElementVisible(globalId, visible);
     }
 
     /**
@@ -11,6 +11,7 @@ export class SceneManager {
         this.renderer = null;
         this.animationId = null;
         this.onRender = null; // 렌더 콜백 함수
+        this.onAfterRender = null; // 메인 렌더링 후 추가로 그릴 때 사용 (renderer, scene, camera)
     }
     
     /**
@@ -36,10 +37,12 @@ export class SceneManager {
     createRenderer() {
         this.renderer = new THREE.WebGLRenderer({ 
             antialias: true,
-            alpha: false  // 애니메이션 스타일을 위해 투명도 비활성화
+            alpha: false,  // 애니메이션 스타일을 위해 투명도 비활성화
+            stencil: true  // 단면 캡 렌더링용
         });
         this.renderer.setSize(this.container.clientWidth, this.container.clientHeight);
         this.renderer.shadowMap.enabled = false; // 그림자 비활성화
+        this.renderer.localClippingEnabled = true; // 섹션박스 등 재질별 클리핑 평면 사용
         this.renderer.setClearColor(0x1a1a1a, 1.0); // 블랙모드 배경
         this.renderer.toneMapping = THREE.NoToneMapping; // 톤 매핑 비활성화
         this.renderer.outputEncoding = THREE.sRGBEncoding; // 애니메이션 스타일 색상
@@ -84,6 +87,10 @@ export class SceneManager {
     render() {
         if (this.renderer && this.scene && this.camera) {
             this.renderer.render(this.scene, this.camera);
+            
+            if (this.onAfterRender) {
+                this.onAfterRender(this.renderer, this.scene, this.camera);
+            }
         }
     }
     
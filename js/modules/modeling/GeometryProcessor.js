@@ -0,0 +1,130 @@
+/**
+ * Geometry 전처리 모듈
+ * 좌표계 변환, 법선 계산, 윤곽선 추출, 동일 형상 판별 키 계산을 수행 (워커와 메인 스레드에서 공통 사용)
+ */
+import * as THREE from 'three';
+
+const KEY_PRECISION = 10; // 동일 형상 판별 시 좌표 반올림 단위 (1/10 mm)
+
+export class GeometryProcessor {
+    /**
+     * Geometry 레코드 전처리
+     * @param {Object} record - { vertices: Float32Array (IFC Z-Up), faces: Uint32Array }
+     * @param {Object} options - 전처리 옵션
+     * @param {boolean} options.computeEdges - 윤곽선 추출 여부
+     * @returns {Object} { positions, normals, indices, edges, geometryKey, origin } (edges는 computeEdges일 때만)
+     */
+    static process(record, { computeEdges = false } = {}) {
+        const positions = GeometryProcessor.convertIFCToThreeJS(record.vertices);
+        const indices = record.faces instanceof Uint32Array ? record.faces : new Uint32Array(record.faces);
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        geometry.computeVertexNormals();
+
+        const result = {
+            positions,
+            normals: geometry.getAttribute('normal').array,
+            indices,
+            ...GeometryProcessor.computeGeometryKey(positions, indices)
+        };
+
+        if (computeEdges) {
+            const edges = new THREE.EdgesGeometry(geometry);
+            result.edges = edges.getAttribute('position').array;
+            edges.dispose();
+        }
+
+        geometry.dispose();
+        return result;
+    }
+
+    /**
+     * 여러 레코드 전처리 (잘못된 레코드 하나 때문에 전체가 실패하지 않도록 실패한 레코드는 null)
+     * @param {Array<Object>} records - Geometry 레코드 배열
+     * @param {Object} options - 전처리 옵션 (process와 동일)
+     * @returns {Array<Object|null>} 전처리 결과 배열 (실패한 레코드는 null)
+     */
+    static processAll(records, options) {
+        return records.map(record => {
+            try {
+                return GeometryProcessor.process(record, options);
+            } catch (error) {
+                console.warn('Geometry 전처리 실패, 요소를 건너뜁니다:', error);
+                return null;
+            }
+        });
+    }
+
+    /**
+     * 평행이동만 다른 같은 형상을 찾기 위한 키 계산
+     * 첫 정점을 원점으로 한 상대 좌표와 인덱스를 해시하므로, 키가 같으면 origin만큼 이동한 같은 형상
+     * @param {Float32Array} positions - 변환된 정점 데이터 (mm)
+     * @param {Uint32Array} indices - 인덱스
+     * @returns {{geometryKey: string|null, origin: Array<number>|null}} 형상 키와 기준점
+     */
+    static computeGeometryKey(positions, indices) {
+        if (positions.length < 3) {
+            return { geometryKey: null, origin: null };
+        }
+
+        const origin = [positions[0], positions[1], positions[2]];
+        let hash1 = 0x811c9dc5;
+        let hash2 = 0x9747b28c;
+
+        const mix = (value) => {
+            hash1 = Math.imul(hash1 ^ value, 0x01000193);
+            hash2 = Math.imul(hash2 ^ value, 0x5bd1e995);
+            hash2 ^= hash2 >>> 15;
+        };
+
+        for (let i = 0; i < positions.length; i++) {
+            mix(Math.round((positions[i] - origin[i % 3]) * KEY_PRECISION) | 0);
+        }
+        for (let i = 0; i < indices.length; i++) {
+            mix(indices[i]);
+        }
+
+        const geometryKey = `${positions.length}:${indices.length}:${(hash1 >>> 0).toString(36)}:${(hash2 >>> 0).toString(36)}`;
+        return { geometryKey, origin };
+    }
+
+    /**
+     * IFC 좌표를 Three.js 좌표로 변환
+     * @param {Float32Array|Array} vertices - IFC 정점 데이터
+     * @returns {Float32Array} 변환된 정점 데이터
+     */
+    static convertIFCToThreeJS(vertices) {
+        const converted = new Float32Array(vertices.length);
+        
+        for (let i = 0; i < vertices.length; i += 3) {
+            // IFC2X3: X(동), Y(북), Z(위) → Three.js: X(동), Y(위), Z(남)
+            // 단순 변환: Y와 Z만 교환하고 Y를 음수로
+            converted[i] = vertices[i];     // X: X → X (동)
+            converted[i + 1] = vertices[i + 2]; // Y: Z → Y (위)
+            converted[i + 2] = -vertices[i + 1]; // Z: -Y → Z (남)
+        }
+        
+        return converted;
+    }
+
+    /**
+     * 전처리 결과에서 전송(transfer) 가능한 버퍼 목록
+     * @param {Array<Object>} results - 전처리 결과 배열
+     * @returns {Array<ArrayBuffer>} 버퍼 목록
+     */
+    static getTransferables(results) {
+        const buffers = [];
+        results.forEach(result => {
+            if (!result) {
+                return;
+            }
+            buffers.push(result.positions.buffer, result.normals.buffer, result.indices.buffer);
+            if (result.edges) {
+                buffers.push(result.edges.buffer);
+            }
+        });
+        return buffers;
+    }
+}
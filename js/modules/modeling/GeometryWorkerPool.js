@@ -0,0 +1,187 @@
+/**
+ * Geometry 전처리 워커 풀
+ * 좌표계 변환, 법선 계산, 윤곽선 추출을 Web Worker에서 처리하여 메인 스레드가 멈추지 않도록 함
+ * 워커를 사용할 수 없는 환경에서는 메인 스레드에서 같은 처리를 수행
+ */
+import { GeometryProcessor } from './GeometryProcessor.js';
+
+export class GeometryWorkerPool {
+    /**
+     * @param {number} size - 워커 수 (기본값: 논리 코어 수 - 1, 최대 4)
+     */
+    constructor(size = Math.max(1, Math.min(4, (navigator.hardwareConcurrency || 2) - 1))) {
+        this.size = size;
+        this.workers = []; // { worker, busy }
+        this.queue = []; // 대기 중인 작업 { records, options, transfer, resolve, reject }
+        this.pending = new Map(); // 작업 id → { slot, job }
+        this.nextJobId = 0;
+        this.isSupported = typeof Worker !== 'undefined';
+    }
+
+    /**
+     * Geometry 레코드 전처리
+     * 입력 배열은 복사해서 보내므로 호출한 쪽의 데이터는 그대로 유지됨
+     * @param {Array<Object>} geometries - Geometry 데이터 배열 ({ vertices, faces, ... })
+     * @param {Object} options - 전처리 옵션
+     * @param {boolean} options.computeEdges - 윤곽선 추출 여부
+     * @param {AbortSignal} signal - 취소 신호 (취소되면 아직 워커에 보내지 않은 작업은 AbortError로 버림)
+     * @returns {Promise<Array<Object|null>>} 전처리 결과 배열 ({ positions, normals, indices, edges }, 실패한 레코드는 null)
+     */
+    process(geometries, options = {}, signal = null) {
+        const records = geometries.map(geometryData => {
+            const { vertices = [], faces = [] } = geometryData || {};
+            return {
+                vertices: vertices instanceof Float32Array ? vertices.slice() : new Float32Array(vertices),
+                faces: faces instanceof Uint32Array ? faces.slice() : new Uint32Array(faces)
+            };
+        });
+
+        if (!this.isSupported) {
+            return Promise.resolve(GeometryProcessor.processAll(records, options));
+        }
+
+        const transfer = [];
+        records.forEach(record => transfer.push(record.vertices.buffer, record.faces.buffer));
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(this.createAbortError());
+                return;
+            }
+
+            const job = { records, options, transfer, resolve, reject };
+            if (signal) {
+                // 대기열에 남아 있으면 제거 (이미 워커가 처리 중인 작업은 끝까지 진행)
+                const onAbort = () => {
+                    const index = this.queue.indexOf(job);
+                    if (index >= 0) {
+                        this.queue.splice(index, 1);
+                        reject(this.createAbortError());
+                    }
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                job.resolve = (results) => {
+                    signal.removeEventListener('abort', onAbort);
+                    resolve(results);
+                };
+                job.reject = (error) => {
+                    signal.removeEventListener('abort', onAbort);
+                    reject(error);
+                };
+            }
+
+            this.queue.push(job);
+            this.dispatch();
+        });
+    }
+
+    /**
+     * 취소 오류 생성
+     * @returns {DOMException} AbortError
+     */
+    createAbortError() {
+        return new DOMException('Geometry 전처리가 취소되었습니다.', 'AbortError');
+    }
+
+    /**
+     * 쉬고 있는 워커에 대기 중인 작업 할당
+     */
+    dispatch() {
+        while (this.queue.length > 0) {
+            const slot = this.getIdleWorker();
+            if (!slot) {
+                return;
+            }
+
+            const job = this.queue.shift();
+            const id = this.nextJobId++;
+            slot.busy = true;
+            this.pending.set(id, { slot, job });
+            slot.worker.postMessage({ id, records: job.records, options: job.options }, job.transfer);
+        }
+    }
+
+    /**
+     * 쉬고 있는 워커 조회 (필요하면 새로 생성)
+     * @returns {Object|null} 워커 슬롯
+     */
+    getIdleWorker() {
+        const idle = this.workers.find(slot => !slot.busy);
+        if (idle) {
+            return idle;
+        }
+
+        if (this.workers.length >= this.size) {
+            return null;
+        }
+
+        const worker = new Worker(new URL('./geometry.worker.js', import.meta.url), { type: 'module' });
+        const slot = { worker, busy: false };
+        worker.onmessage = (event) => this.handleMessage(event.data);
+        worker.onerror = (event) => this.handleWorkerError(slot, event);
+        this.workers.push(slot);
+        return slot;
+    }
+
+    /**
+     * 워커 결과 처리
+     * @param {Object} data - { id, results } 또는 { id, error }
+     */
+    handleMessage({ id, results, error }) {
+        const entry = this.pending.get(id);
+        if (!entry) {
+            return;
+        }
+
+        this.pending.delete(id);
+        entry.slot.busy = false;
+
+        if (error) {
+            entry.job.reject(new Error(`Geometry 전처리 실패: ${error}`));
+        } else {
+            entry.job.resolve(results);
+        }
+
+        this.dispatch();
+    }
+
+    /**
+     * 워커 로드/실행 오류 처리 (워커를 사용할 수 없으면 메인 스레드 처리로 전환)
+     * @param {Object} slot - 워커 슬롯
+     * @param {ErrorEvent} event - 오류 이벤트
+     */
+    handleWorkerError(slot, event) {
+        console.warn('Geometry 워커 오류, 메인 스레드에서 처리합니다:', event.message);
+        event.preventDefault();
+
+        slot.worker.terminate();
+        this.workers = this.workers.filter(item => item !== slot);
+
+        // 이 워커에 맡긴 작업은 메인 스레드에서 처리 (입력 버퍼는 이미 전송되었으므로 다시 사용할 수 없음)
+        this.pending.forEach((entry, id) => {
+            if (entry.slot === slot) {
+                this.pending.delete(id);
+                entry.job.reject(new Error('Geometry 워커가 중단되었습니다.'));
+            }
+        });
+
+        if (this.workers.length === 0) {
+            this.isSupported = false;
+            const jobs = this.queue.splice(0);
+            jobs.forEach(job => {
+                job.resolve(GeometryProcessor.processAll(job.records, job.options));
+            });
+        }
+    }
+
+    /**
+     * 모든 워커 종료
+     */
+    dispose() {
+        this.workers.forEach(slot => slot.worker.terminate());
+        this.workers = [];
+        this.pending.forEach(({ job }) => job.reject(new Error('Geometry 워커 풀이 종료되었습니다.')));
+        this.pending.clear();
+        this.queue = [];
+    }
+}
@@ -1,21 +1,54 @@
 /**
  * 모델 렌더링 모듈
  * IFC 모델을 3D로 렌더링하는 기능
+ * 로드 중에는 요소마다 메시를 만들고, 로드가 끝나면 같은 형상은 InstancedMesh로,
+ * 나머지는 같은 재질끼리 BatchedMesh로 합쳐 드로우 콜을 줄임 (요소별 선택/색상/표시는 globalId로 유지)
  */
 import * as THREE from 'three';
+import { GeometryProcessor } from './GeometryProcessor.js';
+import { GeometryWorkerPool } from './GeometryWorkerPool.js';
+
+const WORKER_BATCH_SIZE = 50; // 워커에 한 번에 보내는 Geometry 수
+const INSTANCE_MIN_COUNT = 2; // 같은 형상이 이 개수 이상이면 InstancedMesh로 묶음
+const BATCH_MAX_VERTICES = 1000000; // BatchedMesh 하나에 담는 최대 정점 수
+
+// IFC 렌더링 객체만 따로 그릴 때 사용하는 레이어 (단면 캡 스텐실 등)
+export const IFC_LAYER = 1;
+
+const tempMatrix = new THREE.Matrix4();
+const tempVector = new THREE.Vector3();
+const HIDDEN_MATRIX = new THREE.Matrix4().makeScale(0, 0, 0); // 숨긴 인스턴스용 (크기 0)
+const HOVER_TINT = new THREE.Color(0x7fdfff); // 마우스를 올린 요소에 섞는 색상
+const HOVER_BLEND = 0.35; // 원래 색상에 섞는 비율
+const hoverColor = new THREE.Color();
+const GHOST_COLOR = 0x9aa5b1; // 반투명으로 표시하는 요소 색상
+const GHOST_OPACITY = 0.12;
 
 export class ModelRenderer {
     constructor(scene) {
         this.scene = scene;
-        this.ifcObjects = [];
+        this.ifcObjects = []; // 씬에 추가된 렌더링 객체 (Mesh, InstancedMesh, BatchedMesh)
         this.wireframeObjects = []; // 윤곽선 객체들
         this.modelCenter = new THREE.Vector3(0, 0, 0);
         this.showWireframe = false; // 윤곽선 표시 여부
+        this.workerPool = new GeometryWorkerPool(); // Geometry 전처리 워커
+        
+        // 요소 관리 (하나의 globalId에 여러 Geometry가 있을 수 있음)
+        this.elements = new Map(); // globalId → 요소 참조 배열
+        this.objectElements = new Map(); // 렌더링 객체 → 요소 참조 배열 (인스턴스/배치 ID 순서)
+        this.colorOverrides = new Map(); // globalId → 덮어쓸 색상 (하이라이트 등)
+        this.hiddenIds = new Set(); // 숨긴 globalId
+        this.hoveredId = null; // 마우스를 올린 globalId (덮어쓴 색상이 없을 때만 은은하게 표시)
+        this.ghostKeepIds = null; // 반투명 모드에서 그대로 그릴 globalId (null이면 반투명 모드 아님)
+        this.ghostObject = null; // 반투명으로 표시할 요소들을 합친 메시
+        this.ghostUpdateFrame = null; // 예약된 반투명 메시 재생성 (requestAnimationFrame id)
+        this.batchMaterials = new Map(); // 불투명도 → 통합 객체가 공유하는 재질
+        this.clippingPlanes = []; // 모든 IFC 재질이 공유하는 클리핑 평면 (섹션박스 등)
     }
     
     /**
-     * IFC Geometry 데이터를 Three.js로 렌더링
-     * @param {Object} geometryData - 백엔드에서 받은 Geometry 데이터
+     * IFC Geometry 데이터를 Three.js로 렌더링 (메인 스레드에서 전처리)
+     * @param {Object} geometryData - 백엔드에서 받은 Geometry 데이터 (vertices/faces는 숫자 배열 또는 typed array)
      */
     addIfcGeometry(geometryData) {
         try {
@@ -23,78 +56,122 @@ export class ModelRenderer {
                 return null;
             }
             
-            // 정점 및 면 데이터 추출
-            const vertices = new Float32Array(geometryData.vertices);
-            const indices = new Uint32Array(geometryData.faces);
+            // IFC 좌표계를 Three.js 좌표계로 변환 (Z-Up → Y-Up) 및 법선 계산
+            const processed = GeometryProcessor.process(geometryData);
             
-
-            // IFC 좌표계를 Three.js 좌표계로 변환 (Z-Up → Y-Up)
-            const convertedVertices = this.convertIFCToThreeJS(vertices);
-
-            // BufferGeometry 생성
-            const geometry = new THREE.BufferGeometry();
-            geometry.setAttribute('position', new THREE.BufferAttribute(convertedVertices, 3));
-            geometry.setIndex(new THREE.BufferAttribute(indices, 1));
-            geometry.computeVertexNormals();
-
-            // 백엔드에서 받은 색상 정보 사용 (단일 값)
-            let material;
+            return this.createIfcMesh(geometryData, processed);
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * 전처리된 버퍼로 IFC 메시 생성 후 씬에 추가
+     * @param {Object} geometryData - Geometry 데이터 (globalId, ifcType, colorHEX, transparency)
+     * @param {Object} processed - 전처리 결과 ({ positions, normals, indices, edges, geometryKey, origin })
+     * @returns {THREE.Mesh} 생성된 메시
+     */
+    createIfcMesh(geometryData, processed) {
+        // BufferGeometry 생성
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(processed.positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(processed.normals, 3));
+        geometry.setIndex(new THREE.BufferAttribute(processed.indices, 1));
+        
+        // 메시 생성
+        const material = this.createMaterial(geometryData);
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.userData = {
+            globalId: geometryData.globalId,
+            ifcType: geometryData.ifcType
+        };
+        
+        // IFC 데이터는 mm 단위이므로 m로 변환
+        mesh.scale.setScalar(0.001);
+        mesh.layers.enable(IFC_LAYER);
+        this.scene.add(mesh);
+        
+        // IFC 객체 목록에 추가
+        this.ifcObjects.push(mesh);
+        
+        // 요소 참조 등록 (index가 null이면 개별 메시, 통합 후에는 인스턴스/배치 ID)
+        const ref = {
+            globalId: geometryData.globalId,
+            ifcType: geometryData.ifcType,
+            object: mesh,
+            index: null,
+            material,
+            overrideMaterial: null,
+            color: material.color.clone(),
+            opacity: material.transparent ? material.opacity : 1,
+            geometryKey: processed.geometryKey,
+            origin: processed.origin,
+            edges: processed.edges || null, // 워커에서 추출한 윤곽선은 윤곽선을 켤 때 다시 계산하지 않도록 보관
+            wireframe: null
+        };
+        
+        if (!this.elements.has(ref.globalId)) {
+            this.elements.set(ref.globalId, []);
+        }
+        this.elements.get(ref.globalId).push(ref);
+        this.objectElements.set(mesh, [ref]);
+        
+        // 로드 중 이미 하이라이트/숨김된 요소에도 상태 반영
+        if (this.colorOverrides.has(ref.globalId) || this.hiddenIds.has(ref.globalId)) {
+            this.applyElementState(ref);
+        }
+        
+        // 윤곽선 생성 (옵션)
+        if (this.showWireframe) {
+            this.createWireframe(ref);
+        }
+        
+        return mesh;
+    }
+    
+    /**
+     * Geometry 데이터의 재질 생성
+     * @param {Object} geometryData - Geometry 데이터
+     * @returns {THREE.Material} 재질
+     */
+    createMaterial(geometryData) {
+        // 백엔드에서 받은 색상 정보 사용 (단일 값)
+        let material;
+        
+        if (geometryData.colorHEX) {
+            // 백엔드에서 받은 색상 정보가 있는 경우
+            const color = new THREE.Color(`#${geometryData.colorHEX}`);
             
-            if (geometryData.colorHEX) {
-                // 백엔드에서 받은 색상 정보가 있는 경우
-                const color = new THREE.Color(`#${geometryData.colorHEX}`);
-                
-                material = new THREE.MeshBasicMaterial({
-                    color: color
-                });
-                
-                // 투명도 정보가 있는 경우 적용
-                if (geometryData.transparency !== undefined) {
-                    const opacity = 1 - geometryData.transparency;
-                    if (opacity < 1) {
-                        material.transparent = true;
-                        material.opacity = opacity;
-                    }
-                }
-                
-            } else {
-                // 백엔드에서 색상 정보가 없는 경우 기본 색상 사용
-                const color = this.getColorByIfcType(geometryData.ifcType);
-                material = new THREE.MeshBasicMaterial({
-                    color: color
-                });
-                
-                // 창문은 반투명으로 설정 (기본값)
-                if (geometryData.ifcType.includes('Window')) {
-                    material.color = new THREE.Color(0x54a000);
+            material = new THREE.MeshBasicMaterial({
+                color: color
+            });
+            
+            // 투명도 정보가 있는 경우 적용
+            if (geometryData.transparency !== undefined) {
+                const opacity = 1 - geometryData.transparency;
+                if (opacity < 1) {
                     material.transparent = true;
-                    material.opacity = 0.7;
+                    material.opacity = opacity;
                 }
             }
-
-            // 메시 생성
-            const mesh = new THREE.Mesh(geometry, material);
-            mesh.userData = {
-                globalId: geometryData.globalId,
-                ifcType: geometryData.ifcType
-            };
-
-            // IFC 데이터는 mm 단위이므로 m로 변환
-            mesh.scale.setScalar(0.001);
-            this.scene.add(mesh);
             
-            // IFC 객체 목록에 추가
-            this.ifcObjects.push(mesh);
+        } else {
+            // 백엔드에서 색상 정보가 없는 경우 기본 색상 사용
+            const color = this.getColorByIfcType(geometryData.ifcType);
+            material = new THREE.MeshBasicMaterial({
+                color: color
+            });
             
-            // 윤곽선 생성 (옵션)
-            if (this.showWireframe) {
-                this.createWireframe(mesh);
+            // 창문은 반투명으로 설정 (기본값)
+            if (geometryData.ifcType.includes('Window')) {
+                material.color = new THREE.Color(0x54a000);
+                material.transparent = true;
+                material.opacity = 0.7;
             }
-            
-            return mesh;
-        } catch (error) {
-            return null;
         }
+        
+        material.clippingPlanes = this.clippingPlanes;
+        return material;
     }
     
     /**
@@ -103,17 +180,7 @@ export class ModelRenderer {
      * @returns {Float32Array} 변환된 정점 데이터
      */
     convertIFCToThreeJS(vertices) {
-        const converted = new Float32Array(vertices.length);
-        
-        for (let i = 0; i < vertices.length; i += 3) {
-            // IFC2X3: X(동), Y(북), Z(위) → Three.js: X(동), Y(위), Z(남)
-            // 단순 변환: Y와 Z만 교환하고 Y를 음수로
-            converted[i] = vertices[i];     // X: X → X (동)
-            converted[i + 1] = vertices[i + 2]; // Y: Z → Y (위)
-            converted[i + 2] = -vertices[i + 1]; // Z: -Y → Z (남)
-        }
-        
-        return converted;
+        return GeometryProcessor.convertIFCToThreeJS(vertices);
     }
     
     /**
@@ -175,33 +242,174 @@ export class ModelRenderer {
             return;
         }
         
-        const objectsToRemove = [];
+        // 윤곽선도 함께 제거
+        this.clearWireframes();
         
-        this.scene.traverse((object) => {
-            if (object.isMesh && object.userData.globalId) { // IFC 객체만
-                objectsToRemove.push(object);
-            }
+        this.ifcObjects.forEach(object => {
+            this.scene.remove(object);
+            this.disposeObject(object);
         });
         
-        objectsToRemove.forEach(object => {
-            this.scene.remove(object);
-            // 메모리 정리
-            if (object.geometry) {
-                object.geometry.dispose();
+        // 개별 메시의 원본/하이라이트 재질 정리
+        this.elements.forEach(refs => refs.forEach(ref => this.disposeElementMaterials(ref)));
+        this.batchMaterials.forEach(material => material.dispose());
+        
+        this.ifcObjects = [];
+        this.elements.clear();
+        this.objectElements.clear();
+        this.colorOverrides.clear();
+        this.hiddenIds.clear();
+        this.hoveredId = null;
+        this.clearGhost();
+        this.batchMaterials.clear();
+    }
+    
+    /**
+     * 렌더링 객체의 Geometry/재질 메모리 정리
+     * @param {THREE.Object3D} object - 정리할 객체
+     */
+    disposeObject(object) {
+        if (object.geometry) {
+            object.geometry.dispose();
+        }
+        if (object.material) {
+            if (Array.isArray(object.material)) {
+                object.material.forEach(material => material.dispose());
+            } else if (!object.material.userData.isShared) { // 공유 재질은 clearIfcObjects에서 정리
+                object.material.dispose();
             }
-            if (object.material) {
-                if (Array.isArray(object.material)) {
-                    object.material.forEach(material => material.dispose());
-                } else {
-                    object.material.dispose();
-                }
+        }
+        // InstancedMesh/BatchedMesh는 인스턴스 버퍼와 텍스처도 정리
+        if (typeof object.dispose === 'function') {
+            object.dispose();
+        }
+    }
+    
+    /**
+     * 개별 메시 요소의 재질 정리 (통합 객체의 공유 재질은 제외)
+     * @param {Object} ref - 요소 참조
+     */
+    disposeElementMaterials(ref) {
+        if (ref.index === null) {
+            ref.material.dispose();
+        }
+        if (ref.overrideMaterial) {
+            ref.overrideMaterial.dispose();
+            ref.overrideMaterial = null;
+        }
+    }
+    
+    /**
+     * 모든 IFC 재질(윤곽선 포함)에 클리핑 평면 적용
+     * 평면 객체를 공유하므로 이후 평면 값만 바꾸면 바로 반영됨
+     * @param {THREE.Plane[]} planes - 클리핑 평면 배열 (빈 배열이면 해제)
+     */
+    setClippingPlanes(planes) {
+        this.clippingPlanes = planes;
+        
+        const materials = new Set(this.batchMaterials.values());
+        this.elements.forEach(refs => refs.forEach(ref => {
+            materials.add(ref.material);
+            if (ref.overrideMaterial) {
+                materials.add(ref.overrideMaterial);
             }
+        }));
+        this.wireframeObjects.forEach(wireframe => materials.add(wireframe.material));
+        if (this.ghostObject) {
+            materials.add(this.ghostObject.material);
+        }
+        
+        materials.forEach(material => {
+            material.clippingPlanes = planes;
         });
+    }
+    
+    /**
+     * 모델 전체 바운딩 박스 계산 (m 단위 월드 좌표)
+     * @returns {THREE.Box3} 바운딩 박스 (모델이 없으면 빈 박스)
+     */
+    getModelBoundingBox() {
+        const box = new THREE.Box3();
+        this.ifcObjects.forEach(object => {
+            box.expandByObject(object);
+        });
+        return box;
+    }
+    
+    /**
+     * 클리핑 평면에 잘려 보이지 않는 점인지 확인 (레이캐스트 결과 필터링용)
+     * @param {THREE.Vector3} point - 월드 좌표 점
+     * @returns {boolean} 잘린 점이면 true
+     */
+    isPointClipped(point) {
+        return this.clippingPlanes.some(plane => plane.distanceToPoint(point) < 0);
+    }
+    
+    /**
+     * 바운딩 박스 전체가 클리핑 평면에 잘려 보이지 않는지 확인 (박스 선택 필터링용)
+     * @param {THREE.Box3} box - 월드 좌표 박스
+     * @returns {boolean} 어느 한 평면의 뒤쪽에 박스 전체가 있으면 true
+     */
+    isBoxClipped(box) {
+        return this.clippingPlanes.some(plane => !box.intersectsPlane(plane) && plane.distanceToPoint(box.getCenter(tempVector)) < 0);
+    }
+    
+    /**
+     * 표시 중인 요소들의 바운딩 박스 (m 단위 월드 좌표, 섹션박스 스냅 등에 사용)
+     * @returns {THREE.Box3[]} 요소(Geometry)별 바운딩 박스 배열
+     */
+    getElementBoundingBoxes() {
+        const boxes = [];
+        this.elements.forEach((refs, globalId) => {
+            if (this.hiddenIds.has(globalId)) {
+                return;
+            }
+            refs.forEach(ref => boxes.push(this.computeElementBox(ref, new THREE.Box3())));
+        });
+        return boxes;
+    }
+    
+    /**
+     * 여러 요소를 합친 바운딩 박스 (숨김 여부와 관계없이 계산)
+     * @param {Iterable<string>} globalIds - globalId 목록
+     * @returns {THREE.Box3} m 단위 월드 좌표 바운딩 박스 (해당 요소가 없으면 빈 박스)
+     */
+    getElementsBoundingBox(globalIds) {
+        const box = new THREE.Box3();
+        const elementBox = new THREE.Box3();
         
-        // 윤곽선도 함께 제거
-        this.clearWireframes();
+        for (const globalId of globalIds) {
+            (this.elements.get(globalId) || []).forEach(ref => box.union(this.computeElementBox(ref, elementBox)));
+        }
         
-        this.ifcObjects = [];
+        return box;
+    }
+    
+    /**
+     * 요소 참조 하나의 바운딩 박스 계산
+     * @param {Object} ref - 요소 참조
+     * @param {THREE.Box3} target - 결과를 담을 박스
+     * @returns {THREE.Box3} m 단위 월드 좌표 바운딩 박스
+     */
+    computeElementBox(ref, target) {
+        const object = ref.object;
+        object.updateWorldMatrix(true, false);
+        
+        if (object.isBatchedMesh) {
+            object.getBoundingBoxAt(object.getGeometryIdAt(ref.index), target);
+        } else {
+            if (!object.geometry.boundingBox) {
+                object.geometry.computeBoundingBox();
+            }
+            target.copy(object.geometry.boundingBox);
+            
+            // InstancedMesh는 공유 Geometry를 요소 기준점으로 이동
+            if (object.isInstancedMesh) {
+                target.translate(tempVector.fromArray(ref.origin));
+            }
+        }
+        
+        return target.applyMatrix4(object.matrixWorld);
     }
     
     /**
@@ -209,12 +417,7 @@ export class ModelRenderer {
      * @returns {THREE.Vector3} 모델 센터점
      */
     getModelCenter() {
-        const box = new THREE.Box3();
-        this.scene.traverse((object) => {
-            if (object.isMesh && object.userData.globalId) { // IFC 객체만
-                box.expandByObject(object);
-            }
-        });
+        const box = this.getModelBoundingBox();
         
         if (box.isEmpty()) {
             return new THREE.Vector3(0, 0, 0);
@@ -264,40 +467,700 @@ export class ModelRenderer {
     }
     
     /**
-     * 메시에 대한 윤곽선 생성
-     * @param {THREE.Mesh} mesh - 윤곽선을 생성할 메시
+     * 여러 IFC Geometry 데이터를 여러 프레임에 나누어 렌더링
+     * 좌표계 변환, 법선 계산(윤곽선 표시 중이면 윤곽선 추출까지)은 워커 풀에서 처리하고,
+     * 메인 스레드는 한 프레임에 frameBudget(ms)까지만 메시를 생성하여 화면이 멈추지 않도록 함
+     * @param {Array} geometries - Geometry 데이터 배열
+     * @param {Object} options - 렌더링 옵션
+     * @param {AbortSignal} options.signal - 취소 신호
+     * @param {number} options.frameBudget - 프레임당 처리 시간 (밀리초)
+     */
+    async addIfcGeometriesProgressively(geometries, { signal, frameBudget = 12 } = {}) {
+        if (!this.scene || !Array.isArray(geometries)) {
+            return;
+        }
+        
+        const options = { computeEdges: this.showWireframe };
+        const chunks = [];
+        for (let i = 0; i < geometries.length; i += WORKER_BATCH_SIZE) {
+            chunks.push(geometries.slice(i, i + WORKER_BATCH_SIZE));
+        }
+        
+        // 모든 묶음을 워커 풀에 먼저 맡기고, 도착하는 순서대로 메시 생성
+        // 취소되면 아직 워커에 보내지 않은 묶음은 풀에서 버려지고, 아래 throwIfAborted에서 중단
+        const jobs = chunks.map(chunk => this.workerPool.process(chunk, options, signal).catch((error) => {
+            if (signal && signal.aborted) {
+                return null;
+            }
+            console.warn('워커 전처리 실패, 메인 스레드에서 처리합니다:', error);
+            return GeometryProcessor.processAll(chunk, options);
+        }));
+        
+        let frameStart = performance.now();
+        let skipped = 0;
+        
+        for (let c = 0; c < chunks.length; c++) {
+            const processed = await jobs[c];
+            if (signal) {
+                signal.throwIfAborted();
+            }
+            
+            for (let i = 0; i < chunks[c].length; i++) {
+                if (performance.now() - frameStart > frameBudget) {
+                    await this.nextFrame();
+                    if (signal) {
+                        signal.throwIfAborted();
+                    }
+                    frameStart = performance.now();
+                }
+                
+                // 잘못된 레코드 하나 때문에 모델 전체 로드가 중단되지 않도록 건너뜀 (addIfcGeometry와 동일)
+                try {
+                    if (processed[i]) {
+                        this.createIfcMesh(chunks[c][i], processed[i]);
+                    } else {
+                        skipped++;
+                    }
+                } catch (error) {
+                    skipped++;
+                    console.warn('IFC 메시 생성 실패, 요소를 건너뜁니다:', chunks[c][i] && chunks[c][i].globalId, error);
+                }
+            }
+        }
+        
+        if (skipped > 0) {
+            console.warn(`형상 데이터가 잘못된 요소 ${skipped}개를 건너뛰었습니다.`);
+        }
+    }
+    
+    /**
+     * 다음 애니메이션 프레임까지 대기
+     * @returns {Promise<void>}
+     */
+    nextFrame() {
+        return new Promise(resolve => requestAnimationFrame(() => resolve()));
+    }
+    
+    /**
+     * 로드가 끝난 개별 메시들을 통합하여 드로우 콜 감소
+     * 같은 형상(평행이동만 다른)이 여러 개면 InstancedMesh로, 나머지는 같은 재질끼리 BatchedMesh로 합침
+     * 불투명도가 같은 MeshBasicMaterial은 색상만 다르므로 색상은 인스턴스 색상으로 옮기고 재질을 공유
+     */
+    optimize() {
+        if (!this.scene) {
+            return;
+        }
+        
+        // 아직 통합되지 않은 요소를 불투명도 + 형상 키로 그룹화
+        const groups = new Map();
+        this.elements.forEach(refs => refs.forEach(ref => {
+            if (ref.index !== null || !ref.geometryKey) {
+                return;
+            }
+            const key = `${ref.opacity}|${ref.geometryKey}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(ref);
+        }));
+        
+        const replacedMeshes = [];
+        const createdObjects = [];
+        const batchCandidates = new Map(); // 불투명도 → 요소 참조 배열
+        
+        groups.forEach(refs => {
+            refs.forEach(ref => replacedMeshes.push(ref.object));
+            
+            if (refs.length >= INSTANCE_MIN_COUNT) {
+                createdObjects.push(this.createInstancedGroup(refs));
+                return;
+            }
+            if (!batchCandidates.has(refs[0].opacity)) {
+                batchCandidates.set(refs[0].opacity, []);
+            }
+            batchCandidates.get(refs[0].opacity).push(...refs);
+        });
+        
+        batchCandidates.forEach(refs => createdObjects.push(...this.createBatchedGroups(refs)));
+        
+        // 통합된 개별 메시 제거
+        const replaced = new Set(replacedMeshes);
+        replaced.forEach(mesh => {
+            this.scene.remove(mesh);
+            this.objectElements.delete(mesh);
+            mesh.geometry.dispose(); // 재질은 moveElementTo에서 정리됨
+        });
+        this.ifcObjects = this.ifcObjects.filter(object => !replaced.has(object));
+        
+        // 통합 객체 추가 후 하이라이트/숨김 상태 다시 반영
+        createdObjects.forEach(object => {
+            this.scene.add(object);
+            this.ifcObjects.push(object);
+            this.objectElements.get(object).forEach(ref => this.applyElementState(ref));
+        });
+        
+        this.scheduleGhostUpdate();
+    }
+    
+    /**
+     * 같은 형상의 요소들을 InstancedMesh로 통합
+     * @param {Array} refs - 요소 참조 배열 (모두 같은 형상 키와 불투명도)
+     * @returns {THREE.InstancedMesh} 생성된 InstancedMesh
+     */
+    createInstancedGroup(refs) {
+        // 첫 요소의 Geometry를 기준점이 원점이 되도록 이동하여 공유
+        const [originX, originY, originZ] = refs[0].origin;
+        const geometry = refs[0].object.geometry.clone();
+        geometry.translate(-originX, -originY, -originZ);
+        
+        const mesh = new THREE.InstancedMesh(geometry, this.getBatchMaterial(refs[0].opacity), refs.length);
+        mesh.userData = { isIfcBatch: true };
+        mesh.scale.setScalar(0.001);
+        mesh.layers.enable(IFC_LAYER);
+        
+        refs.forEach((ref, index) => {
+            mesh.setMatrixAt(index, tempMatrix.makeTranslation(ref.origin[0], ref.origin[1], ref.origin[2]));
+            mesh.setColorAt(index, ref.color);
+            this.moveElementTo(ref, mesh, index);
+        });
+        
+        mesh.computeBoundingBox();
+        mesh.computeBoundingSphere();
+        this.objectElements.set(mesh, refs);
+        return mesh;
+    }
+    
+    /**
+     * 형상이 고유한 요소들을 BatchedMesh로 통합 (정점 수 제한에 따라 여러 개로 나눔)
+     * @param {Array} refs - 요소 참조 배열 (모두 같은 불투명도)
+     * @returns {THREE.BatchedMesh[]} 생성된 BatchedMesh 배열
+     */
+    createBatchedGroups(refs) {
+        const material = this.getBatchMaterial(refs[0].opacity);
+        const batches = [];
+        let start = 0;
+        
+        while (start < refs.length) {
+            let end = start;
+            let vertexCount = 0;
+            let indexCount = 0;
+            
+            while (end < refs.length) {
+                const geometry = refs[end].object.geometry;
+                const count = geometry.getAttribute('position').count;
+                if (end > start && vertexCount + count > BATCH_MAX_VERTICES) {
+                    break;
+                }
+                vertexCount += count;
+                indexCount += geometry.index.count;
+                end++;
+            }
+            
+            const chunk = refs.slice(start, end);
+            const batch = new THREE.BatchedMesh(chunk.length, vertexCount, indexCount, material);
+            batch.userData = { isIfcBatch: true };
+            batch.scale.setScalar(0.001);
+            batch.layers.enable(IFC_LAYER);
+            
+            const elementRefs = [];
+            chunk.forEach(ref => {
+                const geometryId = batch.addGeometry(ref.object.geometry);
+                const instanceId = batch.addInstance(geometryId);
+                batch.setColorAt(instanceId, ref.color);
+                elementRefs[instanceId] = ref;
+                this.moveElementTo(ref, batch, instanceId);
+            });
+            
+            batch.computeBoundingBox();
+            batch.computeBoundingSphere();
+            this.objectElements.set(batch, elementRefs);
+            batches.push(batch);
+            start = end;
+        }
+        
+        return batches;
+    }
+    
+    /**
+     * 요소 참조를 통합 객체로 이동 (개별 메시의 재질은 정리)
+     * @param {Object} ref - 요소 참조
+     * @param {THREE.Object3D} object - 통합 객체
+     * @param {number} index - 인스턴스/배치 ID
+     */
+    moveElementTo(ref, object, index) {
+        this.disposeElementMaterials(ref);
+        ref.object = object;
+        ref.index = index;
+        ref.material = object.material;
+    }
+    
+    /**
+     * 불투명도별 공유 재질 (색상은 인스턴스 색상으로 지정하므로 흰색)
+     * @param {number} opacity - 불투명도
+     * @returns {THREE.MeshBasicMaterial} 공유 재질
+     */
+    getBatchMaterial(opacity) {
+        if (!this.batchMaterials.has(opacity)) {
+            const material = new THREE.MeshBasicMaterial({
+                color: 0xffffff,
+                transparent: opacity < 1,
+                opacity
+            });
+            material.userData.isShared = true;
+            material.clippingPlanes = this.clippingPlanes;
+            this.batchMaterials.set(opacity, material);
+        }
+        return this.batchMaterials.get(opacity);
+    }
+    
+    /**
+     * 요소 색상 덮어쓰기 (하이라이트 등)
+     * @param {string} globalId - 객체 GUID
+     * @param {string|number|THREE.Color|null} color - 색상 (null이면 원래 색상으로 복원)
+     */
+    setElementColor(globalId, color) {
+        if (color === null || color === undefined) {
+            this.colorOverrides.delete(globalId);
+        } else {
+            this.colorOverrides.set(globalId, new THREE.Color(color));
+        }
+        
+        (this.elements.get(globalId) || []).forEach(ref => this.applyElementState(ref));
+    }
+    
+    /**
+     * 마우스를 올린 요소 표시 (원래 색상에 밝은 하늘색을 섞음, 선택 등 덮어쓴 색상이 우선)
+     * @param {string|null} globalId - 객체 GUID (null이면 해제)
+     */
+    setHoveredElement(globalId) {
+        if (globalId === this.hoveredId) {
+            return;
+        }
+        
+        const previousId = this.hoveredId;
+        this.hoveredId = globalId;
+        [previousId, globalId].forEach(id => {
+            (this.elements.get(id) || []).forEach(ref => this.applyElementState(ref));
+        });
+    }
+    
+    /**
+     * 요소에 적용할 색상 (덮어쓴 색상 → 마우스 올림 색상 순)
+     * @param {Object} ref - 요소 참조
+     * @returns {THREE.Color|null} 색상 (원래 색상이면 null)
+     */
+    getElementOverrideColor(ref) {
+        const overrideColor = this.colorOverrides.get(ref.globalId);
+        if (overrideColor) {
+            return overrideColor;
+        }
+        if (ref.globalId === this.hoveredId) {
+            return hoverColor.copy(ref.color).lerp(HOVER_TINT, HOVER_BLEND);
+        }
+        return null;
+    }
+    
+    /**
+     * 요소 표시/숨김
+     * @param {string} globalId - 객체 GUID
+     * @param {boolean} visible - 표시 여부
+     */
+    setElementVisible(globalId, visible) {
+        if (visible) {
+            this.hiddenIds.delete(globalId);
+        } else {
+            this.hiddenIds.add(globalId);
+        }
+        
+        (this.elements.get(globalId) || []).forEach(ref => this.applyElementState(ref));
+        
+        this.scheduleGhostUpdate();
+    }
+    
+    /**
+     * 숨길 요소 목록 설정 (목록에 없는 요소는 모두 표시, 바뀐 요소만 다시 반영)
+     * @param {Iterable<string>} globalIds - 숨길 globalId 목록
      */
-    createWireframe(mesh) {
+    setHiddenElements(globalIds) {
+        const next = new Set(globalIds);
+        const changed = [];
+        
+        this.hiddenIds.forEach(globalId => {
+            if (!next.has(globalId)) {
+                changed.push(globalId);
+            }
+        });
+        next.forEach(globalId => {
+            if (!this.hiddenIds.has(globalId)) {
+                changed.push(globalId);
+            }
+        });
+        if (changed.length === 0) {
+            return;
+        }
+        
+        this.hiddenIds = next;
+        changed.forEach(globalId => {
+            (this.elements.get(globalId) || []).forEach(ref => this.applyElementState(ref));
+        });
+        
+        this.scheduleGhostUpdate();
+    }
+    
+    /**
+     * 반투명 모드 설정 (지정한 요소만 그대로 그리고 나머지는 반투명하게 표시)
+     * InstancedMesh/BatchedMesh는 인스턴스별 투명도를 지원하지 않으므로
+     * 반투명 요소는 통합 객체에서 숨기고 별도의 합친 메시로 그림 (선택/레이캐스트 대상 아님)
+     * @param {Iterable<string>} globalIds - 그대로 그릴 globalId 목록
+     */
+    setGhostedExcept(globalIds) {
+        this.ghostKeepIds = new Set(globalIds);
+        this.elements.forEach(refs => refs.forEach(ref => this.applyElementState(ref)));
+        this.updateGhostObject();
+    }
+    
+    /**
+     * 반투명 모드 해제
+     */
+    clearGhost() {
+        if (!this.ghostKeepIds) {
+            return;
+        }
+        
+        this.ghostKeepIds = null;
+        this.elements.forEach(refs => refs.forEach(ref => this.applyElementState(ref)));
+        this.updateGhostObject();
+    }
+    
+    /**
+     * 반투명으로 표시 중인 요소인지 확인
+     * @param {string} globalId - 객체 GUID
+     * @returns {boolean} 반투명 여부
+     */
+    isElementGhosted(globalId) {
+        return this.ghostKeepIds !== null && !this.ghostKeepIds.has(globalId);
+    }
+    
+    /**
+     * 통합 객체에 그리는 요소인지 확인 (숨기거나 반투명으로 표시 중이면 false)
+     * @param {string} globalId - 객체 GUID
+     * @returns {boolean} 그리는 요소면 true
+     */
+    isElementRendered(globalId) {
+        return !this.hiddenIds.has(globalId) && !this.isElementGhosted(globalId);
+    }
+    
+    /**
+     * 반투명 메시 재생성을 다음 프레임으로 미룸 (반투명 모드일 때만)
+     * 모델 전체를 다시 합치므로, 트리 체크박스를 연달아 바꾸는 등 표시 상태가 여러 번 바뀌어도 프레임당 한 번만 처리
+     */
+    scheduleGhostUpdate() {
+        if (!this.ghostKeepIds || this.ghostUpdateFrame !== null) {
+            return;
+        }
+        
+        this.ghostUpdateFrame = requestAnimationFrame(() => {
+            this.ghostUpdateFrame = null;
+            this.updateGhostObject();
+        });
+    }
+    
+    /**
+     * 반투명 요소(숨긴 요소 제외)를 하나의 메시로 합쳐 다시 생성 (예약된 재생성은 취소)
+     */
+    updateGhostObject() {
+        if (this.ghostUpdateFrame !== null) {
+            cancelAnimationFrame(this.ghostUpdateFrame);
+            this.ghostUpdateFrame = null;
+        }
+        if (this.ghostObject) {
+            this.scene.remove(this.ghostObject);
+            this.disposeObject(this.ghostObject);
+            this.ghostObject = null;
+        }
+        if (!this.ghostKeepIds) {
+            return;
+        }
+        
+        const parts = [];
+        let vertexCount = 0;
+        let indexCount = 0;
+        this.elements.forEach((refs, globalId) => {
+            if (this.hiddenIds.has(globalId) || !this.isElementGhosted(globalId)) {
+                return;
+            }
+            refs.forEach(ref => {
+                const geometry = this.extractElementGeometry(ref);
+                const count = geometry.getAttribute('position').count;
+                parts.push({ ref, geometry });
+                vertexCount += count;
+                indexCount += geometry.index ? geometry.index.count : count;
+            });
+        });
+        if (parts.length === 0) {
+            return;
+        }
+        
+        // 요소 Geometry의 위치/인덱스만 이어 붙임 (mm 좌표)
+        const positions = new Float32Array(vertexCount * 3);
+        const indices = new Uint32Array(indexCount);
+        let vertexOffset = 0;
+        let indexOffset = 0;
+        parts.forEach(({ ref, geometry }) => {
+            const position = geometry.getAttribute('position');
+            positions.set(position.array.subarray(0, position.count * 3), vertexOffset * 3);
+            
+            const count = geometry.index ? geometry.index.count : position.count;
+            for (let i = 0; i < count; i++) {
+                indices[indexOffset + i] = (geometry.index ? geometry.index.getX(i) : i) + vertexOffset;
+            }
+            vertexOffset += position.count;
+            indexOffset += count;
+            
+            if (geometry !== ref.object.geometry) {
+                geometry.dispose();
+            }
+        });
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        
+        const material = new THREE.MeshBasicMaterial({
+            color: GHOST_COLOR,
+            transparent: true,
+            opacity: GHOST_OPACITY,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        material.clippingPlanes = this.clippingPlanes;
+        
+        this.ghostObject = new THREE.Mesh(geometry, material);
+        this.ghostObject.userData = { type: 'ghost' };
+        this.ghostObject.scale.setScalar(0.001);
+        this.ghostObject.renderOrder = 1; // 불투명한 요소 뒤에 그림
+        this.scene.add(this.ghostObject);
+    }
+    
+    /**
+     * 요소 표시 여부
+     * @param {string} globalId - 객체 GUID
+     * @returns {boolean} 표시 여부
+     */
+    isElementVisible(globalId) {
+        return !this.hiddenIds.has(globalId);
+    }
+    
+    /**
+     * 요소의 색상/표시 상태를 렌더링 객체에 반영
+     * @param {Object} ref - 요소 참조
+     */
+    applyElementState(ref) {
+        const overrideColor = this.getElementOverrideColor(ref);
+        const visible = this.isElementRendered(ref.globalId);
+        const object = ref.object;
+        
+        if (ref.index === null) {
+            // 개별 메시: 재질을 복제하여 색상만 변경
+            if (overrideColor) {
+                if (!ref.overrideMaterial) {
+                    ref.overrideMaterial = ref.material.clone();
+                    ref.overrideMaterial.clippingPlanes = this.clippingPlanes; // clone은 평면을 복사하므로 다시 공유
+                }
+                ref.overrideMaterial.color.copy(overrideColor);
+                object.material = ref.overrideMaterial;
+            } else {
+                object.material = ref.material;
+            }
+            object.visible = visible;
+        } else if (object.isInstancedMesh) {
+            // InstancedMesh: 숨길 때는 크기 0 행렬로 교체
+            object.setColorAt(ref.index, overrideColor || ref.color);
+            object.setMatrixAt(ref.index, visible
+                ? tempMatrix.makeTranslation(ref.origin[0], ref.origin[1], ref.origin[2])
+                : HIDDEN_MATRIX);
+            object.instanceColor.needsUpdate = true;
+            object.instanceMatrix.needsUpdate = true;
+        } else {
+            // BatchedMesh
+            object.setColorAt(ref.index, overrideColor || ref.color);
+            object.setVisibleAt(ref.index, visible);
+        }
+        
+        if (ref.wireframe) {
+            ref.wireframe.visible = visible;
+        }
+    }
+    
+    /**
+     * 레이캐스트 대상 객체
+     * @returns {THREE.Object3D[]} IFC 렌더링 객체 배열
+     */
+    getPickableObjects() {
+        return this.ifcObjects;
+    }
+    
+    /**
+     * 레이캐스트 교차 결과에서 요소 GUID 찾기 (숨기거나 반투명으로 표시 중인 요소는 제외)
+     * @param {Object} intersect - Raycaster 교차 결과
+     * @returns {string|null} GUID 또는 null
+     */
+    getGlobalIdFromIntersection(intersect) {
+        const ref = this.getRefFromIntersection(intersect);
+        return ref ? ref.globalId : null;
+    }
+    
+    /**
+     * 레이캐스트 교차 결과에서 요소 참조 찾기 (숨기거나 반투명으로 표시 중인 요소는 제외)
+     * @param {Object} intersect - Raycaster 교차 결과
+     * @returns {Object|null} 요소 참조 또는 null
+     */
+    getRefFromIntersection(intersect) {
+        const refs = this.objectElements.get(intersect.object);
+        if (!refs) {
+            return null;
+        }
+        
+        // InstancedMesh는 instanceId, BatchedMesh는 batchId, 개별 메시는 0
+        const ref = refs[intersect.instanceId ?? intersect.batchId ?? 0];
+        if (!ref || !this.isElementRendered(ref.globalId)) {
+            return null;
+        }
+        return ref;
+    }
+    
+    /**
+     * 교차한 삼각형의 Geometry 좌표를 월드 좌표로 바꾸는 행렬 (인스턴스/배치 행렬 포함)
+     * @param {Object} intersect - Raycaster 교차 결과
+     * @returns {THREE.Matrix4} 변환 행렬
+     */
+    getIntersectionMatrix(intersect) {
+        const object = intersect.object;
+        const matrix = object.matrixWorld.clone();
+        const instanceId = intersect.instanceId ?? intersect.batchId;
+        
+        if (instanceId !== undefined && object.getMatrixAt) {
+            matrix.multiply(object.getMatrixAt(instanceId, tempMatrix));
+        }
+        return matrix;
+    }
+    
+    /**
+     * 교차한 요소의 윤곽선 (측정 스냅용, 처음 요청할 때 계산하여 보관)
+     * @param {Object} intersect - Raycaster 교차 결과
+     * @returns {{positions: Float32Array, matrix: THREE.Matrix4}|null} 요소 mm 좌표 선분 정점(두 점씩 한 선분)과 월드 변환 행렬
+     */
+    getIntersectionEdges(intersect) {
+        const ref = this.getRefFromIntersection(intersect);
+        if (!ref) {
+            return null;
+        }
+        
+        if (!ref.edges) {
+            ref.edges = this.computeElementEdges(ref);
+        }
+        
+        // 윤곽선은 요소 자체 좌표(mm)이므로 통합 객체의 인스턴스 행렬 없이 스케일만 적용
+        return { positions: ref.edges, matrix: ref.object.matrixWorld };
+    }
+    
+    /**
+     * 요소에 대한 윤곽선 생성
+     * @param {Object} ref - 윤곽선을 생성할 요소 참조
+     */
+    createWireframe(ref) {
+        if (ref.wireframe) {
+            return;
+        }
+        
         try {
-            // EdgeGeometry를 사용한 윤곽선 추출
-            const edges = new THREE.EdgesGeometry(mesh.geometry);
+            // 워커에서 추출한 윤곽선이 있으면 사용, 없으면 EdgeGeometry로 추출
+            if (!ref.edges) {
+                ref.edges = this.computeElementEdges(ref);
+            }
+            const edges = new THREE.BufferGeometry();
+            edges.setAttribute('position', new THREE.BufferAttribute(ref.edges, 3));
+            
             const wireframeMaterial = new THREE.LineBasicMaterial({
                 color: 0x000000, // 검은색 윤곽선
                 linewidth: 1,
                 transparent: true,
                 opacity: 0.8
             });
+            wireframeMaterial.clippingPlanes = this.clippingPlanes;
             
             const wireframe = new THREE.LineSegments(edges, wireframeMaterial);
             wireframe.userData = {
-                globalId: mesh.userData.globalId + '_wireframe',
-                ifcType: mesh.userData.ifcType + '_wireframe',
-                parentMesh: mesh
+                globalId: ref.globalId + '_wireframe',
+                ifcType: ref.ifcType + '_wireframe'
             };
             
-            // 메시와 동일한 변환 적용
-            wireframe.position.copy(mesh.position);
-            wireframe.rotation.copy(mesh.rotation);
-            wireframe.scale.copy(mesh.scale);
+            // 윤곽선 정점은 요소의 mm 좌표이므로 메시와 같은 스케일 적용
+            wireframe.scale.setScalar(0.001);
+            wireframe.visible = this.isElementRendered(ref.globalId);
             
             this.scene.add(wireframe);
             this.wireframeObjects.push(wireframe);
+            ref.wireframe = wireframe;
             
         } catch (error) {
             // 윤곽선 생성 실패 시 무시
         }
     }
     
+    /**
+     * 요소 Geometry에서 윤곽선 정점 추출
+     * @param {Object} ref - 요소 참조
+     * @returns {Float32Array} 윤곽선 정점 (mm)
+     */
+    computeElementEdges(ref) {
+        const geometry = this.extractElementGeometry(ref);
+        const edges = new THREE.EdgesGeometry(geometry);
+        const positions = edges.getAttribute('position').array;
+        
+        edges.dispose();
+        if (geometry !== ref.object.geometry) {
+            geometry.dispose();
+        }
+        return positions;
+    }
+    
+    /**
+     * 통합 객체에서 요소 하나의 Geometry 추출 (개별 메시는 그대로 반환)
+     * @param {Object} ref - 요소 참조
+     * @returns {THREE.BufferGeometry} 요소의 mm 좌표 Geometry
+     */
+    extractElementGeometry(ref) {
+        const object = ref.object;
+        
+        if (ref.index === null) {
+            return object.geometry;
+        }
+        
+        if (object.isInstancedMesh) {
+            const geometry = object.geometry.clone();
+            geometry.translate(ref.origin[0], ref.origin[1], ref.origin[2]);
+            return geometry;
+        }
+        
+        // BatchedMesh: 공유 버퍼에서 해당 범위만 잘라내고 인덱스를 0부터 다시 매김
+        const range = object.getGeometryRangeAt(object.getGeometryIdAt(ref.index));
+        const source = object.geometry;
+        const positions = source.getAttribute('position').array.slice(
+            range.vertexStart * 3,
+            (range.vertexStart + range.vertexCount) * 3
+        );
+        const indices = new Uint32Array(range.indexCount);
+        for (let i = 0; i < range.indexCount; i++) {
+            indices[i] = source.index.getX(range.indexStart + i) - range.vertexStart;
+        }
+        
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+        return geometry;
+    }
+    
     /**
      * 윤곽선 표시/숨김 토글
      * @param {boolean} show - 윤곽선 표시 여부
@@ -306,10 +1169,10 @@ export class ModelRenderer {
         this.showWireframe = show;
         
         if (show) {
-            // 기존 메시들에 대해 윤곽선 생성
-            this.ifcObjects.forEach(mesh => {
-                this.createWireframe(mesh);
-            });
+            // 기존 요소들에 대해 윤곽선 생성
+            this.elements.forEach(refs => refs.forEach(ref => {
+                this.createWireframe(ref);
+            }));
         } else {
             // 윤곽선 제거
             this.clearWireframes();
@@ -330,6 +1193,9 @@ export class ModelRenderer {
             }
         });
         this.wireframeObjects = [];
+        this.elements.forEach(refs => refs.forEach(ref => {
+            ref.wireframe = null;
+        }));
     }
     
     /**
@@ -355,4 +1221,15 @@ export class ModelRenderer {
             }
         });
     }
-}
\ No newline at end of file
+    
+    /**
+     * 정리 (워커 종료)
+     */
+    dispose() {
+        if (this.ghostUpdateFrame !== null) {
+            cancelAnimationFrame(this.ghostUpdateFrame);
+            this.ghostUpdateFrame = null;
+        }
+        this.workerPool.dispose();
+    }
+}
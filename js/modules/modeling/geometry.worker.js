@@ -0,0 +1,16 @@
+/**
+ * Geometry 전처리 워커
+ * GeometryWorkerPool에서 받은 레코드를 전처리하고 결과 버퍼를 transfer로 돌려줌
+ */
+import { GeometryProcessor } from './GeometryProcessor.js';
+
+self.onmessage = (event) => {
+    const { id, records, options } = event.data;
+
+    try {
+        const results = GeometryProcessor.processAll(records, options);
+        self.postMessage({ id, results }, GeometryProcessor.getTransferables(results));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
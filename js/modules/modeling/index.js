@@ -1,4 +1,6 @@
 /**
  * 모델링 모듈 인덱스
  */
-export { ModelRenderer } from './ModelRenderer.js';
+export { ModelRenderer, IFC_LAYER } from './ModelRenderer.js';
+export { GeometryWorkerPool } from './GeometryWorkerPool.js';
+export { GeometryProcessor } from './GeometryProcessor.js';
@@ -0,0 +1,220 @@
+/**
+ * 박스 선택 조작 모듈
+ * Shift + 좌클릭 드래그로 화면에 사각형을 그려 요소를 선택 (Ctrl을 함께 누르면 기존 선택에 추가)
+ * 왼쪽→오른쪽으로 그리면 사각형 안에 완전히 들어간 요소만, 오른쪽→왼쪽이면 사각형에 걸친 요소까지 선택
+ * 요소 바운딩 박스의 꼭짓점을 화면에 투영한 범위로 판정하며, 숨기거나 반투명인 요소와 단면에 완전히 잘린 요소는 제외
+ */
+import * as THREE from 'three';
+
+const MIN_DRAG_PIXELS = 5; // 이보다 작게 그리면 Shift 클릭으로 처리
+
+export class BoxSelectionControls {
+    /**
+     * @param {ThreeJSViewer} viewer - 뷰어 (camera, container, controls, modelRenderer, measurementControls 사용)
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.drag = null; // { startX, startY, endX, endY } (컨테이너 기준 px)
+
+        this.rectangle = document.createElement('div');
+        this.rectangle.className = 'selection-rectangle hidden';
+        this.viewer.container.appendChild(this.rectangle);
+    }
+
+    /**
+     * 마우스 다운 처리 (Shift + 좌클릭이면 박스 선택 시작)
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {boolean} 이벤트를 처리했는지 여부 (true면 카메라 조작 생략)
+     */
+    onMouseDown(event) {
+        if (event.button !== 0 || !event.shiftKey || this.viewer.measurementControls.isActive() || this.viewer.sectionPlanePicking) {
+            return false;
+        }
+
+        const { x, y } = this.getContainerPoint(event);
+        this.drag = { startX: x, startY: y, endX: x, endY: y };
+
+        // 캔버스의 컨트롤이 먼저 받은 회전 시작을 취소
+        if (this.viewer.controls) {
+            this.viewer.controls.cancel();
+        }
+        event.preventDefault();
+        return true;
+    }
+
+    /**
+     * 마우스 이동 처리 (선택 사각형 갱신)
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {boolean} 박스 선택 중이면 true
+     */
+    onMouseMove(event) {
+        if (!this.drag) {
+            return false;
+        }
+
+        // 뷰어 밖에서 버튼을 놓은 경우 취소
+        if ((event.buttons & 1) === 0) {
+            this.cancel();
+            return false;
+        }
+
+        const { x, y } = this.getContainerPoint(event);
+        this.drag.endX = x;
+        this.drag.endY = y;
+
+        const rect = this.getRect();
+        this.rectangle.classList.toggle('hidden', !this.isDragged());
+        this.rectangle.classList.toggle('crossing', this.isCrossing());
+        Object.assign(this.rectangle.style, {
+            left: `${rect.left}px`,
+            top: `${rect.top}px`,
+            width: `${rect.right - rect.left}px`,
+            height: `${rect.bottom - rect.top}px`
+        });
+        return true;
+    }
+
+    /**
+     * 마우스 업 처리 (사각형 안의 요소 선택)
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {boolean} 박스 선택으로 처리했으면 true (작게 그렸으면 false로 클릭 처리)
+     */
+    onMouseUp(event) {
+        if (!this.drag) {
+            return false;
+        }
+
+        const dragged = this.isDragged();
+        if (dragged) {
+            const globalIds = this.findElementsInRect(this.getRect(), this.isCrossing());
+            this.viewer.selectElements(globalIds, event.ctrlKey || event.metaKey ? 'add' : 'replace');
+        }
+
+        this.cancel();
+        return dragged;
+    }
+
+    /**
+     * 박스 선택 취소
+     */
+    cancel() {
+        this.drag = null;
+        this.rectangle.classList.add('hidden');
+    }
+
+    /**
+     * 사각형 안의 요소 찾기
+     * @param {{left: number, top: number, right: number, bottom: number}} rect - 컨테이너 기준 화면 사각형 (px)
+     * @param {boolean} crossing - true면 걸친 요소 포함, false면 완전히 들어간 요소만
+     * @returns {string[]} 요소 GUID 배열
+     */
+    findElementsInRect(rect, crossing) {
+        const modelRenderer = this.viewer.modelRenderer;
+        const camera = this.viewer.camera;
+        const width = this.viewer.container.clientWidth;
+        const height = this.viewer.container.clientHeight;
+
+        const box = new THREE.Box3();
+        const corner = new THREE.Vector3();
+        const globalIds = [];
+
+        camera.updateMatrixWorld();
+        modelRenderer.elements.forEach((refs, globalId) => {
+            if (!modelRenderer.isElementRendered(globalId)) {
+                return;
+            }
+
+            // 요소(여러 Geometry)의 화면 범위
+            let left = Infinity;
+            let top = Infinity;
+            let right = -Infinity;
+            let bottom = -Infinity;
+            let clipped = true;
+            let behind = false; // 원근 카메라에서 카메라 뒤에 있는 꼭짓점 (완전히 들어간 것으로 보지 않음)
+
+            refs.forEach(ref => {
+                modelRenderer.computeElementBox(ref, box);
+                if (modelRenderer.isBoxClipped(box)) {
+                    return;
+                }
+                clipped = false;
+
+                for (let i = 0; i < 8; i++) {
+                    corner.set(
+                        i & 1 ? box.max.x : box.min.x,
+                        i & 2 ? box.max.y : box.min.y,
+                        i & 4 ? box.max.z : box.min.z
+                    ).project(camera);
+                    behind = behind || corner.z > 1;
+
+                    const x = (corner.x + 1) / 2 * width;
+                    const y = (1 - corner.y) / 2 * height;
+                    left = Math.min(left, x);
+                    right = Math.max(right, x);
+                    top = Math.min(top, y);
+                    bottom = Math.max(bottom, y);
+                }
+            });
+
+            if (clipped) {
+                return;
+            }
+
+            const inside = crossing
+                ? left <= rect.right && right >= rect.left && top <= rect.bottom && bottom >= rect.top
+                : !behind && left >= rect.left && right <= rect.right && top >= rect.top && bottom <= rect.bottom;
+            if (inside) {
+                globalIds.push(globalId);
+            }
+        });
+
+        return globalIds;
+    }
+
+    /**
+     * 현재 선택 사각형 (컨테이너 기준 px)
+     * @returns {{left: number, top: number, right: number, bottom: number}} 사각형
+     */
+    getRect() {
+        const { startX, startY, endX, endY } = this.drag;
+        return {
+            left: Math.min(startX, endX),
+            top: Math.min(startY, endY),
+            right: Math.max(startX, endX),
+            bottom: Math.max(startY, endY)
+        };
+    }
+
+    /**
+     * 오른쪽에서 왼쪽으로 그리는 중인지 (걸친 요소까지 선택)
+     * @returns {boolean} 걸침 선택 여부
+     */
+    isCrossing() {
+        return this.drag.endX < this.drag.startX;
+    }
+
+    /**
+     * 클릭이 아닌 드래그로 볼 만큼 그렸는지
+     * @returns {boolean} 드래그 여부
+     */
+    isDragged() {
+        return Math.abs(this.drag.endX - this.drag.startX) > MIN_DRAG_PIXELS || Math.abs(this.drag.endY - this.drag.startY) > MIN_DRAG_PIXELS;
+    }
+
+    /**
+     * 마우스 위치를 컨테이너 기준 좌표로 변환
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {{x: number, y: number}} 컨테이너 기준 좌표 (px)
+     */
+    getContainerPoint(event) {
+        const rect = this.viewer.container.getBoundingClientRect();
+        return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+    }
+
+    /**
+     * 정리
+     */
+    dispose() {
+        this.rectangle.remove();
+    }
+}
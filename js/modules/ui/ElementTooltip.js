@@ -0,0 +1,63 @@
+/**
+ * 요소 툴팁 모듈
+ * 뷰포트에서 마우스를 올린 요소의 IFC 타입, 이름, GlobalId를 커서 옆에 표시
+ */
+
+const CURSOR_OFFSET = 14; // 커서와 툴팁 사이 간격 (px)
+
+export class ElementTooltip {
+    /**
+     * @param {HTMLElement} container - 툴팁을 표시할 뷰어 컨테이너
+     */
+    constructor(container) {
+        this.container = container;
+        this.element = document.createElement('div');
+        this.element.className = 'element-tooltip hidden';
+        this.container.appendChild(this.element);
+    }
+
+    /**
+     * 툴팁 표시
+     * @param {{type: string, name: string, globalId: string}} info - 표시할 요소 정보
+     * @param {number} x - 컨테이너 기준 커서 X (px)
+     * @param {number} y - 컨테이너 기준 커서 Y (px)
+     */
+    show(info, x, y) {
+        const rows = [
+            ['element-tooltip-type', info.type],
+            ['element-tooltip-name', info.name],
+            ['element-tooltip-guid', info.globalId]
+        ];
+
+        this.element.innerHTML = '';
+        rows.filter(([, text]) => text).forEach(([className, text]) => {
+            const row = document.createElement('div');
+            row.className = className;
+            row.textContent = text;
+            this.element.appendChild(row);
+        });
+        this.element.classList.remove('hidden');
+
+        // 컨테이너 밖으로 나가면 커서 반대쪽에 표시
+        const width = this.element.offsetWidth;
+        const height = this.element.offsetHeight;
+        const left = x + CURSOR_OFFSET + width > this.container.clientWidth ? x - CURSOR_OFFSET - width : x + CURSOR_OFFSET;
+        const top = y + CURSOR_OFFSET + height > this.container.clientHeight ? y - CURSOR_OFFSET - height : y + CURSOR_OFFSET;
+        this.element.style.left = `${Math.max(0, left)}px`;
+        this.element.style.top = `${Math.max(0, top)}px`;
+    }
+
+    /**
+     * 툴팁 숨기기
+     */
+    hide() {
+        this.element.classList.add('hidden');
+    }
+
+    /**
+     * 정리
+     */
+    dispose() {
+        this.element.remove();
+    }
+}
@@ -0,0 +1,216 @@
+/**
+ * 측정 조작 모듈
+ * 측정 모드에서 마우스 위치의 모델 점을 꼭짓점/모서리/면 순서로 스냅하여 미리 보여주고, 클릭하면 점을 추가
+ * 거리/각도는 점 수가 차면 자동으로 끝나고, 연속 거리/면적은 더블클릭이나 Enter로 끝냄
+ * Backspace: 마지막 점 취소, Esc: 측정 중인 선 취소 (없으면 측정 모드 종료)
+ */
+import * as THREE from 'three';
+import { MEASUREMENT_TYPES } from './Measurements.js';
+
+const SNAP_PIXELS = 10; // 꼭짓점/모서리 스냅 거리 (화면 픽셀)
+const DUPLICATE_DISTANCE = 1e-6; // 같은 점으로 볼 거리 (m, 더블클릭 시 중복 점 제거)
+
+export class MeasurementControls {
+    /**
+     * @param {ThreeJSViewer} viewer - 뷰어 (camera, container, eventManager, modelRenderer, measurements 사용)
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.mode = null; // 측정 종류 (MEASUREMENT_TYPES 키) 또는 null
+        this.points = []; // 확정된 점
+        this.snap = null; // 현재 마우스 위치의 스냅 결과 { point, kind }
+    }
+
+    /**
+     * 측정 모드인지 여부
+     * @returns {boolean} 활성 여부
+     */
+    isActive() {
+        return this.mode !== null;
+    }
+
+    /**
+     * 측정 모드 설정 (측정 중인 선은 취소)
+     * @param {string|null} mode - 측정 종류 또는 null(종료)
+     */
+    setMode(mode) {
+        this.mode = MEASUREMENT_TYPES[mode] ? mode : null;
+        this.points = [];
+        this.snap = null;
+        this.viewer.measurements.clearDraft();
+        this.viewer.measurements.setSnapMarker(null);
+        this.viewer.container.style.cursor = this.mode ? 'crosshair' : '';
+    }
+
+    /**
+     * 마우스 이동 처리 (스냅 위치와 미리보기 선 갱신, 카메라 조작은 막지 않음)
+     * @param {MouseEvent} event - 마우스 이벤트
+     */
+    onMouseMove(event) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        // 카메라를 조작하는 중에는 스냅 계산 생략
+        this.snap = event.buttons === 0 ? this.findSnap(event) : null;
+        this.viewer.measurements.setSnapMarker(this.snap && this.snap.point, this.snap && this.snap.kind);
+        this.updateDraft();
+    }
+
+    /**
+     * 클릭 처리 (스냅된 점 추가)
+     * @param {MouseEvent} event - 마우스 이벤트
+     */
+    onClick(event) {
+        const snap = this.findSnap(event);
+        if (!snap) {
+            return;
+        }
+
+        this.points.push(snap.point);
+        if (this.points.length >= MEASUREMENT_TYPES[this.mode].maxPoints) {
+            this.finish();
+        } else {
+            this.updateDraft();
+        }
+    }
+
+    /**
+     * 더블클릭 처리 (연속 거리/면적 측정 끝내기)
+     * @returns {boolean} 측정 모드에서 처리했으면 true
+     */
+    onDoubleClick() {
+        if (!this.isActive()) {
+            return false;
+        }
+
+        this.finish();
+        return true;
+    }
+
+    /**
+     * 키보드 처리
+     * @param {KeyboardEvent} event - 키보드 이벤트
+     */
+    onKeyDown(event) {
+        if (!this.isActive()) {
+            return;
+        }
+
+        if (event.key === 'Enter') {
+            this.finish();
+        } else if (event.key === 'Backspace' && this.points.length > 0) {
+            event.preventDefault();
+            this.points.pop();
+            this.updateDraft();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            if (this.points.length > 0) {
+                this.points = [];
+                this.updateDraft();
+            } else {
+                this.viewer.setMeasurementMode(null);
+            }
+        }
+    }
+
+    /**
+     * 측정 완료 (점 수가 부족하면 계속 측정)
+     */
+    finish() {
+        // 더블클릭으로 같은 위치에 연속 추가된 점 제거
+        const points = this.points.filter((point, index) => index === 0 || point.distanceTo(this.points[index - 1]) > DUPLICATE_DISTANCE);
+        if (points.length < MEASUREMENT_TYPES[this.mode].minPoints) {
+            this.points = points;
+            this.updateDraft();
+            return;
+        }
+
+        this.viewer.addMeasurement(this.mode, points);
+        this.points = [];
+        this.updateDraft();
+    }
+
+    /**
+     * 확정된 점과 마우스 위치로 미리보기 선 갱신
+     */
+    updateDraft() {
+        const points = this.snap && this.points.length > 0 ? [...this.points, this.snap.point] : this.points;
+        this.viewer.measurements.setDraft(this.mode, points);
+    }
+
+    /**
+     * 마우스 위치의 스냅 점 찾기
+     * 교차한 요소의 윤곽선 꼭짓점 → 모서리 → 교차점 순으로 화면 거리 SNAP_PIXELS 안의 점을 사용
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {{point: THREE.Vector3, kind: string}|null} 스냅 결과
+     */
+    findSnap(event) {
+        const modelRenderer = this.viewer.modelRenderer;
+        const intersect = this.viewer.eventManager.pickModel(event)
+            .find(item => modelRenderer.getGlobalIdFromIntersection(item));
+        if (!intersect) {
+            return null;
+        }
+
+        // 화면 좌표 (px, 컨테이너 기준)
+        const rect = this.viewer.container.getBoundingClientRect();
+        const mouse = new THREE.Vector2(event.clientX - rect.left, event.clientY - rect.top);
+        const projected = new THREE.Vector3();
+        const screenDistance = (point) => {
+            projected.copy(point).project(this.viewer.camera);
+            return Math.hypot((projected.x + 1) / 2 * rect.width - mouse.x, (1 - projected.y) / 2 * rect.height - mouse.y);
+        };
+
+        const edges = modelRenderer.getIntersectionEdges(intersect);
+
+        let vertex = null;
+        let vertexDistance = SNAP_PIXELS;
+        let edgePoint = null;
+        let edgeDistance = SNAP_PIXELS;
+
+        if (edges) {
+            const start = new THREE.Vector3();
+            const end = new THREE.Vector3();
+            const segment = new THREE.Line3();
+            const closest = new THREE.Vector3();
+            const positions = edges.positions;
+
+            for (let i = 0; i + 5 < positions.length; i += 6) {
+                start.fromArray(positions, i).applyMatrix4(edges.matrix);
+                end.fromArray(positions, i + 3).applyMatrix4(edges.matrix);
+
+                [start, end].forEach(point => {
+                    const distance = screenDistance(point);
+                    if (distance < vertexDistance) {
+                        vertex = point.clone();
+                        vertexDistance = distance;
+                    }
+                });
+
+                // 모서리 위에서 교차점에 가장 가까운 점
+                segment.set(start, end).closestPointToPoint(intersect.point, true, closest);
+                const distance = screenDistance(closest);
+                if (distance < edgeDistance) {
+                    edgePoint = closest.clone();
+                    edgeDistance = distance;
+                }
+            }
+        }
+
+        if (vertex) {
+            return { point: vertex, kind: 'vertex' };
+        }
+        if (edgePoint) {
+            return { point: edgePoint, kind: 'edge' };
+        }
+        return { point: intersect.point.clone(), kind: 'surface' };
+    }
+
+    /**
+     * 측정 중인 상태 초기화 (모델을 다시 불러올 때)
+     */
+    reset() {
+        this.setMode(null);
+    }
+}
@@ -0,0 +1,347 @@
+/**
+ * 측정 모듈
+ * 거리/연속 거리/각도/면적 측정 결과를 3D 선과 뷰포트 라벨로 표시하고 목록으로 관리
+ * 모든 점은 ModelRenderer의 0.001 스케일이 적용된 월드 좌표(m)이며, 표시 단위만 m/mm로 바꿈
+ */
+import * as THREE from 'three';
+
+// 측정 종류별 설정 (필요한 최소 점 수, 고정 점 수, 목록 표시 이름)
+export const MEASUREMENT_TYPES = {
+    distance: { minPoints: 2, maxPoints: 2, label: '거리' },
+    polyline: { minPoints: 2, maxPoints: Infinity, label: '연속 거리' },
+    angle: { minPoints: 3, maxPoints: 3, label: '각도' },
+    area: { minPoints: 3, maxPoints: Infinity, label: '면적' }
+};
+
+const LINE_COLOR = 0xffd32a;
+const DRAFT_COLOR = 0x00d4ff;
+const SNAP_COLORS = { vertex: 0xff3f34, edge: 0xff9f1a, surface: 0x00d4ff };
+const POINT_SIZE = 8; // 점 표시 크기 (화면 픽셀)
+
+/**
+ * 측정값 계산
+ * @param {string} type - 측정 종류
+ * @param {THREE.Vector3[]} points - 측정 점 (m)
+ * @returns {number} 길이(m), 면적(m²) 또는 각도(도)
+ */
+export function computeMeasurementValue(type, points) {
+    if (type === 'angle') {
+        const a = points[0].clone().sub(points[1]);
+        const b = points[2].clone().sub(points[1]);
+        return THREE.MathUtils.radToDeg(a.angleTo(b));
+    }
+
+    if (type === 'area') {
+        // Newell 방법: 평면 다각형의 면적 벡터 크기의 절반
+        const normal = new THREE.Vector3();
+        points.forEach((point, index) => {
+            normal.add(point.clone().cross(points[(index + 1) % points.length]));
+        });
+        return normal.length() / 2;
+    }
+
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += points[i].distanceTo(points[i - 1]);
+    }
+    return length;
+}
+
+export class Measurements {
+    /**
+     * @param {THREE.Scene} scene - 측정 선을 추가할 씬
+     * @param {HTMLElement} container - 라벨을 표시할 뷰어 컨테이너
+     */
+    constructor(scene, container) {
+        this.scene = scene;
+        this.container = container;
+        this.entries = []; // { id, type, points, value, object, label }
+        this.nextId = 1;
+        this.unit = 'm'; // 'm' 또는 'mm'
+
+        this.labelLayer = document.createElement('div');
+        this.labelLayer.className = 'measurement-labels';
+        this.container.appendChild(this.labelLayer);
+
+        this.draft = null; // 측정 중인 선 { object, label }
+        this.snapMarker = this.createSnapMarker();
+        this.scene.add(this.snapMarker);
+    }
+
+    /**
+     * 측정 추가
+     * @param {string} type - 측정 종류 (MEASUREMENT_TYPES 키)
+     * @param {THREE.Vector3[]} points - 측정 점 (m)
+     * @returns {Object} 추가된 측정 항목
+     */
+    add(type, points) {
+        const entry = {
+            id: this.nextId++,
+            type,
+            points: points.map(point => point.clone()),
+            value: computeMeasurementValue(type, points),
+            object: this.createObject(type, points, LINE_COLOR),
+            label: this.createLabel('measurement-label')
+        };
+
+        entry.label.textContent = this.formatValue(entry.type, entry.value);
+        this.scene.add(entry.object);
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * 측정 제거
+     * @param {number} id - 측정 ID
+     */
+    remove(id) {
+        const entry = this.entries.find(item => item.id === id);
+        if (!entry) {
+            return;
+        }
+
+        this.disposeEntry(entry);
+        this.entries = this.entries.filter(item => item !== entry);
+    }
+
+    /**
+     * 모든 측정 제거
+     */
+    clear() {
+        this.entries.forEach(entry => this.disposeEntry(entry));
+        this.entries = [];
+        this.clearDraft();
+    }
+
+    /**
+     * 표시 단위 변경 (라벨 다시 표시)
+     * @param {string} unit - 'm' 또는 'mm'
+     */
+    setUnit(unit) {
+        this.unit = unit === 'mm' ? 'mm' : 'm';
+        this.entries.forEach(entry => {
+            entry.label.textContent = this.formatValue(entry.type, entry.value);
+        });
+    }
+
+    /**
+     * 측정값을 현재 단위로 표시
+     * @param {string} type - 측정 종류
+     * @param {number} value - 측정값 (m, m², 도)
+     * @returns {string} 표시 문자열
+     */
+    formatValue(type, value) {
+        if (type === 'angle') {
+            return `${value.toFixed(1)}°`;
+        }
+
+        const power = type === 'area' ? 2 : 1;
+        const suffix = power === 2 ? '²' : '';
+
+        if (this.unit === 'mm') {
+            const converted = value * Math.pow(1000, power);
+            return `${Math.round(converted).toLocaleString('ko-KR')} mm${suffix}`;
+        }
+        return `${value.toFixed(3)} m${suffix}`;
+    }
+
+    /**
+     * 측정 중인 선 표시 (확정된 점 + 마우스 위치 미리보기 점)
+     * @param {string} type - 측정 종류
+     * @param {THREE.Vector3[]} points - 미리보기 점을 포함한 점 배열
+     */
+    setDraft(type, points) {
+        this.clearDraft();
+        if (points.length === 0) {
+            return;
+        }
+
+        this.draft = {
+            type,
+            points: points.map(point => point.clone()),
+            object: this.createObject(type, points, DRAFT_COLOR),
+            label: this.createLabel('measurement-label draft')
+        };
+        this.scene.add(this.draft.object);
+
+        const { minPoints } = MEASUREMENT_TYPES[type];
+        this.draft.label.textContent = points.length >= minPoints ? this.formatValue(type, computeMeasurementValue(type, points)) : '';
+        this.draft.label.classList.toggle('hidden', points.length < minPoints);
+    }
+
+    /**
+     * 측정 중인 선 제거
+     */
+    clearDraft() {
+        if (this.draft) {
+            this.disposeEntry(this.draft);
+            this.draft = null;
+        }
+    }
+
+    /**
+     * 스냅 위치 표시
+     * @param {THREE.Vector3|null} point - 스냅된 점 (null이면 숨김)
+     * @param {string} kind - 'vertex', 'edge', 'surface'
+     */
+    setSnapMarker(point, kind = 'surface') {
+        this.snapMarker.visible = Boolean(point);
+        if (point) {
+            this.snapMarker.position.copy(point);
+            this.snapMarker.material.color.setHex(SNAP_COLORS[kind] || SNAP_COLORS.surface);
+        }
+    }
+
+    /**
+     * 라벨 위치를 화면 좌표로 갱신 (매 프레임 렌더링 후 호출)
+     * @param {THREE.Camera} camera - 카메라
+     */
+    updateLabels(camera) {
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+        const projected = new THREE.Vector3();
+
+        const place = (item) => {
+            projected.copy(this.getLabelPosition(item.type, item.points)).project(camera);
+            const visible = projected.z >= -1 && projected.z <= 1;
+
+            item.label.style.display = visible ? '' : 'none';
+            if (visible) {
+                item.label.style.left = `${(projected.x + 1) / 2 * width}px`;
+                item.label.style.top = `${(1 - projected.y) / 2 * height}px`;
+            }
+        };
+
+        this.entries.forEach(place);
+        if (this.draft) {
+            place(this.draft);
+        }
+    }
+
+    /**
+     * 라벨을 표시할 위치 (거리: 중간 선분의 중점, 각도: 꼭짓점, 면적: 점들의 중심)
+     * @param {string} type - 측정 종류
+     * @param {THREE.Vector3[]} points - 측정 점
+     * @returns {THREE.Vector3} 라벨 위치
+     */
+    getLabelPosition(type, points) {
+        if (type === 'angle') {
+            return points[1] || points[0];
+        }
+
+        if (type === 'area') {
+            const center = new THREE.Vector3();
+            points.forEach(point => center.add(point));
+            return center.divideScalar(points.length);
+        }
+
+        const index = Math.max(1, Math.ceil(points.length / 2));
+        if (index >= points.length) {
+            return points[points.length - 1];
+        }
+        return points[index - 1].clone().add(points[index]).multiplyScalar(0.5);
+    }
+
+    /**
+     * 측정 선/점 객체 생성 (모델에 가려지지 않도록 깊이 테스트 없이 마지막에 그림)
+     * @param {string} type - 측정 종류
+     * @param {THREE.Vector3[]} points - 측정 점
+     * @param {number} color - 색상
+     * @returns {THREE.Group} 측정 표시 그룹
+     */
+    createObject(type, points, color) {
+        const group = new THREE.Group();
+        group.userData = { type: 'measurement' };
+
+        const linePoints = type === 'area' && points.length > 2 ? [...points, points[0]] : points;
+        const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints(linePoints),
+            new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true })
+        );
+        line.renderOrder = 2;
+
+        const markers = new THREE.Points(
+            new THREE.BufferGeometry().setFromPoints(points),
+            new THREE.PointsMaterial({ color, size: POINT_SIZE, sizeAttenuation: false, depthTest: false, transparent: true })
+        );
+        markers.renderOrder = 2;
+
+        group.add(line);
+        group.add(markers);
+        return group;
+    }
+
+    /**
+     * 스냅 위치 표시용 점
+     * @returns {THREE.Points} 스냅 마커
+     */
+    createSnapMarker() {
+        const marker = new THREE.Points(
+            new THREE.BufferGeometry().setFromPoints([new THREE.Vector3()]),
+            new THREE.PointsMaterial({ size: POINT_SIZE + 4, sizeAttenuation: false, depthTest: false, transparent: true })
+        );
+        marker.renderOrder = 3;
+        marker.visible = false;
+        marker.userData = { type: 'measurementSnap' };
+        return marker;
+    }
+
+    /**
+     * 라벨 요소 생성
+     * @param {string} className - 클래스명
+     * @returns {HTMLElement} 라벨 요소
+     */
+    createLabel(className) {
+        const label = document.createElement('div');
+        label.className = className;
+        this.labelLayer.appendChild(label);
+        return label;
+    }
+
+    /**
+     * 측정 목록을 CSV로 내보내기 (좌표는 IFC 좌표계 Z-Up, 현재 단위)
+     * @returns {string} CSV 문자열
+     */
+    toCSV() {
+        const scale = this.unit === 'mm' ? 1000 : 1;
+        const rows = [['번호', '종류', '값', '좌표 (X Y Z, ' + this.unit + ')']];
+
+        this.entries.forEach((entry, index) => {
+            // Three.js (x, y, z) → IFC (x, -z, y)
+            const coordinates = entry.points
+                .map(point => [point.x, -point.z, point.y].map(value => +(value * scale).toFixed(3)).join(' '))
+                .join(' / ');
+            rows.push([index + 1, MEASUREMENT_TYPES[entry.type].label, this.formatValue(entry.type, entry.value), coordinates]);
+        });
+
+        return rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(',')).join('\r\n');
+    }
+
+    /**
+     * 측정 항목 메모리 정리
+     * @param {Object} entry - 측정 항목 또는 측정 중인 선
+     */
+    disposeEntry(entry) {
+        this.scene.remove(entry.object);
+        entry.object.traverse((object) => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                object.material.dispose();
+            }
+        });
+        entry.label.remove();
+    }
+
+    /**
+     * 정리
+     */
+    dispose() {
+        this.clear();
+        this.scene.remove(this.snapMarker);
+        this.snapMarker.geometry.dispose();
+        this.snapMarker.material.dispose();
+        this.labelLayer.remove();
+    }
+}
@@ -1,12 +1,36 @@
 /**
  * 진행률 표시 관리 모듈
- * 프로그레스 바, 로딩 스피너 등을 관리
+ * 프로그레스 바, 로딩 스피너, 단계별 진행 상태 등을 관리
  */
+
+/**
+ * 단계 상태별 표시 (아이콘, 색상)
+ */
+const STAGE_STATUS_STYLES = {
+    pending: { icon: '○', color: '#999999' },
+    running: { icon: '◐', color: '#00d4ff' },
+    done: { icon: '✔', color: '#8BC34A' },
+    error: { icon: '✖', color: '#FF5722' },
+    skipped: { icon: '–', color: '#666666' },
+    cancelled: { icon: '■', color: '#FFC107' }
+};
+
 export class ProgressManager {
     constructor() {
         this.progressBar = null;
         this.progressText = null;
         this.container = null;
+        
+        // 단계별 진행 상태
+        this.stageContainer = null;
+        this.stageProgressBar = null;
+        this.stageCancelBtn = null;
+        this.stageCloseBtn = null;
+        this.stages = new Map(); // id → { id, label, status, percent, message, startTime, endTime, row }
+        this.stageCallbacks = {};
+        this.stageTimer = null; // 진행 중인 단계의 경과 시간 갱신용
+        this.stageHideTimer = null;
+        
         this.init();
     }
     
@@ -160,4 +184,326 @@ export class ProgressManager {
         this.progressText.textContent = '';
         this.progressBar.style.width = '0%';
     }
+    
+    /**
+     * 단계별 진행 상태 표시 시작 (모든 단계는 대기 상태로 초기화)
+     * @param {Array<{id: string, label: string}>} stages - 단계 목록
+     * @param {Object} callbacks - 콜백
+     * @param {Function} callbacks.onRetry - 실패한 단계 재시도 (단계 id 전달)
+     * @param {Function} callbacks.onCancel - 진행 중인 단계 취소
+     */
+    showStages(stages, callbacks = {}) {
+        this.createStageContainer();
+        this.stageCallbacks = callbacks;
+        this.stages.clear();
+        
+        stages.forEach(({ id, label }) => {
+            const stage = { id, label, status: 'pending', percent: 0, message: '', startTime: null, endTime: null, row: null };
+            stage.row = this.createStageRow(stage);
+            this.stageContainer.appendChild(stage.row.element);
+            this.stages.set(id, stage);
+            this.renderStage(stage);
+        });
+        
+        this.updateStageOverview();
+        this.stageContainer.style.display = 'block';
+    }
+    
+    /**
+     * 단계 상태 변경
+     * @param {string} id - 단계 id
+     * @param {string} status - pending | running | done | error | skipped | cancelled
+     * @param {string} message - 상태 메시지 (선택사항)
+     */
+    setStageStatus(id, status, message = '') {
+        const stage = this.stages.get(id);
+        if (!stage) return;
+        
+        if (status === 'running') {
+            stage.startTime = performance.now();
+            stage.endTime = null;
+            stage.percent = 0;
+        } else if (stage.startTime !== null && stage.endTime === null) {
+            stage.endTime = performance.now();
+        }
+        
+        if (status === 'done') {
+            stage.percent = 100;
+        }
+        
+        stage.status = status;
+        stage.message = message;
+        this.renderStage(stage);
+        this.updateStageOverview();
+    }
+    
+    /**
+     * 진행 중인 단계의 진행률 업데이트
+     * @param {string} id - 단계 id
+     * @param {number|null} percent - 진행률 (0-100), 알 수 없으면 null (기존 값 유지)
+     * @param {string} message - 상태 메시지 (선택사항)
+     */
+    updateStageProgress(id, percent, message = '') {
+        const stage = this.stages.get(id);
+        if (!stage || stage.status !== 'running') return;
+        
+        if (percent !== null) {
+            stage.percent = Math.max(0, Math.min(100, percent));
+        }
+        stage.message = message;
+        this.renderStage(stage);
+        this.updateStageOverview();
+    }
+    
+    /**
+     * 단계별 진행 상태 숨기기
+     */
+    hideStages() {
+        clearInterval(this.stageTimer);
+        clearTimeout(this.stageHideTimer);
+        this.stageTimer = null;
+        this.stageHideTimer = null;
+        
+        if (this.stageContainer) {
+            this.stageContainer.style.display = 'none';
+        }
+    }
+    
+    /**
+     * 단계별 진행 상태 컨테이너 생성
+     */
+    createStageContainer() {
+        this.hideStages();
+        
+        const existing = document.getElementById('progress-stages-container');
+        if (existing) {
+            existing.remove();
+        }
+        
+        const container = document.createElement('div');
+        container.id = 'progress-stages-container';
+        container.style.cssText = `
+            position: fixed;
+            bottom: 30px;
+            left: 50%;
+            transform: translateX(-50%);
+            z-index: 10001;
+            background: rgba(0, 0, 0, 0.85);
+            color: white;
+            padding: 12px 16px;
+            border-radius: 8px;
+            min-width: 340px;
+            font-size: 13px;
+            display: none;
+        `;
+        
+        // 헤더 (제목, 취소/닫기 버튼)
+        const header = document.createElement('div');
+        header.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            margin-bottom: 8px;
+        `;
+        
+        const title = document.createElement('span');
+        title.textContent = '모델 불러오기';
+        title.style.cssText = 'flex: 1; font-weight: 600;';
+        
+        const cancelBtn = this.createStageButton('취소', '불러오기 취소', '#dc3545');
+        cancelBtn.addEventListener('click', () => {
+            if (this.stageCallbacks.onCancel) {
+                this.stageCallbacks.onCancel();
+            }
+        });
+        
+        const closeBtn = this.createStageButton('✕', '닫기', '#999999');
+        closeBtn.addEventListener('click', () => this.hideStages());
+        
+        header.appendChild(title);
+        header.appendChild(cancelBtn);
+        header.appendChild(closeBtn);
+        
+        // 전체 진행률 바
+        const progressBar = document.createElement('div');
+        progressBar.style.cssText = `
+            width: 100%;
+            height: 6px;
+            background: #333;
+            border-radius: 3px;
+            overflow: hidden;
+            margin-bottom: 8px;
+        `;
+        
+        const progressFill = document.createElement('div');
+        progressFill.style.cssText = `
+            height: 100%;
+            background: linear-gradient(90deg, #4CAF50, #8BC34A);
+            width: 0%;
+            transition: width 0.3s ease;
+        `;
+        progressBar.appendChild(progressFill);
+        
+        container.appendChild(header);
+        container.appendChild(progressBar);
+        document.body.appendChild(container);
+        
+        this.stageContainer = container;
+        this.stageProgressBar = progressFill;
+        this.stageCancelBtn = cancelBtn;
+        this.stageCloseBtn = closeBtn;
+    }
+    
+    /**
+     * 단계 영역의 작은 버튼 생성
+     * @param {string} text - 버튼 텍스트
+     * @param {string} title - 툴팁
+     * @param {string} color - 테두리/글자 색상
+     * @returns {HTMLButtonElement} 버튼
+     */
+    createStageButton(text, title, color) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = text;
+        button.title = title;
+        button.style.cssText = `
+            padding: 2px 10px;
+            border: 1px solid ${color};
+            border-radius: 4px;
+            background: transparent;
+            color: ${color};
+            font-size: 12px;
+            cursor: pointer;
+        `;
+        return button;
+    }
+    
+    /**
+     * 단계 행 생성
+     * @param {Object} stage - 단계 정보
+     * @returns {Object} 행 요소들
+     */
+    createStageRow(stage) {
+        const element = document.createElement('div');
+        element.style.cssText = `
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 3px 0;
+        `;
+        
+        const icon = document.createElement('span');
+        icon.style.cssText = 'width: 14px; text-align: center;';
+        
+        const label = document.createElement('span');
+        label.textContent = stage.label;
+        label.style.cssText = 'width: 70px;';
+        
+        const message = document.createElement('span');
+        message.style.cssText = `
+            flex: 1;
+            color: #b0b0b0;
+            overflow: hidden;
+            text-overflow: ellipsis;
+            white-space: nowrap;
+            max-width: 180px;
+        `;
+        
+        const time = document.createElement('span');
+        time.style.cssText = 'color: #b0b0b0; font-variant-numeric: tabular-nums;';
+        
+        const retryBtn = this.createStageButton('재시도', `${stage.label} 다시 시도`, '#00d4ff');
+        retryBtn.addEventListener('click', () => {
+            if (this.stageCallbacks.onRetry) {
+                this.stageCallbacks.onRetry(stage.id);
+            }
+        });
+        
+        element.appendChild(icon);
+        element.appendChild(label);
+        element.appendChild(message);
+        element.appendChild(time);
+        element.appendChild(retryBtn);
+        
+        return { element, icon, message, time, retryBtn };
+    }
+    
+    /**
+     * 단계 행 갱신
+     * @param {Object} stage - 단계 정보
+     */
+    renderStage(stage) {
+        const { icon, message, time, retryBtn } = stage.row;
+        const style = STAGE_STATUS_STYLES[stage.status] || STAGE_STATUS_STYLES.pending;
+        
+        icon.textContent = style.icon;
+        icon.style.color = style.color;
+        message.textContent = stage.message;
+        message.title = stage.message;
+        time.textContent = stage.startTime !== null ? this.formatDuration(this.getStageDuration(stage)) : '';
+        retryBtn.style.display = stage.status === 'error' && this.stageCallbacks.onRetry ? 'inline-block' : 'none';
+    }
+    
+    /**
+     * 전체 진행률, 버튼 상태, 경과 시간 타이머, 자동 숨김 갱신
+     */
+    updateStageOverview() {
+        const stages = [...this.stages.values()].filter(stage => stage.status !== 'skipped');
+        const isRunning = stages.some(stage => stage.status === 'running');
+        const hasError = stages.some(stage => stage.status === 'error');
+        const percent = stages.length > 0
+            ? stages.reduce((sum, stage) => sum + stage.percent, 0) / stages.length
+            : 100;
+        
+        this.stageProgressBar.style.width = `${percent}%`;
+        this.stageProgressBar.style.background = hasError
+            ? 'linear-gradient(90deg, #F44336, #FF5722)'
+            : 'linear-gradient(90deg, #4CAF50, #8BC34A)';
+        this.stageCancelBtn.style.display = isRunning ? 'inline-block' : 'none';
+        this.stageCloseBtn.style.display = isRunning ? 'none' : 'inline-block';
+        
+        // 진행 중인 단계가 있는 동안만 경과 시간 갱신
+        if (isRunning && !this.stageTimer) {
+            this.stageTimer = setInterval(() => {
+                this.stages.forEach(stage => {
+                    if (stage.status === 'running') {
+                        this.renderStage(stage);
+                    }
+                });
+            }, 100);
+        } else if (!isRunning && this.stageTimer) {
+            clearInterval(this.stageTimer);
+            this.stageTimer = null;
+        }
+        
+        // 실패한 단계가 없으면 2초 후 자동 숨김 (그 사이 다음 단계가 시작되면 유지)
+        clearTimeout(this.stageHideTimer);
+        this.stageHideTimer = null;
+        if (!isRunning && !hasError) {
+            this.stageHideTimer = setTimeout(() => {
+                const stillIdle = ![...this.stages.values()].some(stage => stage.status === 'running' || stage.status === 'error');
+                if (stillIdle) {
+                    this.hideStages();
+                }
+            }, 2000);
+        }
+    }
+    
+    /**
+     * 단계 소요 시간 (진행 중이면 현재까지의 경과 시간)
+     * @param {Object} stage - 단계 정보
+     * @returns {number} 밀리초
+     */
+    getStageDuration(stage) {
+        return (stage.endTime !== null ? stage.endTime : performance.now()) - stage.startTime;
+    }
+    
+    /**
+     * 소요 시간 표시 형식
+     * @param {number} ms - 밀리초
+     * @returns {string} 표시용 문자열
+     */
+    formatDuration(ms) {
+        return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(1)}s`;
+    }
 }
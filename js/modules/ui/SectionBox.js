@@ -0,0 +1,303 @@
+/**
+ * 섹션박스 모듈
+ * 박스 범위로 6개 클리핑 평면을 계산하고, 범위를 표시하는 헬퍼 객체(면, 모서리, 드래그 핸들)를 관리
+ * 클리핑 평면은 같은 배열을 재질에 공유하므로 범위가 바뀌어도 재질을 다시 설정할 필요 없음
+ */
+import * as THREE from 'three';
+
+// 면 방향 (바깥쪽 법선) 및 표시 색상
+const FACE_DIRECTIONS = [
+    { axis: 'x', normal: [1, 0, 0], color: 0xff0000 },  // X+ (빨강)
+    { axis: 'x', normal: [-1, 0, 0], color: 0x00ff00 }, // X- (초록)
+    { axis: 'y', normal: [0, 1, 0], color: 0x0000ff },  // Y+ (파랑)
+    { axis: 'y', normal: [0, -1, 0], color: 0xffff00 }, // Y- (노랑)
+    { axis: 'z', normal: [0, 0, 1], color: 0xff00ff },  // Z+ (마젠타)
+    { axis: 'z', normal: [0, 0, -1], color: 0x00ffff }  // Z- (시안)
+];
+
+const MIN_SIZE = 0.01; // 최소 박스 크기 (m)
+const FACE_OPACITY = 0.1;
+const FACE_HOVER_OPACITY = 0.3;
+const HANDLE_SIZE_RATIO = 0.03; // 핸들 크기 (박스 최대 변 대비)
+const MIN_HANDLE_SIZE = 0.05; // 최소 핸들 크기 (m)
+
+/**
+ * {x, y, z} 객체를 Vector3로 변환
+ * @param {THREE.Vector3|Object} value - 벡터 또는 {x, y, z}
+ * @returns {THREE.Vector3} 새 벡터
+ */
+function toVector3(value) {
+    return new THREE.Vector3(value.x, value.y, value.z);
+}
+
+export class SectionBox {
+    constructor(scene) {
+        this.scene = scene;
+        this.center = new THREE.Vector3(0, 0, 0);
+        this.size = new THREE.Vector3(10, 10, 10);
+        this.rotation = new THREE.Euler(0, 0, 0);
+        this.planes = FACE_DIRECTIONS.map(() => new THREE.Plane()); // 안쪽을 향하는 클리핑 평면
+        this.helper = null; // 범위 표시용 그룹 (위치/회전)
+        this.boxGroup = null; // 면/모서리 그룹 (박스 크기로 scale)
+        this.faces = []; // 면 메시 (FACE_DIRECTIONS 순서)
+        this.handles = []; // 드래그 핸들 메시 (FACE_DIRECTIONS 순서)
+        this.hoveredFace = null;
+        this.active = false;
+    }
+
+    /**
+     * 섹션박스 표시 및 범위 설정
+     * @param {Object} options - 섹션박스 옵션 (생략한 값은 현재 값 유지)
+     * @param {THREE.Vector3} options.position - 박스 중심
+     * @param {THREE.Vector3} options.size - 박스 크기
+     * @param {THREE.Vector3} options.rotation - 박스 회전 (라디안)
+     */
+    show(options = {}) {
+        if (!this.helper) {
+            this.helper = this.createHelper();
+        }
+        if (!this.active) {
+            this.scene.add(this.helper);
+            this.active = true;
+        }
+
+        this.setBox(options);
+    }
+
+    /**
+     * 섹션박스 숨기기 (범위는 유지)
+     */
+    hide() {
+        if (this.helper) {
+            this.scene.remove(this.helper);
+        }
+        this.active = false;
+    }
+
+    /**
+     * 박스 중심/크기/회전 설정
+     * @param {Object} options - show()와 동일
+     */
+    setBox({ position, size, rotation } = {}) {
+        if (position) {
+            this.center.copy(toVector3(position));
+        }
+        if (size) {
+            this.size.copy(toVector3(size)).max(new THREE.Vector3(MIN_SIZE, MIN_SIZE, MIN_SIZE));
+        }
+        if (rotation) {
+            this.rotation.set(rotation.x, rotation.y, rotation.z);
+        }
+
+        this.update();
+    }
+
+    /**
+     * 박스 범위 설정 (박스 좌표축 기준 최소/최대점, 회전은 유지)
+     * @param {THREE.Vector3} min - 최소점
+     * @param {THREE.Vector3} max - 최대점
+     */
+    setExtents(min, max) {
+        const minVector = toVector3(min);
+        const maxVector = toVector3(max);
+
+        this.setBox({
+            position: minVector.clone().add(maxVector).multiplyScalar(0.5),
+            size: maxVector.sub(minVector)
+        });
+    }
+
+    /**
+     * 박스 범위 조회
+     * @returns {{min: THREE.Vector3, max: THREE.Vector3, rotation: THREE.Euler}} 박스 범위
+     */
+    getExtents() {
+        const half = this.size.clone().multiplyScalar(0.5);
+        return {
+            min: this.center.clone().sub(half),
+            max: this.center.clone().add(half),
+            rotation: this.rotation.clone()
+        };
+    }
+
+    /**
+     * 현재 중심/크기 복사본 (드래그 시작 상태 저장용)
+     * @returns {{center: THREE.Vector3, size: THREE.Vector3}} 박스 상태
+     */
+    getState() {
+        return { center: this.center.clone(), size: this.size.clone() };
+    }
+
+    /**
+     * 면의 바깥쪽 법선 (월드 좌표)
+     * @param {number} faceIndex - 면 인덱스
+     * @returns {THREE.Vector3} 단위 법선
+     */
+    getFaceNormal(faceIndex) {
+        const quaternion = new THREE.Quaternion().setFromEuler(this.rotation);
+        return new THREE.Vector3(...FACE_DIRECTIONS[faceIndex].normal).applyQuaternion(quaternion);
+    }
+
+    /**
+     * 면 중심점 (월드 좌표)
+     * @param {number} faceIndex - 면 인덱스
+     * @returns {THREE.Vector3} 면 중심
+     */
+    getFaceCenter(faceIndex) {
+        const axis = FACE_DIRECTIONS[faceIndex].axis;
+        return this.center.clone().addScaledVector(this.getFaceNormal(faceIndex), this.size[axis] / 2);
+    }
+
+    /**
+     * 한 면만 법선 방향으로 이동 (반대쪽 면은 고정)
+     * @param {number} faceIndex - 면 인덱스
+     * @param {number} distance - 시작 상태 기준 이동 거리 (m, 바깥쪽이 +)
+     * @param {Object} start - 드래그 시작 상태 (getState() 결과)
+     */
+    moveFace(faceIndex, distance, start) {
+        const axis = FACE_DIRECTIONS[faceIndex].axis;
+        const length = Math.max(MIN_SIZE, start.size[axis] + distance);
+        const applied = length - start.size[axis];
+        const size = start.size.clone();
+        size[axis] = length;
+
+        this.setBox({
+            position: start.center.clone().addScaledVector(this.getFaceNormal(faceIndex), applied / 2),
+            size
+        });
+    }
+
+    /**
+     * 마우스가 올라간 면 강조
+     * @param {number|null} faceIndex - 면 인덱스 (null이면 강조 해제)
+     */
+    setHoveredFace(faceIndex) {
+        if (this.hoveredFace === faceIndex) {
+            return;
+        }
+
+        this.hoveredFace = faceIndex;
+        this.faces.forEach((face, index) => {
+            face.material.opacity = index === faceIndex ? FACE_HOVER_OPACITY : FACE_OPACITY;
+        });
+        this.handles.forEach((handle, index) => {
+            handle.material.color.setHex(index === faceIndex ? 0xffffff : FACE_DIRECTIONS[index].color);
+        });
+    }
+
+    /**
+     * 범위에 맞게 클리핑 평면과 헬퍼 객체 갱신
+     */
+    update() {
+        const quaternion = new THREE.Quaternion().setFromEuler(this.rotation);
+
+        FACE_DIRECTIONS.forEach((dir, index) => {
+            const normal = new THREE.Vector3(...dir.normal).applyQuaternion(quaternion);
+            const point = this.center.clone().addScaledVector(normal, this.size[dir.axis] / 2);
+
+            // 클리핑은 평면 법선의 반대쪽을 잘라내므로 안쪽을 향하게 설정
+            this.planes[index].setFromNormalAndCoplanarPoint(normal.negate(), point);
+        });
+
+        if (this.helper) {
+            this.helper.position.copy(this.center);
+            this.helper.quaternion.copy(quaternion);
+            this.boxGroup.scale.copy(this.size);
+
+            // 핸들은 박스 크기로 늘어나지 않도록 scale 그룹 밖에 두고 면 중심에 배치
+            const handleSize = Math.max(MIN_HANDLE_SIZE, Math.max(this.size.x, this.size.y, this.size.z) * HANDLE_SIZE_RATIO);
+            FACE_DIRECTIONS.forEach((dir, index) => {
+                this.handles[index].position.set(...dir.normal).multiplyScalar(this.size[dir.axis] / 2);
+                this.handles[index].scale.setScalar(handleSize);
+            });
+        }
+    }
+
+    /**
+     * 범위 표시용 헬퍼 객체 생성
+     * 면/모서리는 단위 크기로 만들고 그룹의 scale로 박스 크기를 적용하여 범위가 바뀔 때 다시 만들지 않음
+     * @returns {THREE.Group} 헬퍼 그룹
+     */
+    createHelper() {
+        const helper = new THREE.Group();
+        helper.userData = { type: 'sectionBox' };
+
+        this.boxGroup = new THREE.Group();
+        helper.add(this.boxGroup);
+
+        const handleGeometry = new THREE.SphereGeometry(1, 16, 12);
+
+        // 6개 면 생성 (각 면마다 다른 색상)
+        FACE_DIRECTIONS.forEach((dir, index) => {
+            const material = new THREE.MeshBasicMaterial({
+                color: dir.color,
+                transparent: true,
+                opacity: FACE_OPACITY,
+                side: THREE.DoubleSide,
+                depthWrite: false // 박스 안쪽 모델을 가리지 않도록
+            });
+
+            const plane = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), material);
+            const sign = dir.normal[0] + dir.normal[1] + dir.normal[2];
+            plane.userData = { type: 'sectionBoxFace', faceIndex: index };
+
+            // 위치 설정
+            if (dir.axis === 'x') {
+                plane.position.set(sign * 0.5, 0, 0);
+                plane.rotation.y = sign * Math.PI / 2;
+            } else if (dir.axis === 'y') {
+                plane.position.set(0, sign * 0.5, 0);
+                plane.rotation.x = -sign * Math.PI / 2;
+            } else {
+                plane.position.set(0, 0, sign * 0.5);
+            }
+
+            this.boxGroup.add(plane);
+            this.faces.push(plane);
+
+            // 면 중심의 드래그 핸들 (모델에 가려지지 않도록 깊이 테스트 없이 마지막에 그림)
+            const handle = new THREE.Mesh(handleGeometry, new THREE.MeshBasicMaterial({
+                color: dir.color,
+                depthTest: false,
+                transparent: true,
+                opacity: 0.9
+            }));
+            handle.renderOrder = 1;
+            handle.userData = { type: 'sectionBoxHandle', faceIndex: index };
+            helper.add(handle);
+            this.handles.push(handle);
+        });
+
+        // 박스 모서리
+        const edges = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.BoxGeometry(1, 1, 1)),
+            new THREE.LineBasicMaterial({ color: 0xffffff, transparent: true, opacity: 0.6 })
+        );
+        edges.userData = { type: 'sectionBoxEdges' };
+        this.boxGroup.add(edges);
+
+        return helper;
+    }
+
+    /**
+     * 정리
+     */
+    dispose() {
+        this.hide();
+        if (this.helper) {
+            this.helper.traverse((object) => {
+                if (object.geometry) {
+                    object.geometry.dispose();
+                }
+                if (object.material) {
+                    object.material.dispose();
+                }
+            });
+            this.helper = null;
+            this.boxGroup = null;
+            this.faces = [];
+            this.handles = [];
+            this.hoveredFace = null;
+        }
+    }
+}
@@ -0,0 +1,263 @@
+/**
+ * 섹션박스 핸들 조작 모듈
+ * 면 중심의 핸들에 마우스를 올리면 강조하고, 드래그하면 해당 면을 법선 방향으로 이동
+ * 이동 중에는 요소 바운딩 박스 경계에 스냅 (Alt 키를 누르고 있으면 스냅 해제)
+ * 핸들 위에 있거나 드래그 중에는 카메라 회전/팬이 시작되지 않도록 컨트롤을 비활성화
+ */
+import * as THREE from 'three';
+
+const SNAP_PIXELS = 8; // 스냅 거리 (화면 픽셀)
+
+export class SectionBoxControls {
+    /**
+     * @param {ThreeJSViewer} viewer - 뷰어 (camera, container, controls, sectionBox, modelRenderer 사용)
+     */
+    constructor(viewer) {
+        this.viewer = viewer;
+        this.raycaster = new THREE.Raycaster();
+        this.hoveredFace = null;
+        this.drag = null; // { faceIndex, normal, origin, startOffset, startState, snapValues, startValue }
+        this.snapEnabled = true;
+    }
+
+    /**
+     * 마우스 다운 처리 (핸들을 누르면 드래그 시작)
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {boolean} 이벤트를 처리했는지 여부 (true면 카메라 조작/클릭 선택 생략)
+     */
+    onMouseDown(event) {
+        if (event.button !== 0 || !this.isActive()) {
+            return false;
+        }
+
+        const faceIndex = this.pickHandle(event);
+        if (faceIndex === null) {
+            return false;
+        }
+
+        const sectionBox = this.viewer.sectionBox;
+        const normal = sectionBox.getFaceNormal(faceIndex);
+        const origin = sectionBox.getFaceCenter(faceIndex);
+        const startOffset = this.getAxisOffset(event, origin, normal);
+        if (startOffset === null) {
+            return false;
+        }
+
+        this.drag = {
+            faceIndex,
+            normal,
+            origin,
+            startOffset,
+            startState: sectionBox.getState(),
+            startValue: origin.dot(normal),
+            snapValues: this.collectSnapValues(normal)
+        };
+
+        this.viewer.container.style.cursor = 'grabbing';
+        event.preventDefault();
+        return true;
+    }
+
+    /**
+     * 마우스 이동 처리 (드래그 중이면 면 이동, 아니면 핸들 강조)
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {boolean} 드래그 중이면 true
+     */
+    onMouseMove(event) {
+        if (this.drag) {
+            this.updateDrag(event);
+            return true;
+        }
+
+        // 다른 버튼으로 카메라를 조작하는 중에는 강조하지 않음
+        const faceIndex = this.isActive() && event.buttons === 0 ? this.pickHandle(event) : null;
+        this.setHoveredFace(faceIndex);
+        return false;
+    }
+
+    /**
+     * 마우스 업 처리 (드래그 종료)
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {boolean} 드래그를 끝냈으면 true
+     */
+    onMouseUp(event) {
+        if (!this.drag) {
+            return false;
+        }
+
+        this.drag = null;
+        this.viewer.container.style.cursor = this.hoveredFace !== null ? 'grab' : '';
+        this.updateControlsEnabled();
+        return true;
+    }
+
+    /**
+     * 섹션박스가 표시 중인지 여부
+     * @returns {boolean} 활성 여부
+     */
+    isActive() {
+        return this.viewer.isSectionBoxActive();
+    }
+
+    /**
+     * 드래그 중인 면 위치 갱신
+     * @param {MouseEvent} event - 마우스 이벤트
+     */
+    updateDrag(event) {
+        const { faceIndex, normal, origin, startOffset, startState, startValue } = this.drag;
+        const offset = this.getAxisOffset(event, origin, normal);
+        if (offset === null) {
+            return;
+        }
+
+        let distance = offset - startOffset;
+
+        if (this.snapEnabled && !event.altKey) {
+            const snapped = this.findSnapValue(startValue + distance, this.getSnapThreshold(origin));
+            if (snapped !== null) {
+                distance = snapped - startValue;
+            }
+        }
+
+        this.viewer.sectionBox.moveFace(faceIndex, distance, startState);
+    }
+
+    /**
+     * 핸들 강조 상태 변경
+     * @param {number|null} faceIndex - 면 인덱스
+     */
+    setHoveredFace(faceIndex) {
+        if (this.hoveredFace === faceIndex) {
+            return;
+        }
+
+        this.hoveredFace = faceIndex;
+        if (this.viewer.sectionBox) {
+            this.viewer.sectionBox.setHoveredFace(faceIndex);
+        }
+        this.viewer.container.style.cursor = faceIndex !== null ? 'grab' : '';
+        this.updateControlsEnabled();
+    }
+
+    /**
+     * 핸들 위에 있거나 드래그 중이면 카메라 컨트롤 비활성화
+     */
+    updateControlsEnabled() {
+        if (this.viewer.controls) {
+            this.viewer.controls.enabled = this.hoveredFace === null && !this.drag;
+        }
+    }
+
+    /**
+     * 마우스 위치의 핸들 찾기
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @returns {number|null} 면 인덱스 또는 null
+     */
+    pickHandle(event) {
+        this.setRayFromEvent(event);
+        const intersects = this.raycaster.intersectObjects(this.viewer.sectionBox.handles, false);
+        return intersects.length > 0 ? intersects[0].object.userData.faceIndex : null;
+    }
+
+    /**
+     * 마우스 위치로 레이 설정
+     * @param {MouseEvent} event - 마우스 이벤트
+     */
+    setRayFromEvent(event) {
+        const rect = this.viewer.container.getBoundingClientRect();
+        const mouse = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(mouse, this.viewer.camera);
+    }
+
+    /**
+     * 마우스 레이와 가장 가까운 면 법선 축 위의 점 (축 원점 기준 거리)
+     * @param {MouseEvent} event - 마우스 이벤트
+     * @param {THREE.Vector3} origin - 축 원점
+     * @param {THREE.Vector3} axis - 축 방향 (단위 벡터)
+     * @returns {number|null} 축 위 거리 (레이가 축과 평행하면 null)
+     */
+    getAxisOffset(event, origin, axis) {
+        this.setRayFromEvent(event);
+        const ray = this.raycaster.ray;
+
+        // 두 직선 사이 최근접점: 축 L(t) = origin + axis·t, 레이 R(s) = ray.origin + ray.direction·s
+        const w0 = origin.clone().sub(ray.origin);
+        const b = axis.dot(ray.direction);
+        const denominator = 1 - b * b;
+        if (denominator < 1e-6) {
+            return null;
+        }
+
+        return (b * ray.direction.dot(w0) - axis.dot(w0)) / denominator;
+    }
+
+    /**
+     * 스냅 후보 값 수집 (표시 중인 요소 바운딩 박스를 법선 축에 투영한 양 끝)
+     * @param {THREE.Vector3} normal - 면 법선
+     * @returns {number[]} 축 위 좌표 배열
+     */
+    collectSnapValues(normal) {
+        const values = [];
+        const center = new THREE.Vector3();
+        const half = new THREE.Vector3();
+
+        this.viewer.modelRenderer.getElementBoundingBoxes().forEach(box => {
+            box.getCenter(center);
+            box.getSize(half).multiplyScalar(0.5);
+            const c = center.dot(normal);
+            const r = Math.abs(half.x * normal.x) + Math.abs(half.y * normal.y) + Math.abs(half.z * normal.z);
+            values.push(c - r, c + r);
+        });
+
+        return values;
+    }
+
+    /**
+     * 가장 가까운 스냅 값 찾기
+     * @param {number} value - 현재 면 위치 (축 좌표)
+     * @param {number} threshold - 스냅 거리 (m)
+     * @returns {number|null} 스냅 값 또는 null
+     */
+    findSnapValue(value, threshold) {
+        let closest = null;
+        let closestDistance = threshold;
+
+        this.drag.snapValues.forEach(snapValue => {
+            const distance = Math.abs(snapValue - value);
+            if (distance < closestDistance) {
+                closest = snapValue;
+                closestDistance = distance;
+            }
+        });
+
+        return closest;
+    }
+
+    /**
+     * 화면 SNAP_PIXELS에 해당하는 월드 거리
+     * @param {THREE.Vector3} point - 기준 위치 (원근 카메라 거리 계산용)
+     * @returns {number} 스냅 거리 (m)
+     */
+    getSnapThreshold(point) {
+        const camera = this.viewer.camera;
+        const height = this.viewer.container.clientHeight || 1;
+
+        if (camera.isOrthographicCamera) {
+            return SNAP_PIXELS * (camera.top - camera.bottom) / camera.zoom / height;
+        }
+
+        const distance = camera.position.distanceTo(point);
+        return SNAP_PIXELS * 2 * distance * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / height;
+    }
+
+    /**
+     * 강조/드래그 상태 초기화 (섹션박스를 끌 때)
+     */
+    reset() {
+        this.drag = null;
+        this.setHoveredFace(null);
+    }
+}
@@ -0,0 +1,369 @@
+/**
+ * 단면 평면 모듈
+ * 임의 방향의 단면 평면 여러 개를 관리하고, 잘린 단면을 해칭 캡으로 채움
+ *
+ * 캡은 스텐실 방식으로 그림 (평면마다)
+ *   1. IFC 객체의 뒷면은 +1, 앞면은 -1로 스텐실에 기록 (해당 평면으로만 클리핑)
+ *   2. 스텐실이 0이 아닌 곳(잘린 솔리드 내부)에 평면 크기의 캡을 그림 (다른 평면으로 클리핑)
+ */
+import * as THREE from 'three';
+import { IFC_LAYER } from '../modeling/index.js';
+
+const MAX_PLANES = 4; // 동시에 사용할 수 있는 단면 평면 수
+const PLANE_COLORS = [0xff6b6b, 0x54a0ff, 0xfeca57, 0x1dd1a1];
+const HATCH_SPACING = 0.25; // 해칭 무늬 한 칸 크기 (m)
+
+export class SectionPlanes {
+    constructor(scene) {
+        this.scene = scene;
+        this.entries = []; // { id, plane, color, helper, capScene, capMesh, capMaterial, backMaterial, frontMaterial }
+        this.bounds = new THREE.Box3(); // 평면/캡 크기 기준 (모델 바운딩 박스)
+        this.showCaps = true;
+        this.maxPlanes = MAX_PLANES;
+        this.nextId = 1;
+        this.hatchTexture = null;
+    }
+
+    /**
+     * 평면 추가 가능 여부
+     * @returns {boolean} 최대 개수 미만이면 true
+     */
+    canAdd() {
+        return this.entries.length < this.maxPlanes;
+    }
+
+    /**
+     * 단면 평면 추가
+     * 평면 법선 쪽이 남고 반대쪽이 잘림
+     * @param {THREE.Vector3} point - 평면 위의 점 (m)
+     * @param {THREE.Vector3} normal - 남길 쪽을 향하는 법선
+     * @returns {Object|null} 추가된 평면 항목 (최대 개수를 넘으면 null)
+     */
+    add(point, normal) {
+        if (!this.canAdd()) {
+            return null;
+        }
+
+        const usedColors = this.entries.map(entry => entry.color);
+        const color = PLANE_COLORS.find(value => !usedColors.includes(value)) || PLANE_COLORS[0];
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(normal.clone().normalize(), point);
+
+        const entry = {
+            id: this.nextId++,
+            plane,
+            color,
+            helper: this.createHelper(color),
+            capScene: new THREE.Scene(),
+            capMaterial: this.createCapMaterial(),
+            backMaterial: this.createStencilMaterial(plane, THREE.BackSide, THREE.IncrementWrapStencilOp),
+            frontMaterial: this.createStencilMaterial(plane, THREE.FrontSide, THREE.DecrementWrapStencilOp)
+        };
+
+        entry.capMesh = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), entry.capMaterial);
+        entry.capScene.add(entry.capMesh);
+        this.scene.add(entry.helper);
+
+        this.entries.push(entry);
+        this.updateEntry(entry);
+        return entry;
+    }
+
+    /**
+     * 단면 평면 제거
+     * @param {number} id - 평면 ID
+     */
+    remove(id) {
+        const entry = this.get(id);
+        if (!entry) {
+            return;
+        }
+
+        this.scene.remove(entry.helper);
+        this.disposeEntry(entry);
+        this.entries = this.entries.filter(item => item !== entry);
+    }
+
+    /**
+     * 모든 단면 평면 제거
+     */
+    clear() {
+        this.entries.forEach(entry => {
+            this.scene.remove(entry.helper);
+            this.disposeEntry(entry);
+        });
+        this.entries = [];
+    }
+
+    /**
+     * ID로 평면 항목 찾기
+     * @param {number} id - 평면 ID
+     * @returns {Object|undefined} 평면 항목
+     */
+    get(id) {
+        return this.entries.find(entry => entry.id === id);
+    }
+
+    /**
+     * 클리핑 평면 배열 (재질에 적용할 용도)
+     * @returns {THREE.Plane[]} 평면 배열
+     */
+    getPlanes() {
+        return this.entries.map(entry => entry.plane);
+    }
+
+    /**
+     * 평면 방향 뒤집기 (잘리는 쪽 반전)
+     * @param {number} id - 평면 ID
+     */
+    flip(id) {
+        const entry = this.get(id);
+        if (entry) {
+            entry.plane.negate();
+            this.updateEntry(entry);
+        }
+    }
+
+    /**
+     * 법선 방향 위치 설정 (평면 = 법선·x = offset)
+     * @param {number} id - 평면 ID
+     * @param {number} offset - 위치 (m)
+     */
+    setOffset(id, offset) {
+        const entry = this.get(id);
+        if (entry) {
+            entry.plane.constant = -offset;
+            this.updateEntry(entry);
+        }
+    }
+
+    /**
+     * 법선 방향 위치와 이동 범위 (모델 바운딩 박스를 법선에 투영한 구간)
+     * @param {number} id - 평면 ID
+     * @returns {{min: number, max: number, value: number}|null} 위치 정보
+     */
+    getOffsetRange(id) {
+        const entry = this.get(id);
+        if (!entry) {
+            return null;
+        }
+
+        const value = -entry.plane.constant;
+        if (this.bounds.isEmpty()) {
+            return { min: value - 1, max: value + 1, value };
+        }
+
+        const normal = entry.plane.normal;
+        const center = this.bounds.getCenter(new THREE.Vector3()).dot(normal);
+        const half = this.bounds.getSize(new THREE.Vector3()).multiplyScalar(0.5);
+        const radius = Math.abs(half.x * normal.x) + Math.abs(half.y * normal.y) + Math.abs(half.z * normal.z);
+
+        return {
+            min: Math.min(center - radius, value),
+            max: Math.max(center + radius, value),
+            value
+        };
+    }
+
+    /**
+     * 모델 바운딩 박스 갱신 (평면 표시/캡 크기 다시 계산)
+     * @param {THREE.Box3} bounds - 모델 바운딩 박스
+     */
+    setBounds(bounds) {
+        this.bounds.copy(bounds);
+        this.entries.forEach(entry => this.updateEntry(entry));
+    }
+
+    /**
+     * 캡을 자를 평면 갱신 (섹션박스 평면 + 다른 단면 평면)
+     * @param {THREE.Plane[]} extraPlanes - 추가로 적용할 평면 (섹션박스 등)
+     */
+    updateCapClipping(extraPlanes = []) {
+        this.entries.forEach(entry => {
+            entry.capMaterial.clippingPlanes = [
+                ...extraPlanes,
+                ...this.entries.filter(other => other !== entry).map(other => other.plane)
+            ];
+        });
+    }
+
+    /**
+     * 평면 표시/캡 위치를 평면에 맞춤
+     * @param {Object} entry - 평면 항목
+     */
+    updateEntry(entry) {
+        const size = this.bounds.isEmpty() ? 10 : this.bounds.getSize(new THREE.Vector3()).length();
+        const center = this.bounds.isEmpty() ? new THREE.Vector3() : this.bounds.getCenter(new THREE.Vector3());
+        const position = entry.plane.projectPoint(center, new THREE.Vector3());
+        const quaternion = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 0, 1), entry.plane.normal);
+
+        [entry.helper, entry.capMesh].forEach(object => {
+            object.position.copy(position);
+            object.quaternion.copy(quaternion);
+            object.scale.set(size, size, 1);
+        });
+
+        entry.capMaterial.map.repeat.set(size / HATCH_SPACING, size / HATCH_SPACING);
+    }
+
+    /**
+     * 잘린 단면에 캡 그리기 (메인 렌더링 후 호출)
+     * @param {THREE.WebGLRenderer} renderer - 렌더러 (stencil 버퍼 필요)
+     * @param {THREE.Scene} scene - 메인 씬
+     * @param {THREE.Camera} camera - 카메라
+     */
+    renderCaps(renderer, scene, camera) {
+        if (!this.showCaps || this.entries.length === 0) {
+            return;
+        }
+
+        const autoClear = renderer.autoClear;
+        const overrideMaterial = scene.overrideMaterial;
+        const layerMask = camera.layers.mask;
+        renderer.autoClear = false;
+
+        this.entries.forEach(entry => {
+            renderer.clearStencil();
+
+            // IFC 객체만 스텐실 재질로 렌더링
+            camera.layers.set(IFC_LAYER);
+            scene.overrideMaterial = entry.backMaterial;
+            renderer.render(scene, camera);
+            scene.overrideMaterial = entry.frontMaterial;
+            renderer.render(scene, camera);
+
+            scene.overrideMaterial = overrideMaterial;
+            camera.layers.mask = layerMask;
+            renderer.render(entry.capScene, camera);
+        });
+
+        renderer.autoClear = autoClear;
+    }
+
+    /**
+     * 스텐실 기록용 재질
+     * @param {THREE.Plane} plane - 클리핑 평면
+     * @param {number} side - THREE.FrontSide 또는 THREE.BackSide
+     * @param {number} stencilOp - 스텐실 연산
+     * @returns {THREE.MeshBasicMaterial} 재질
+     */
+    createStencilMaterial(plane, side, stencilOp) {
+        return new THREE.MeshBasicMaterial({
+            side,
+            clippingPlanes: [plane],
+            colorWrite: false,
+            depthWrite: false,
+            depthTest: false,
+            stencilWrite: true,
+            stencilFunc: THREE.AlwaysStencilFunc,
+            stencilFail: stencilOp,
+            stencilZFail: stencilOp,
+            stencilZPass: stencilOp
+        });
+    }
+
+    /**
+     * 캡 재질 (스텐실이 0이 아닌 곳만 그리고, 그린 곳은 0으로 되돌림)
+     * @returns {THREE.MeshBasicMaterial} 재질
+     */
+    createCapMaterial() {
+        return new THREE.MeshBasicMaterial({
+            map: this.getHatchTexture().clone(),
+            side: THREE.DoubleSide,
+            stencilWrite: true,
+            stencilRef: 0,
+            stencilFunc: THREE.NotEqualStencilFunc,
+            stencilFail: THREE.ReplaceStencilOp,
+            stencilZFail: THREE.ReplaceStencilOp,
+            stencilZPass: THREE.ReplaceStencilOp
+        });
+    }
+
+    /**
+     * 해칭 무늬 텍스처 (대각선)
+     * @returns {THREE.CanvasTexture} 텍스처
+     */
+    getHatchTexture() {
+        if (!this.hatchTexture) {
+            const canvas = document.createElement('canvas');
+            canvas.width = 32;
+            canvas.height = 32;
+            const context = canvas.getContext('2d');
+
+            context.fillStyle = '#d0d0d0';
+            context.fillRect(0, 0, 32, 32);
+            context.strokeStyle = '#555555';
+            context.lineWidth = 3;
+            context.beginPath();
+            // 타일 경계에서 이어지도록 모서리 선 포함
+            context.moveTo(-8, 8);
+            context.lineTo(8, -8);
+            context.moveTo(0, 32);
+            context.lineTo(32, 0);
+            context.moveTo(24, 40);
+            context.lineTo(40, 24);
+            context.stroke();
+
+            this.hatchTexture = new THREE.CanvasTexture(canvas);
+            this.hatchTexture.wrapS = THREE.RepeatWrapping;
+            this.hatchTexture.wrapT = THREE.RepeatWrapping;
+        }
+        return this.hatchTexture;
+    }
+
+    /**
+     * 평면 위치 표시용 헬퍼 (외곽선 + 반투명 면, 클리핑되지 않음)
+     * @param {number} color - 색상
+     * @returns {THREE.Group} 헬퍼 그룹
+     */
+    createHelper(color) {
+        const helper = new THREE.Group();
+        helper.userData = { type: 'sectionPlane' };
+
+        const fill = new THREE.Mesh(new THREE.PlaneGeometry(1, 1), new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity: 0.08,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        }));
+        const outline = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.PlaneGeometry(1, 1)),
+            new THREE.LineBasicMaterial({ color })
+        );
+
+        helper.add(fill);
+        helper.add(outline);
+        return helper;
+    }
+
+    /**
+     * 평면 항목 메모리 정리
+     * @param {Object} entry - 평면 항목
+     */
+    disposeEntry(entry) {
+        entry.helper.traverse((object) => {
+            if (object.geometry) {
+                object.geometry.dispose();
+            }
+            if (object.material) {
+                object.material.dispose();
+            }
+        });
+        entry.capMesh.geometry.dispose();
+        entry.capMaterial.map.dispose();
+        entry.capMaterial.dispose();
+        entry.backMaterial.dispose();
+        entry.frontMaterial.dispose();
+    }
+
+    /**
+     * 정리
+     */
+    dispose() {
+        this.clear();
+        if (this.hatchTexture) {
+            this.hatchTexture.dispose();
+            this.hatchTexture = null;
+        }
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * 선택 모듈
+ * 선택된 요소의 globalId 집합을 관리하고 선택 색상으로 하이라이트
+ * 형상이 없는 객체(층, 공간 등)도 트리에서 선택할 수 있도록 GUID만으로 관리
+ */
+
+export const SELECTION_COLOR = 0x00ff88; // 초록색
+
+export class Selection {
+    /**
+     * @param {ModelRenderer} modelRenderer - 하이라이트 색상을 적용할 렌더러
+     */
+    constructor(modelRenderer) {
+        this.modelRenderer = modelRenderer;
+        this.ids = new Set();
+        this.primaryId = null; // 마지막으로 선택한 객체 (속성정보 표시 대상)
+    }
+
+    /**
+     * 선택된 객체 수
+     * @returns {number} 선택 수
+     */
+    get size() {
+        return this.ids.size;
+    }
+
+    /**
+     * 선택 여부
+     * @param {string} globalId - 객체 GUID
+     * @returns {boolean} 선택 여부
+     */
+    has(globalId) {
+        return this.ids.has(globalId);
+    }
+
+    /**
+     * 선택된 객체 GUID 목록 (선택한 순서)
+     * @returns {string[]} GUID 배열
+     */
+    getIds() {
+        return [...this.ids];
+    }
+
+    /**
+     * 객체 선택
+     * @param {Iterable<string>} globalIds - 객체 GUID 목록
+     * @param {string} mode - 'replace'(새로 선택), 'add'(추가), 'toggle'(선택/해제 전환), 'remove'(해제)
+     * @returns {boolean} 선택이 바뀌었으면 true
+     */
+    select(globalIds, mode = 'replace') {
+        const next = new Set(mode === 'replace' ? [] : this.ids);
+        let primaryId = mode === 'replace' ? null : this.primaryId;
+
+        for (const globalId of globalIds) {
+            if (mode === 'remove' || (mode === 'toggle' && next.has(globalId))) {
+                next.delete(globalId);
+            } else {
+                // 다시 선택한 객체가 마지막 순서가 되도록 지우고 추가
+                next.delete(globalId);
+                next.add(globalId);
+                primaryId = globalId;
+            }
+        }
+
+        // 대표 객체가 해제되면 남은 객체 중 마지막 객체로
+        if (!next.has(primaryId)) {
+            primaryId = next.size > 0 ? [...next].pop() : null;
+        }
+
+        const changed = primaryId !== this.primaryId || next.size !== this.ids.size || [...next].some(id => !this.ids.has(id));
+
+        this.ids.forEach(globalId => {
+            if (!next.has(globalId)) {
+                this.modelRenderer.setElementColor(globalId, null);
+            }
+        });
+        next.forEach(globalId => {
+            if (!this.ids.has(globalId)) {
+                this.modelRenderer.setElementColor(globalId, SELECTION_COLOR);
+            }
+        });
+
+        this.ids = next;
+        this.primaryId = primaryId;
+        return changed;
+    }
+
+    /**
+     * 선택 해제
+     * @returns {boolean} 선택이 바뀌었으면 true
+     */
+    clear() {
+        return this.select([], 'replace');
+    }
+}
@@ -4,3 +4,11 @@
 export { ModelHelpers } from './ModelHelpers.js';
 export { NotificationManager } from './NotificationManager.js';
 export { ProgressManager } from './ProgressManager.js';
+export { SectionBox } from './SectionBox.js';
+export { SectionBoxControls } from './SectionBoxControls.js';
+export { SectionPlanes } from './SectionPlanes.js';
+export { Measurements, MEASUREMENT_TYPES } from './Measurements.js';
+export { MeasurementControls } from './MeasurementControls.js';
+export { Selection, SELECTION_COLOR } from './Selection.js';
+export { BoxSelectionControls } from './BoxSelectionControls.js';
+export { ElementTooltip } from './ElementTooltip.js';
@@ -3,24 +3,50 @@
  * 모듈화된 컴포넌트들을 조합하여 전체 애플리케이션을 관리
  */
 import { TreeManager } from './js/TreeManager.js';
-import { ApiService } from './js/ApiService.js';
+import { DataSourceFactory } from './js/DataSourceFactory.js';
 import { FileValidator } from './js/FileValidator.js';
+import { MAX_LOCAL_FILE_SIZE } from './js/LocalIfcService.js';
 import { ThreeJSViewer } from './js/ThreeJSViewer.js';
 import { DOMUtils } from './js/utils/DOMUtils.js';
 import { EventManager } from './js/utils/EventManager.js';
 import { UnifiedSidebarManager } from './js/UnifiedSidebarManager.js';
+import { RecentModelsManager } from './js/RecentModelsManager.js';
+import { SectionPlaneManager } from './js/SectionPlaneManager.js';
+import { PlanViewManager } from './js/PlanViewManager.js';
+import { MeasurementManager } from './js/MeasurementManager.js';
+import { SelectionManager } from './js/SelectionManager.js';
+import { ViewpointManager } from './js/ViewpointManager.js';
+import { VisibilityManager } from './js/VisibilityManager.js';
+import { ProgressManager } from './js/modules/ui/ProgressManager.js';
+
+/**
+ * 모델 불러오기 단계 (파싱 성공 후 Geometry와 속성정보는 동시에 진행)
+ */
+const LOAD_STAGES = [
+    { id: 'upload', label: '업로드' },
+    { id: 'parse', label: '파싱' },
+    { id: 'geometry', label: 'Geometry' },
+    { id: 'properties', label: '속성정보' }
+];
 
 class WebIFCViewerApp {
     constructor() {
-        this.apiService = new ApiService();
+        // 데이터 소스 선택 (설정 또는 ?source=api|local|mock)
+        this.dataSourceConfig = DataSourceFactory.resolveConfig();
+        this.dataSource = DataSourceFactory.create(this.dataSourceConfig);
+        this.localDataSource = null; // 백엔드에 연결할 수 없을 때 해당 파일만 여는 브라우저 파싱 데이터 소스
         this.fileValidator = new FileValidator();
         this.treeManager = new TreeManager();
         this.threeViewer = new ThreeJSViewer('viewer3D');
         this.eventManager = new EventManager();
         this.unifiedSidebarManager = new UnifiedSidebarManager();
+        this.progressManager = new ProgressManager();
         this.messageTimer = null; // 메시지 타이머 초기화
         this.ifcGeometryData = null; // IFC Geometry 데이터 저장용
         this.ifcPropertyData = null; // IFC Property 데이터 저장용
+        this.loadAbortController = null; // 진행 중인 불러오기 취소용
+        this.currentLoad = null; // 단계 재시도용 ({ file, fileName, dataSource })
+        this.loadId = 0; // 새 불러오기마다 증가 (이전 불러오기가 늦게 끝나며 보내는 상태 갱신 무시용)
         
         // 전역 접근을 위해 window에 할당
         window.threeViewer = this.threeViewer;
@@ -28,6 +54,18 @@ class WebIFCViewerApp {
         
         this.initializeElements();
         this.attachEventListeners();
+        
+        this.recentModelsManager = new RecentModelsManager(this);
+        this.sectionPlaneManager = new SectionPlaneManager(this);
+        this.planViewManager = new PlanViewManager(this);
+        this.measurementManager = new MeasurementManager(this);
+        this.selectionManager = new SelectionManager(this);
+        this.viewpointManager = new ViewpointManager(this);
+        this.visibilityManager = new VisibilityManager(this);
+        
+        // 뷰포트 툴팁에 트리/속성정보의 타입과 이름 표시
+        this.threeViewer.getElementInfo = (guid) => this.treeManager.getElementInfo(guid);
+        this.threeViewer.getSubtreeIds = (guids) => this.treeManager.getSubtreeGuids(guids);
     }
 
     /**
@@ -37,9 +75,6 @@ class WebIFCViewerApp {
         this.uploadArea = DOMUtils.$('#uploadArea');
         this.fileInput = DOMUtils.$('#fileInput');
         this.selectFileBtn = DOMUtils.$('#selectFileBtn');
-        this.uploadProgress = DOMUtils.$('#uploadProgress');
-        this.progressFill = DOMUtils.$('#progressFill');
-        this.progressText = DOMUtils.$('#progressText');
         this.uploadResult = DOMUtils.$('#uploadResult');
         this.resultMessage = DOMUtils.$('#resultMessage');
         // 새로운 아이콘 버튼들
@@ -51,6 +86,7 @@ class WebIFCViewerApp {
         this.toggleSidebarBtn = DOMUtils.$('#toggleSidebarBtn');
         this.toggleTreeBtn = DOMUtils.$('#toggleTreeBtn');
         this.togglePropertiesBtn = DOMUtils.$('#togglePropertiesBtn');
+        this.toggleRecentModelsBtn = DOMUtils.$('#toggleRecentModelsBtn');
         
         // 윤곽선 색상 선택 버튼들
         this.wireframeBlackBtn = DOMUtils.$('#wireframeBlackBtn');
@@ -90,6 +126,7 @@ class WebIFCViewerApp {
         this.eventManager.addEventListener(this.toggleSidebarBtn, 'click', () => this.toggleSidebar());
         this.eventManager.addEventListener(this.toggleTreeBtn, 'click', () => this.toggleTree());
         this.eventManager.addEventListener(this.togglePropertiesBtn, 'click', () => this.toggleProperties());
+        this.eventManager.addEventListener(this.toggleRecentModelsBtn, 'click', () => this.recentModelsManager.toggle());
         
         // 윤곽선 색상 선택 이벤트
         this.eventManager.addEventListener(this.wireframeBlackBtn, 'click', () => this.setWireframeColor(0x000000));
@@ -121,30 +158,192 @@ class WebIFCViewerApp {
         }
 
         try {
-            await this.uploadFile(file);
+            await this.runLoading(() => this.uploadFile(file));
         } catch (error) {
             console.error('파일 처리 오류:', error);
             this.showError('파일 처리 중 오류가 발생했습니다.');
         }
     }
 
+    /**
+     * 이미 업로드된 파일 열기 (업로드 없이 파싱, Geometry, 속성정보 순으로 진행)
+     * @param {string} fileName - 파일명
+     */
+    async openUploadedFile(fileName) {
+        this.currentLoad = { file: null, fileName, dataSource: this.dataSource };
+        this.beginLoadStages();
+        this.progressManager.setStageStatus('upload', 'skipped', '업로드된 파일');
+        
+        await this.runLoading(() => this.parseIfcFile(fileName));
+    }
+
+    /**
+     * 단계별 진행 상태 표시 시작 (새 불러오기로 간주하여 loadId 증가)
+     */
+    beginLoadStages() {
+        this.loadId++;
+        this.progressManager.showStages(LOAD_STAGES, {
+            onRetry: (stageId) => this.retryStage(stageId),
+            onCancel: () => this.cancelLoading()
+        });
+    }
+
+    /**
+     * 실패한 단계만 다시 실행 (파싱 재시도 시에는 이후 단계도 이어서 진행)
+     * @param {string} stageId - 단계 id
+     */
+    async retryStage(stageId) {
+        if (!this.currentLoad) return;
+        
+        const { file, fileName } = this.currentLoad;
+        const tasks = {
+            upload: () => this.uploadFile(file),
+            parse: () => this.parseIfcFile(fileName),
+            geometry: () => this.extractAndRenderGeometry(fileName),
+            properties: () => this.extractAndStoreProperties(fileName)
+        };
+        const task = tasks[stageId];
+        if (!task) return;
+        
+        // 다른 단계가 아직 진행 중이면 같은 취소 신호로 실행
+        if (this.loadAbortController) {
+            await task();
+        } else {
+            await this.runLoading(task);
+        }
+    }
+
+    /**
+     * 이전 불러오기를 취소하고 새 취소 신호로 불러오기 실행
+     * @param {Function} task - 불러오기 작업
+     */
+    async runLoading(task) {
+        // 이전 불러오기가 진행 중이면 취소
+        this.cancelLoading();
+        const controller = new AbortController();
+        this.loadAbortController = controller;
+
+        try {
+            await task();
+        } finally {
+            // 그 사이 새 불러오기가 시작되었으면 그 신호는 유지
+            if (this.loadAbortController === controller) {
+                this.loadAbortController = null;
+            }
+        }
+    }
+
+    /**
+     * 진행 중인 불러오기 (업로드, 파싱, Geometry, 속성정보) 취소
+     */
+    cancelLoading() {
+        if (this.loadAbortController) {
+            this.loadAbortController.abort();
+        }
+    }
+
+    /**
+     * 현재 불러오기의 취소 신호
+     * @returns {AbortSignal|undefined} 취소 신호
+     */
+    get loadSignal() {
+        return this.loadAbortController ? this.loadAbortController.signal : undefined;
+    }
+
+    /**
+     * 취소로 인한 오류인지 확인
+     * @param {Error} error - 오류 객체
+     * @returns {boolean} 취소 여부
+     */
+    isAbortError(error) {
+        return error && error.name === 'AbortError';
+    }
+
+    /**
+     * 그 사이 새 불러오기가 시작되어 더 이상 현재 불러오기가 아닌지 확인
+     * 취소된 이전 불러오기의 AbortError는 새 불러오기가 단계 표시를 다시 만든 뒤에 도착하므로 무시해야 함
+     * @param {number} loadId - 단계 시작 시점의 loadId
+     * @returns {boolean} 이전 불러오기 여부
+     */
+    isStaleLoad(loadId) {
+        return loadId !== this.loadId;
+    }
+
+    /**
+     * 현재 불러오기의 데이터 소스 (백엔드 연결 실패로 브라우저 파싱 중이면 로컬 데이터 소스)
+     * @returns {DataSource} 데이터 소스
+     */
+    get loadDataSource() {
+        return (this.currentLoad && this.currentLoad.dataSource) || this.dataSource;
+    }
+
     /**
      * 파일 업로드
      */
     async uploadFile(file) {
-        this.showProgress('업로드 중...');
+        this.currentLoad = { file, fileName: null, dataSource: this.dataSource };
+        this.beginLoadStages();
+        const loadId = this.loadId;
+        this.progressManager.setStageStatus('upload', 'running', '0%');
         
+        let response;
         try {
-            const response = await this.apiService.uploadFile(file, (progress) => {
-                this.updateProgress(progress, '업로드 중...');
-            });
-            
-            await this.handleUploadSuccess(response);
+            response = await this.uploadWithLocalFallback(file, (progress) => {
+                if (!this.isStaleLoad(loadId)) {
+                    this.progressManager.updateStageProgress('upload', progress, `${progress}%`);
+                }
+            }, loadId);
         } catch (error) {
+            if (this.isStaleLoad(loadId)) {
+                return;
+            }
+            
+            if (this.isAbortError(error)) {
+                this.progressManager.setStageStatus('upload', 'cancelled');
+                this.showInfo('업로드가 취소되었습니다.');
+                return;
+            }
+            
             console.error('업로드 오류:', error);
+            this.progressManager.setStageStatus('upload', 'error', error.message);
             this.showError(`업로드 실패: ${error.message}`);
-        } finally {
-            this.hideProgress();
+            return;
+        }
+        
+        if (this.isStaleLoad(loadId)) {
+            return;
+        }
+        
+        this.progressManager.setStageStatus('upload', 'done', response.fileName);
+        await this.handleUploadSuccess(response);
+    }
+
+    /**
+     * 설정된 데이터 소스로 업로드하고, 처음부터 백엔드에 연결할 수 없으면 이 파일만 브라우저에서 직접 파싱
+     * 설정된 데이터 소스는 바꾸지 않으므로 최근 모델 목록과 다음 파일은 계속 백엔드를 사용
+     * 업로드 도중 연결이 끊긴 경우와 브라우저에서 열 수 없는 큰 파일은 전환하지 않고 실패 처리
+     * @param {File} file - 업로드할 파일
+     * @param {Function} onProgress - 진행률 콜백
+     * @param {number} loadId - 업로드 시작 시점의 loadId
+     * @returns {Promise<Object>} 업로드 응답
+     */
+    async uploadWithLocalFallback(file, onProgress, loadId) {
+        try {
+            return await this.dataSource.uploadFile(file, onProgress, { signal: this.loadSignal });
+        } catch (error) {
+            if (!error.backendUnreachable || this.isStaleLoad(loadId)) {
+                throw error;
+            }
+            if (file.size > MAX_LOCAL_FILE_SIZE) {
+                throw new Error(`백엔드 서버에 연결할 수 없고, 브라우저에서 직접 열 수 있는 최대 크기(${MAX_LOCAL_FILE_SIZE / (1024 * 1024)}MB)를 넘는 파일입니다.`);
+            }
+            
+            console.warn('백엔드에 연결할 수 없어 이 파일은 로컬 파싱으로 엽니다:', error);
+            if (!this.localDataSource) {
+                this.localDataSource = DataSourceFactory.create({ type: 'local' });
+            }
+            this.currentLoad.dataSource = this.localDataSource;
+            return await this.localDataSource.uploadFile(file, onProgress, { signal: this.loadSignal });
         }
     }
 
@@ -152,104 +351,151 @@ class WebIFCViewerApp {
      * 업로드 성공 처리
      */
     async handleUploadSuccess(response) {
-        this.showSuccess(`파일이 성공적으로 업로드되었습니다! (${response.fileName})`);
+        this.currentLoad.fileName = response.fileName;
+        if (this.currentLoad.dataSource === this.dataSource) {
+            this.showSuccess(`파일이 성공적으로 업로드되었습니다! (${response.fileName})`);
+        } else {
+            this.showInfo(`백엔드 서버에 연결할 수 없어 브라우저에서 직접 엽니다. (${response.fileName})`);
+        }
         
         // 업로드 성공 후 자동으로 IFC 파싱 실행
         await this.parseIfcFile(response.fileName);
     }
 
     /**
-     * IFC 파일 파싱
+     * IFC 파일 파싱 (성공하면 Geometry와 속성정보를 동시에 추출)
      */
     async parseIfcFile(fileName) {
+        const loadId = this.loadId;
+        let response;
         try {
-            this.showProgress('IFC 파일 파싱 중...');
+            this.progressManager.setStageStatus('parse', 'running', 'IFC 파일 파싱 중...');
             
-            const response = await this.apiService.parseIfcFile(fileName);
+            response = await this.loadDataSource.parseIfcFile(fileName, { signal: this.loadSignal });
+        } catch (error) {
+            if (this.isStaleLoad(loadId)) {
+                return;
+            }
             
-            if (response.success) {
-                this.treeManager.displayTreeStructure(response.parseDatas);
-                this.showSuccess(`IFC 파일이 성공적으로 파싱되었습니다! (${response.objectCount}개 객체)`);
-                
-                // Geometry 추출 및 3D 렌더링
-                await this.extractAndRenderGeometry(fileName);
-                
-                // Property 데이터 추출 및 저장
-                await this.extractAndStoreProperties(fileName);
-            } else {
-                this.showError(`파싱 실패: ${response.errorMessage}`);
+            if (this.isAbortError(error)) {
+                this.progressManager.setStageStatus('parse', 'cancelled');
+                this.showInfo('IFC 파일 불러오기가 취소되었습니다.');
+                return;
             }
-        } catch (error) {
+            
             console.error('IFC 파싱 오류:', error);
+            this.progressManager.setStageStatus('parse', 'error', error.message);
             this.showError('IFC 파일 파싱 중 오류가 발생했습니다.');
-        } finally {
-            this.hideProgress();
+            return;
+        }
+        
+        if (this.isStaleLoad(loadId)) {
+            return;
+        }
+        
+        if (!response.success) {
+            this.progressManager.setStageStatus('parse', 'error', response.errorMessage);
+            this.showError(`파싱 실패: ${response.errorMessage}`);
+            return;
         }
+        
+        this.treeManager.displayTreeStructure(response.parseDatas);
+        this.progressManager.setStageStatus('parse', 'done', `${response.objectCount}개 객체`);
+        this.showSuccess(`IFC 파일이 성공적으로 파싱되었습니다! (${response.objectCount}개 객체)`);
+        
+        // Geometry 추출/렌더링과 속성정보 추출은 서로 독립적이므로 동시에 진행
+        await Promise.all([
+            this.extractAndRenderGeometry(fileName),
+            this.extractAndStoreProperties(fileName)
+        ]);
     }
 
     /**
      * IFC Geometry 추출 및 3D 렌더링
+     * 배치 단위로 받으면서 바로 렌더링하므로 모델이 점진적으로 나타나고, 첫 배치에서 카메라를 맞춤
      * @param {string} fileName - 파일명
      */
     async extractAndRenderGeometry(fileName) {
+        const loadId = this.loadId;
         try {
             console.log(`IFC Geometry 추출 시작: ${fileName}`);
-            this.showProgress('3D 모델 렌더링 중...');
+            this.progressManager.setStageStatus('geometry', 'running', '3D 모델 렌더링 중...');
             
             // 기존 IFC 객체 제거
             this.threeViewer.clearIfcObjects();
+            this.ifcGeometryData = null;
             
-            // Geometry 추출
-            const geometryResult = await this.apiService.extractGeometry(fileName);
-            console.log('IFC Geometry 추출 결과:', geometryResult);
+            // Geometry 스트리밍 추출 및 렌더링
+            const signal = this.loadSignal;
+            const geometries = [];
+            await this.loadDataSource.streamGeometry(fileName, async (batch, { progress }) => {
+                if (this.isStaleLoad(loadId)) {
+                    return;
+                }
+                
+                const isFirstBatch = geometries.length === 0;
+                batch.forEach(geometryData => geometries.push(geometryData));
+                
+                await this.threeViewer.appendIfcGeometries(batch, { signal, fitCamera: isFirstBatch });
+                this.progressManager.updateStageProgress('geometry', progress !== null ? progress * 100 : null, `${geometries.length}개 객체`);
+            }, { signal });
+            console.log('IFC Geometry 추출 결과:', geometries.length, '개 객체');
             
-            if (geometryResult.geometries && geometryResult.geometries.length > 0) {
+            if (this.isStaleLoad(loadId)) {
+                return;
+            }
+            
+            if (geometries.length > 0) {
+                // 모든 배치를 받은 뒤 같은 형상/재질의 메시를 통합하여 드로우 콜 감소
+                this.threeViewer.optimizeIfcObjects();
+                
+                // 섹션박스가 켜져 있으면 새 모델 범위에 맞춤
+                if (this.threeViewer.isSectionBoxActive()) {
+                    this.threeViewer.resetSectionBox();
+                }
+                
                 // IFC Geometry 데이터를 전역에서 접근 가능하도록 저장
-                this.ifcGeometryData = geometryResult;
+                this.ifcGeometryData = { success: true, fileName, geometries };
                 
-                // 3D 렌더링
-                this.threeViewer.addIfcGeometries(geometryResult.geometries);
-                this.showSuccess(`3D 모델 렌더링 완료: ${geometryResult.geometries.length}개 객체`);
+                // 새 모델의 선택 세트, 저장한 시점 목록 표시
+                this.selectionManager.render();
+                this.viewpointManager.render();
+                
+                this.progressManager.setStageStatus('geometry', 'done', `${geometries.length}개 객체`);
+                this.showSuccess(`3D 모델 렌더링 완료: ${geometries.length}개 객체`);
             } else {
+                this.progressManager.setStageStatus('geometry', 'error', 'Geometry 데이터 없음');
                 this.showError('렌더링할 Geometry 데이터가 없습니다.');
             }
         } catch (error) {
+            if (this.isStaleLoad(loadId)) {
+                return;
+            }
+            
+            if (this.isAbortError(error)) {
+                this.progressManager.setStageStatus('geometry', 'cancelled');
+                this.showInfo('3D 모델 불러오기가 취소되었습니다.');
+                return;
+            }
+            
             console.error('IFC Geometry 추출/렌더링 오류:', error);
+            this.progressManager.setStageStatus('geometry', 'error', error.message);
             this.showError('3D 모델 렌더링 중 오류가 발생했습니다.');
-        } finally {
-            this.hideProgress();
         }
     }
 
     /**
-     * 진행 상태 표시
-     */
-    showProgress(text) {
-        this.progressText.textContent = text;
-        this.uploadProgress.classList.remove('hidden');
-    }
-
-    /**
-     * 진행률 업데이트
-     */
-    updateProgress(percent, text) {
-        this.progressFill.style.width = `${percent}%`;
-        this.progressText.textContent = text;
-    }
-
-    /**
-     * 진행 상태 숨기기
+     * 성공 메시지 표시
      */
-    hideProgress() {
-        this.uploadProgress.classList.add('hidden');
-        this.progressFill.style.width = '100%';
+    showSuccess(message) {
+        this.showResult(message, 'success');
     }
 
     /**
-     * 성공 메시지 표시
+     * 안내 메시지 표시
      */
-    showSuccess(message) {
-        this.showResult(message, 'success');
+    showInfo(message) {
+        this.showResult(message, 'info');
     }
 
     /**
@@ -342,19 +588,41 @@ class WebIFCViewerApp {
      * @param {string} fileName - 파일명
      */
     async extractAndStoreProperties(fileName) {
+        const loadId = this.loadId;
         try {
-            const response = await this.apiService.extractProperties(fileName);
+            this.progressManager.setStageStatus('properties', 'running', '속성정보 추출 중...');
+            // 이전 모델의 속성정보가 새 모델에 표시되지 않도록 초기화
+            this.ifcPropertyData = null;
+            this.treeManager.updatePropertyGroups();
+            
+            const response = await this.loadDataSource.extractProperties(fileName, { signal: this.loadSignal });
+            if (this.isStaleLoad(loadId)) {
+                return;
+            }
             
             if (response.success && response.properties) {
                 // IFC Property 데이터를 전역에서 접근 가능하도록 저장
                 this.ifcPropertyData = response;
+                this.treeManager.updatePropertyGroups();
+                this.progressManager.setStageStatus('properties', 'done', `${response.properties.length}개 속성`);
                 console.log('IFC Property 데이터 저장 완료:', response.properties.length, '개 속성');
             } else {
+                this.progressManager.setStageStatus('properties', 'error', response.errorMessage || '속성정보 없음');
                 console.warn('속성정보 추출 실패 또는 속성정보 없음:', response.errorMessage);
             }
         } catch (error) {
+            if (this.isStaleLoad(loadId)) {
+                return;
+            }
+            
+            if (this.isAbortError(error)) {
+                this.progressManager.setStageStatus('properties', 'cancelled');
+                return;
+            }
+            
             console.error('속성정보 추출 오류:', error);
-            // 속성정보 추출 실패는 치명적이지 않으므로 에러 메시지를 표시하지 않음
+            // 속성정보 추출 실패는 치명적이지 않으므로 에러 메시지 대신 단계 상태로만 표시
+            this.progressManager.setStageStatus('properties', 'error', error.message);
         }
     }
     
@@ -381,8 +649,7 @@ class WebIFCViewerApp {
      */
     toggleSectionBox() {
         if (this.threeViewer) {
-            const isCurrentlyVisible = this.toggleSectionBoxBtn.textContent === '📦';
-            if (isCurrentlyVisible) {
+            if (this.threeViewer.isSectionBoxActive()) {
                 this.threeViewer.clearSectionBox();
                 this.toggleSectionBoxBtn.textContent = '📭';
                 this.toggleSectionBoxBtn.title = '섹션박스 생성';
@@ -0,0 +1,204 @@
+/**
+ * ApiService 업로드 테스트
+ * tools/upload-stub-server.mjs 스텁 서버로 단일 업로드, 청크 재시도/백오프, 재개, 세션 만료, 청크 미지원 서버 전환 확인
+ */
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { installBrowserGlobals } from './helpers/browserGlobals.js';
+import { createUploadStubServer } from '../tools/upload-stub-server.mjs';
+import { ApiService } from '../js/ApiService.js';
+
+installBrowserGlobals();
+
+const CHUNK_SIZE = 1024;
+
+let uploadDir;
+let servers;
+
+beforeEach(() => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webifcviewer-upload-test-'));
+    servers = [];
+    localStorage.clear();
+});
+
+afterEach(async () => {
+    await Promise.all(servers.map(server => new Promise(resolve => server.close(resolve))));
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+});
+
+/**
+ * 스텁 서버를 임의 포트로 시작하고 API 기본 URL 반환
+ */
+async function startStub(options = {}) {
+    const server = createUploadStubServer({ uploadDir, log: false, ...options });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    servers.push(server);
+    return { server, baseUrl: `http://127.0.0.1:${server.address().port}/api` };
+}
+
+/**
+ * 정해진 순서로 값을 돌려주는 난수 함수 (다 쓰면 1, 즉 실패하지 않음)
+ */
+function scriptedRandom(values) {
+    const queue = [...values];
+    return () => (queue.length > 0 ? queue.shift() : 1);
+}
+
+/**
+ * 내용을 확인할 수 있는 테스트 파일
+ */
+function createFile(size, name = 'model.ifc') {
+    const bytes = new Uint8Array(size);
+    bytes.forEach((_, index) => { bytes[index] = index % 251; });
+    return new File([bytes], name, { lastModified: 1700000000000 });
+}
+
+/**
+ * 서버에 저장된 파일이 원본과 같은지 확인
+ */
+async function assertStored(file) {
+    const stored = fs.readFileSync(path.join(uploadDir, file.name));
+    assert.deepEqual(new Uint8Array(stored), new Uint8Array(await file.arrayBuffer()));
+}
+
+/**
+ * 보낸 요청 기록 (method, 경로)
+ */
+function recordRequests(service) {
+    const requests = [];
+    const sendRequest = service.sendRequest.bind(service);
+    service.sendRequest = (method, url, options) => {
+        requests.push(`${method} ${new URL(url).pathname}`);
+        return sendRequest(method, url, options);
+    };
+    return requests;
+}
+
+test('청크 크기 이하 파일은 단일 업로드', async () => {
+    const { baseUrl, server } = await startStub();
+    const service = new ApiService(baseUrl, { chunkSize: CHUNK_SIZE });
+    const requests = recordRequests(service);
+    const file = createFile(CHUNK_SIZE);
+
+    const response = await service.uploadFile(file);
+
+    assert.equal(response.fileName, file.name);
+    assert.deepEqual(requests, ['POST /api/Upload']);
+    assert.deepEqual(server.completedFiles.map(entry => entry.fileName), [file.name]);
+    await assertStored(file);
+});
+
+test('일시적인 청크 실패는 지수 백오프로 재시도', async () => {
+    // 첫 청크는 통과, 두 번째 청크는 두 번 503 후 통과
+    const { baseUrl } = await startStub({ failRate: 0.5, random: scriptedRandom([1, 0, 0]) });
+    const service = new ApiService(baseUrl, { chunkSize: CHUNK_SIZE, maxRetries: 3, retryDelay: 10 });
+    const delays = [];
+    const wait = service.wait.bind(service);
+    service.wait = (ms, signal) => {
+        delays.push(ms);
+        return wait(ms, signal);
+    };
+    const file = createFile(CHUNK_SIZE * 4 + 100);
+    const progress = [];
+
+    const response = await service.uploadFile(file, value => progress.push(value));
+
+    assert.equal(response.fileName, file.name);
+    assert.deepEqual(delays, [10, 20]);
+    assert.equal(progress.at(-1), 100);
+    assert.equal(localStorage.getItem(service.getUploadSessionKey(file)), null);
+    await assertStored(file);
+});
+
+test('재시도 한도를 넘으면 실패하고 세션은 재개용으로 남김', async () => {
+    const { baseUrl } = await startStub({ failRate: 1 });
+    const service = new ApiService(baseUrl, { chunkSize: CHUNK_SIZE, maxRetries: 2, retryDelay: 1 });
+    const file = createFile(CHUNK_SIZE * 3);
+
+    await assert.rejects(service.uploadFile(file), { status: 503 });
+    assert.ok(service.loadUploadSession(file));
+    assert.equal(service.chunkedUploadSupported, true);
+});
+
+test('중단된 업로드는 서버가 받은 청크 다음부터 재개', async () => {
+    const { baseUrl } = await startStub();
+    const file = createFile(CHUNK_SIZE * 5);
+
+    // 청크 2개를 보낸 뒤 취소
+    const controller = new AbortController();
+    const first = new ApiService(baseUrl, { chunkSize: CHUNK_SIZE });
+    await assert.rejects(first.uploadFile(file, (progress) => {
+        if (progress >= 40) {
+            controller.abort();
+        }
+    }, { signal: controller.signal }), { name: 'AbortError' });
+
+    // 새 서비스(페이지 새로고침)로 같은 파일 업로드
+    const second = new ApiService(baseUrl, { chunkSize: CHUNK_SIZE });
+    const requests = recordRequests(second);
+    const response = await second.uploadFile(file);
+
+    assert.equal(response.fileName, file.name);
+    const session = requests[0].split(' ')[1];
+    assert.match(session, /^\/api\/Upload\/chunked\/[\w-]+$/);
+    assert.deepEqual(requests, [
+        `GET ${session}`,
+        `PUT ${session}/2`,
+        `PUT ${session}/3`,
+        `PUT ${session}/4`,
+        `POST ${session}/complete`
+    ]);
+    await assertStored(file);
+});
+
+test('업로드 중 서버 세션이 만료되면 새 세션으로 다시 업로드', async () => {
+    const { baseUrl, server } = await startStub();
+    const service = new ApiService(baseUrl, { chunkSize: CHUNK_SIZE });
+    const requests = recordRequests(service);
+    const file = createFile(CHUNK_SIZE * 3);
+
+    // 첫 청크를 받은 뒤 서버에서 세션 삭제
+    let expired = false;
+    const response = await service.uploadFile(file, () => {
+        if (!expired && server.sessions.size > 0 && [...server.sessions.values()][0].receivedChunks === 1) {
+            expired = true;
+            server.sessions.clear();
+        }
+    });
+
+    assert.equal(response.fileName, file.name);
+    assert.equal(requests.filter(request => request === 'POST /api/Upload/chunked/init').length, 2);
+    assert.ok(!requests.includes('POST /api/Upload'));
+    assert.equal(service.chunkedUploadSupported, true);
+    await assertStored(file);
+});
+
+test('청크 업로드를 지원하지 않는 서버는 단일 업로드로 전환', async () => {
+    const { baseUrl } = await startStub({ chunked: false });
+    const service = new ApiService(baseUrl, { chunkSize: CHUNK_SIZE });
+    const requests = recordRequests(service);
+    const file = createFile(CHUNK_SIZE * 3);
+
+    const response = await service.uploadFile(file);
+
+    assert.equal(response.fileName, file.name);
+    assert.deepEqual(requests, ['POST /api/Upload/chunked/init', 'POST /api/Upload']);
+    assert.equal(service.chunkedUploadSupported, false);
+    await assertStored(file);
+});
+
+test('백엔드에 연결할 수 없으면 재시도 없이 backendUnreachable 오류', async () => {
+    const { baseUrl, server } = await startStub();
+    await new Promise(resolve => server.close(resolve));
+    servers = [];
+    const service = new ApiService(baseUrl, { chunkSize: CHUNK_SIZE, retryDelay: 1 });
+
+    await assert.rejects(service.uploadFile(createFile(CHUNK_SIZE * 2)), (error) => {
+        assert.ok(error instanceof TypeError);
+        assert.equal(error.backendUnreachable, true);
+        return true;
+    });
+});
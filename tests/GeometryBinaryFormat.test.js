@@ -0,0 +1,108 @@
+/**
+ * 바이너리 Geometry 형식 테스트
+ * encodeGeometryBinary로 만든 버퍼를 여러 크기의 청크로 나누어 GeometryBinaryDecoder에 넣었을 때 원래 데이터로 복원되는지 확인
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeGeometryBinary, GeometryBinaryDecoder } from '../js/GeometryBinaryFormat.js';
+
+const GEOMETRIES = [
+    {
+        globalId: '3XQ$n5SLP5MBLyL442paFy',
+        ifcType: 'IfcSlab',
+        vertices: [0, 0, 0, 1000, 0, 0, 1000, 1000, 0],
+        faces: [0, 1, 2],
+        colorHEX: 'A0B0C0',
+        transparency: 0.25
+    },
+    {
+        // 색상 없이 투명도만 있는 요소
+        globalId: '1aB',
+        ifcType: 'IfcWindow',
+        vertices: [0, 0, 0, 500, 0, 0, 0, 500, 0, 500, 500, 0],
+        faces: [0, 1, 2, 1, 3, 2],
+        transparency: 0.5
+    },
+    {
+        // 색상/투명도 없음, UTF-8 문자열 길이가 4의 배수가 아닌 경우
+        globalId: '벽-01',
+        ifcType: 'IfcWallStandardCase',
+        vertices: [-1.5, 2.25, 3000],
+        faces: []
+    },
+    {
+        // 색상만 있는 요소 (투명도는 0으로 복원)
+        globalId: '0YvctVUKr0kugbFTf53O9L',
+        ifcType: 'IfcColumn',
+        vertices: [],
+        faces: [],
+        colorHEX: '00FF00'
+    }
+];
+
+/**
+ * 디코딩 결과 비교용으로 typed array를 일반 배열로 변환
+ */
+function toPlain(geometry) {
+    return { ...geometry, vertices: Array.from(geometry.vertices), faces: Array.from(geometry.faces) };
+}
+
+/**
+ * 버퍼를 chunkSize 단위로 나누어 디코딩
+ */
+function decodeInChunks(buffer, chunkSize) {
+    const bytes = new Uint8Array(buffer);
+    const decoder = new GeometryBinaryDecoder();
+    const geometries = [];
+
+    for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+        // 실제 네트워크 청크처럼 별도 버퍼로 복사해서 전달
+        geometries.push(...decoder.push(bytes.slice(offset, offset + chunkSize)));
+    }
+    decoder.finish();
+
+    return { geometries, total: decoder.total };
+}
+
+test('인코딩한 Geometry를 그대로 디코딩', () => {
+    const { geometries, total } = decodeInChunks(encodeGeometryBinary(GEOMETRIES), Infinity);
+
+    assert.equal(total, GEOMETRIES.length);
+    assert.deepEqual(geometries.map(toPlain), [
+        GEOMETRIES[0],
+        GEOMETRIES[1],
+        GEOMETRIES[2],
+        { ...GEOMETRIES[3], transparency: 0 }
+    ]);
+    assert.ok(geometries[0].vertices instanceof Float32Array);
+    assert.ok(geometries[0].faces instanceof Uint32Array);
+});
+
+test('청크 경계가 헤더, 문자열, 정점 중간에 걸려도 같은 결과', () => {
+    const buffer = encodeGeometryBinary(GEOMETRIES);
+    const expected = decodeInChunks(buffer, Infinity).geometries.map(toPlain);
+
+    [1, 2, 3, 5, 7, 11, 13, 20, 64].forEach(chunkSize => {
+        const { geometries } = decodeInChunks(buffer, chunkSize);
+        assert.deepEqual(geometries.map(toPlain), expected, `청크 크기 ${chunkSize}`);
+    });
+});
+
+test('요소가 없는 스트림은 total이 null', () => {
+    const { geometries, total } = decodeInChunks(encodeGeometryBinary([]), Infinity);
+    assert.deepEqual(geometries, []);
+    assert.equal(total, null);
+});
+
+test('잘린 데이터는 finish에서 오류', () => {
+    const bytes = new Uint8Array(encodeGeometryBinary(GEOMETRIES));
+    const decoder = new GeometryBinaryDecoder();
+    decoder.push(bytes.slice(0, bytes.length - 4));
+    assert.throws(() => decoder.finish(), /불완전/);
+});
+
+test('형식이 다른 데이터는 오류', () => {
+    const bytes = new Uint8Array(encodeGeometryBinary(GEOMETRIES));
+    bytes.set(new TextEncoder().encode('JSON'), 0);
+    assert.throws(() => new GeometryBinaryDecoder().push(bytes), /바이너리 Geometry 형식이 아닙니다/);
+});
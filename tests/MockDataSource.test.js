@@ -0,0 +1,105 @@
+/**
+ * MockDataSource 테스트
+ * public/fixtures 를 로컬 HTTP 서버로 제공하고, 앱과 같은 순서(업로드 → 파싱 → Geometry 스트리밍 → 속성정보)로 불러오기
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { MockDataSource } from '../js/MockDataSource.js';
+import { GeometryProcessor } from '../js/modules/modeling/GeometryProcessor.js';
+
+const PUBLIC_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+
+let server;
+let baseUrl;
+
+before(async () => {
+    // 개발 서버처럼 public/ 아래 파일을 그대로 제공
+    server = http.createServer(async (req, res) => {
+        const filePath = path.join(PUBLIC_DIR, decodeURIComponent(new URL(req.url, 'http://localhost').pathname));
+        try {
+            const body = await fs.readFile(filePath);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(body);
+        } catch (error) {
+            res.writeHead(404);
+            res.end();
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/fixtures`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+/**
+ * 파싱 트리의 모든 guid 수집
+ */
+function collectGuids(nodes, guids = new Set()) {
+    nodes.forEach(node => {
+        guids.add(node.guid);
+        collectGuids(node.children || [], guids);
+    });
+    return guids;
+}
+
+test('업로드부터 속성정보까지 픽스처로 모델을 불러온다', async () => {
+    const dataSource = new MockDataSource(baseUrl);
+    const file = new File([await fs.readFile(path.join(PUBLIC_DIR, 'fixtures/models/sample.ifc'))], 'sample.ifc');
+
+    const progress = [];
+    const upload = await dataSource.uploadFile(file, value => progress.push(value));
+    assert.equal(upload.fileName, 'sample.ifc');
+    assert.deepEqual(progress, [100]);
+
+    const parsed = await dataSource.parseIfcFile(upload.fileName);
+    assert.equal(parsed.success, true);
+    const guids = collectGuids(parsed.parseDatas);
+
+    const batches = [];
+    const result = await dataSource.streamGeometry(upload.fileName, async (geometries, { progress: batchProgress }) => {
+        batches.push({ geometries, progress: batchProgress });
+    });
+    const geometries = batches.flatMap(batch => batch.geometries);
+    assert.equal(result.count, geometries.length);
+    assert.ok(geometries.length > 0);
+    assert.equal(batches.at(-1).progress, 1);
+
+    // 뷰어와 같은 전처리를 거쳐 모든 요소가 렌더링 가능한 형상이 되는지
+    const processed = GeometryProcessor.processAll(geometries);
+    processed.forEach((item, index) => {
+        assert.ok(item, `${geometries[index].globalId} 전처리 실패`);
+        assert.ok(item.indices.length > 0);
+    });
+    geometries.forEach(geometry => assert.ok(guids.has(geometry.globalId), `트리에 없는 Geometry: ${geometry.globalId}`));
+
+    const { properties } = await dataSource.extractProperties(upload.fileName);
+    assert.ok(properties.length > 0);
+    properties.forEach(property => assert.ok(guids.has(property.guid), `트리에 없는 속성정보: ${property.guid}`));
+});
+
+test('삭제한 파일은 목록에서 빠진다', async () => {
+    const dataSource = new MockDataSource(baseUrl);
+
+    const before = await dataSource.getUploadedFiles();
+    assert.ok(before.files.some(file => file.fileName === 'sample.ifc'));
+
+    await dataSource.deleteUploadedFile('sample.ifc');
+    const after = await dataSource.getUploadedFiles();
+    assert.ok(!after.files.some(file => file.fileName === 'sample.ifc'));
+});
+
+test('픽스처가 없는 파일은 오류로 알린다', async () => {
+    const dataSource = new MockDataSource(baseUrl);
+    await assert.rejects(dataSource.parseIfcFile('missing.ifc'), /픽스처 로드 실패/);
+});
+
+test('취소된 신호로 업로드하면 AbortError', async () => {
+    const dataSource = new MockDataSource(baseUrl);
+    const controller = new AbortController();
+    controller.abort();
+    await assert.rejects(dataSource.uploadFile(new File(['x'], 'a.ifc'), null, { signal: controller.signal }), { name: 'AbortError' });
+});
@@ -0,0 +1,101 @@
+/**
+ * Node 테스트용 브라우저 전역 객체
+ * ApiService가 사용하는 XMLHttpRequest(fetch 기반)와 localStorage(메모리)만 제공
+ */
+
+/**
+ * fetch로 동작하는 XMLHttpRequest (ApiService.sendRequest가 쓰는 기능만)
+ * 업로드 진행률은 요청이 끝난 뒤 전체 크기로 한 번만 알림
+ */
+class FetchXMLHttpRequest extends EventTarget {
+    constructor() {
+        super();
+        this.upload = new EventTarget();
+        this.headers = {};
+        this.responseType = '';
+        this.response = null;
+        this.status = 0;
+        this.statusText = '';
+        this.controller = new AbortController();
+    }
+
+    open(method, url) {
+        this.method = method;
+        this.url = url;
+    }
+
+    setRequestHeader(name, value) {
+        this.headers[name] = value;
+    }
+
+    abort() {
+        this.controller.abort();
+    }
+
+    send(body = null) {
+        this.request(body).finally(() => this.dispatchEvent(new Event('loadend')));
+    }
+
+    async request(body) {
+        try {
+            const response = await fetch(this.url, { method: this.method, headers: this.headers, body, signal: this.controller.signal });
+            const size = body && typeof body.size === 'number' ? body.size : 0;
+            if (size > 0) {
+                this.upload.dispatchEvent(Object.assign(new Event('progress'), { lengthComputable: true, loaded: size, total: size }));
+            }
+
+            const text = await response.text();
+            this.status = response.status;
+            this.statusText = response.statusText;
+            if (this.responseType === 'json') {
+                try {
+                    this.response = text ? JSON.parse(text) : null;
+                } catch (error) {
+                    this.response = null;
+                }
+            } else {
+                this.response = text;
+            }
+            this.dispatchEvent(new Event('load'));
+        } catch (error) {
+            this.dispatchEvent(new Event(error.name === 'AbortError' ? 'abort' : 'error'));
+        }
+    }
+}
+
+/**
+ * 메모리 localStorage
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    clear() {
+        this.items.clear();
+    }
+}
+
+/**
+ * 전역 객체 설치 (이미 있으면 그대로 사용)
+ */
+export function installBrowserGlobals() {
+    if (!globalThis.XMLHttpRequest) {
+        globalThis.XMLHttpRequest = FetchXMLHttpRequest;
+    }
+    if (!globalThis.localStorage) {
+        globalThis.localStorage = new MemoryStorage();
+    }
+}
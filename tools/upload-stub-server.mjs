@@ -0,0 +1,230 @@
+/**
+ * 청크 업로드 테스트용 로컬 스텁 서버
+ * ApiService의 단일 업로드(/api/Upload), 청크 업로드 프로토콜(/api/Upload/chunked/...)과 파일 목록 조회/삭제만 구현
+ *
+ * 실행: npm run stub-server -- --port 5080 --fail-rate 0.2
+ * 뷰어: http://localhost:3000/?source=api&apiBaseUrl=http://localhost:5080/api
+ *
+ * --fail-rate 는 청크 요청을 임의로 503 처리하는 비율(0~1)로, 재시도 동작 확인용
+ * --no-chunked 는 청크 업로드 엔드포인트가 없는 서버 흉내 (단일 업로드 전환 확인용)
+ *
+ * 테스트에서는 createUploadStubServer로 같은 프로세스에서 생성 (tests/ApiService.upload.test.js)
+ */
+import http from 'node:http';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+/**
+ * JSON 응답 전송
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * 요청 본문 읽기
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', (chunk) => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * multipart/form-data 본문에서 파일 필드 읽기
+ */
+async function readFormFile(req, fieldName) {
+    const request = new Request('http://localhost', {
+        method: 'POST',
+        headers: { 'Content-Type': req.headers['content-type'] || '' },
+        body: await readBody(req)
+    });
+    const file = (await request.formData()).get(fieldName);
+    return file && typeof file !== 'string' ? file : null;
+}
+
+/**
+ * 스텁 서버 생성 (listen은 호출하는 쪽에서)
+ * @param {Object} options - 서버 옵션
+ * @param {string} options.uploadDir - 업로드 파일 저장 위치
+ * @param {number} options.failRate - 청크 요청을 503 처리하는 비율 (0~1)
+ * @param {boolean} options.chunked - 청크 업로드 엔드포인트 제공 여부
+ * @param {Function} options.random - 실패 여부를 정할 난수 함수 (테스트에서 실패 순서 지정용)
+ * @param {boolean} options.log - 요청 로그 출력 여부
+ * @returns {http.Server} 서버 (sessions, completedFiles 속성으로 상태 확인)
+ */
+export function createUploadStubServer({ uploadDir, failRate = 0, chunked = true, random = Math.random, log = true } = {}) {
+    fs.mkdirSync(uploadDir, { recursive: true });
+    const print = log ? console.log : () => {};
+
+    // uploadId → { fileName, fileSize, chunkSize, totalChunks, receivedChunks, partPath }
+    const sessions = new Map();
+    const completedFiles = [];
+
+    // 같은 이름으로 다시 올리면 목록의 이전 항목을 교체
+    const addCompletedFile = (fileName, size) => {
+        const index = completedFiles.findIndex(file => file.fileName === fileName);
+        if (index >= 0) {
+            completedFiles.splice(index, 1);
+        }
+        completedFiles.push({ fileName, size, uploadedAt: new Date().toISOString() });
+    };
+
+    const server = http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        const url = new URL(req.url, `http://${req.headers.host}`);
+        const parts = url.pathname.split('/').filter(Boolean); // ['api', 'Upload', 'chunked', ...]
+
+        try {
+            if (req.method === 'GET' && url.pathname === '/api/IfcParser/files') {
+                sendJson(res, 200, { success: true, files: completedFiles });
+                return;
+            }
+
+            // DELETE /api/IfcParser/files/{fileName}
+            if (req.method === 'DELETE' && parts[1] === 'IfcParser' && parts[2] === 'files' && parts.length === 4) {
+                const fileName = decodeURIComponent(parts[3]);
+                const index = completedFiles.findIndex(file => file.fileName === fileName);
+                if (index < 0) {
+                    sendJson(res, 404, { success: false, errorMessage: '파일을 찾을 수 없습니다.' });
+                    return;
+                }
+
+                completedFiles.splice(index, 1);
+                fs.rmSync(path.join(uploadDir, path.basename(fileName)), { force: true });
+                print(`[delete] ${fileName}`);
+                sendJson(res, 200, { success: true });
+                return;
+            }
+
+            // POST /api/Upload (multipart/form-data, file 필드)
+            if (req.method === 'POST' && url.pathname === '/api/Upload') {
+                const file = await readFormFile(req, 'file');
+                if (!file) {
+                    sendJson(res, 400, { success: false, errorMessage: 'file 필드가 없습니다.' });
+                    return;
+                }
+
+                const fileName = path.basename(file.name);
+                fs.writeFileSync(path.join(uploadDir, fileName), Buffer.from(await file.arrayBuffer()));
+                addCompletedFile(fileName, file.size);
+                print(`[upload] ${fileName} (${file.size} bytes)`);
+                sendJson(res, 200, { success: true, fileName, fileSize: file.size });
+                return;
+            }
+
+            if (!chunked || parts[0] !== 'api' || parts[1] !== 'Upload' || parts[2] !== 'chunked') {
+                sendJson(res, 404, { success: false, errorMessage: 'Not Found' });
+                return;
+            }
+
+            // POST /api/Upload/chunked/init
+            if (req.method === 'POST' && parts[3] === 'init') {
+                const { fileName, fileSize, chunkSize, totalChunks } = JSON.parse((await readBody(req)).toString());
+                const uploadId = crypto.randomUUID();
+                const partPath = path.join(uploadDir, `${uploadId}.part`);
+                fs.writeFileSync(partPath, Buffer.alloc(0));
+                sessions.set(uploadId, { fileName, fileSize, chunkSize, totalChunks, receivedChunks: 0, partPath });
+                print(`[init] ${fileName} (${fileSize} bytes, ${totalChunks} chunks) → ${uploadId}`);
+                sendJson(res, 200, { uploadId });
+                return;
+            }
+
+            const session = sessions.get(parts[3]);
+            if (!session) {
+                sendJson(res, 404, { success: false, errorMessage: '업로드 세션을 찾을 수 없습니다.' });
+                return;
+            }
+
+            // GET /api/Upload/chunked/{uploadId}
+            if (req.method === 'GET' && parts.length === 4) {
+                sendJson(res, 200, { uploadId: parts[3], receivedChunks: session.receivedChunks });
+                return;
+            }
+
+            // PUT /api/Upload/chunked/{uploadId}/{index}
+            if (req.method === 'PUT' && parts.length === 5) {
+                const chunkIndex = Number(parts[4]);
+                const body = await readBody(req);
+
+                if (random() < failRate) {
+                    print(`[chunk] ${chunkIndex} 임의 실패 (503)`);
+                    sendJson(res, 503, { success: false, errorMessage: 'Simulated failure' });
+                    return;
+                }
+
+                // 이미 받은 청크는 무시 (재전송), 순서가 맞지 않는 청크는 거부
+                if (chunkIndex === session.receivedChunks) {
+                    fs.appendFileSync(session.partPath, body);
+                    session.receivedChunks++;
+                } else if (chunkIndex > session.receivedChunks) {
+                    sendJson(res, 409, { success: false, errorMessage: `청크 ${session.receivedChunks}가 필요합니다.` });
+                    return;
+                }
+
+                print(`[chunk] ${chunkIndex + 1}/${session.totalChunks}`);
+                sendJson(res, 200, { receivedChunks: session.receivedChunks });
+                return;
+            }
+
+            // POST /api/Upload/chunked/{uploadId}/complete
+            if (req.method === 'POST' && parts[4] === 'complete') {
+                if (session.receivedChunks !== session.totalChunks) {
+                    sendJson(res, 409, { success: false, errorMessage: '모든 청크가 업로드되지 않았습니다.' });
+                    return;
+                }
+
+                const finalPath = path.join(uploadDir, path.basename(session.fileName));
+                fs.renameSync(session.partPath, finalPath);
+                sessions.delete(parts[3]);
+                addCompletedFile(session.fileName, session.fileSize);
+                print(`[complete] ${finalPath}`);
+                sendJson(res, 200, { success: true, fileName: session.fileName, fileSize: session.fileSize });
+                return;
+            }
+
+            sendJson(res, 404, { success: false, errorMessage: 'Not Found' });
+        } catch (error) {
+            console.error(error);
+            sendJson(res, 500, { success: false, errorMessage: error.message });
+        }
+    });
+
+    server.sessions = sessions;
+    server.completedFiles = completedFiles;
+    return server;
+}
+
+// 명령줄에서 직접 실행한 경우에만 서버 시작
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const args = process.argv.slice(2);
+    const getArg = (name, defaultValue) => {
+        const index = args.indexOf(`--${name}`);
+        return index >= 0 && args[index + 1] !== undefined ? args[index + 1] : defaultValue;
+    };
+
+    const port = Number(getArg('port', 5080));
+    const failRate = Number(getArg('fail-rate', 0));
+    const uploadDir = getArg('dir', path.join(os.tmpdir(), 'webifcviewer-uploads'));
+    const chunked = !args.includes('--no-chunked');
+
+    createUploadStubServer({ uploadDir, failRate, chunked }).listen(port, () => {
+        console.log(`업로드 스텁 서버: http://localhost:${port}/api (저장 위치: ${uploadDir}, 실패율: ${failRate}, 청크 업로드: ${chunked ? '지원' : '미지원'})`);
+    });
+}